@@ -0,0 +1,202 @@
+/**
+ * Shared cache stores for the serverless functions
+ *
+ * Every store implements the same async interface:
+ * {
+ *   name: 'memory',
+ *   get: async (key) => value | null,
+ *   set: async (key, value, ttlMs) => void,
+ *   delete: async (key) => void,
+ *   increment: async (key, ttlMs) => number, // Counter; ttl applies when the key is created
+ * }
+ * Values must be JSON serializable.
+ *
+ * The store is chosen with LOOKUP_CACHE_STORE:
+ * - memory (default): per function instance, survives warm invocations only
+ * - file: JSON files in LOOKUP_CACHE_DIR (default /tmp/scan-barcode-cache)
+ * - redis: Redis-compatible REST API (REDIS_REST_URL, REDIS_REST_TOKEN), shared by all instances
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_CACHE_DIR = '/tmp/scan-barcode-cache';
+
+/**
+ * In-memory store, evicting the oldest entries beyond maxEntries
+ */
+export const createMemoryStore = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      // Re-insert so the key moves to the end of the eviction order
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async increment(key, ttlMs) {
+      const entry = entries.get(key);
+      const next = !entry || entry.expiresAt <= Date.now()
+        ? { value: 1, expiresAt: Date.now() + ttlMs }
+        : { ...entry, value: entry.value + 1 };
+      // Like set, a counter in use moves to the end of the eviction order
+      entries.delete(key);
+      entries.set(key, next);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return next.value;
+    },
+  };
+};
+
+/**
+ * File store - one JSON file per key
+ */
+export const createFileStore = ({ dir = DEFAULT_CACHE_DIR } = {}) => {
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (entry.expiresAt <= Date.now()) {
+          await fs.unlink(fileFor(key)).catch(() => {});
+          return null;
+        }
+        return entry.value;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+    },
+    async delete(key) {
+      await fs.unlink(fileFor(key)).catch(() => {});
+    },
+    async increment(key, ttlMs) {
+      // Not atomic across instances; good enough for usage counters
+      let entry = null;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entry = { value: 0, expiresAt: Date.now() + ttlMs };
+      }
+      entry.value += 1;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+      return entry.value;
+    },
+  };
+};
+
+/**
+ * Client for a Redis-compatible REST API (e.g. Upstash): call(command, key, options)
+ * requests {url}/{command}/{key}{query}; a POST body is sent as the last argument
+ */
+export const createRedisRestClient = ({ url, token }) => {
+  if (!url || !token) {
+    throw new Error('Redis store needs REDIS_REST_URL and REDIS_REST_TOKEN.');
+  }
+
+  return async (command, key, { method = 'GET', body, query = '' } = {}) => {
+    const response = await fetch(`${url}/${command}/${encodeURIComponent(key)}${query}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+      body,
+    });
+    if (!response.ok) {
+      throw new Error(`Redis ${command} returned ${response.status}`);
+    }
+    return response.json();
+  };
+};
+
+/**
+ * Redis-compatible REST store (e.g. Upstash)
+ * Uses GET {url}/get/{key}, POST {url}/set/{key}?PX={ttl}, GET {url}/del/{key},
+ * GET {url}/incr/{key} and GET {url}/pexpire/{key}/{ttl}
+ */
+export const createRedisRestStore = ({ url, token }) => {
+  const call = createRedisRestClient({ url, token });
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const { result } = await call('get', key);
+      return result ? JSON.parse(result) : null;
+    },
+    async set(key, value, ttlMs) {
+      await call('set', key, { method: 'POST', body: JSON.stringify(value), query: `?PX=${Math.round(ttlMs)}` });
+    },
+    async delete(key) {
+      await call('del', key);
+    },
+    async increment(key, ttlMs) {
+      const { result } = await call('incr', key);
+      if (result === 1) {
+        await call('pexpire', key, { query: `/${Math.round(ttlMs)}` });
+      }
+      return result;
+    },
+  };
+};
+
+let sharedStore = null;
+
+/**
+ * Get the store configured through the environment (created once per instance)
+ */
+export const getCacheStore = () => {
+  if (sharedStore) return sharedStore;
+
+  const type = process.env.LOOKUP_CACHE_STORE || 'memory';
+  switch (type) {
+    case 'file':
+      sharedStore = createFileStore({ dir: process.env.LOOKUP_CACHE_DIR || DEFAULT_CACHE_DIR });
+      break;
+    case 'redis':
+      sharedStore = createRedisRestStore({ url: process.env.REDIS_REST_URL, token: process.env.REDIS_REST_TOKEN });
+      break;
+    case 'memory':
+      sharedStore = createMemoryStore();
+      break;
+    default:
+      throw new Error(`Unknown cache store "${type}". Use memory, file or redis.`);
+  }
+
+  console.log(`[Cache] Using ${sharedStore.name} store`);
+  return sharedStore;
+};
+
+/**
+ * Replace the shared store (e.g. to plug in a custom implementation)
+ * Custom stores must implement get, set, delete and increment.
+ */
+export const setCacheStore = (store) => {
+  sharedStore = store;
+};
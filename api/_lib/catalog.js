@@ -0,0 +1,81 @@
+/**
+ * Shared local catalog storage for the serverless functions
+ *
+ * Each item is a record of its own in the state store (see ./stateStore.js), so edits
+ * of different items never overwrite each other and lookup traffic cannot evict them.
+ * Writes are refused while the state store is the per-instance memory store, where an
+ * edit would be lost on the next cold start and invisible to other instances.
+ * Item format and validation: src/utils/catalogItem.js.
+ *
+ * Writes need an X-Api-Token listed in CATALOG_TOKENS; without CATALOG_TOKENS the
+ * catalog is read-only.
+ */
+
+import { getStateStore } from './stateStore';
+import { hasToken, readTokens } from './tokens';
+import { createCatalogItem } from '../../src/utils/catalogItem';
+
+const CATALOG_COLLECTION = 'catalog';
+// Records written at once; an import can hold thousands of items
+const WRITE_BATCH = 20;
+
+/**
+ * Whether the request may change the catalog
+ */
+export const canEditCatalog = (req) => hasToken(req, readTokens('CATALOG_TOKENS'));
+
+/**
+ * Whether catalog edits can be stored durably (not in the per-instance memory store)
+ */
+export const isCatalogWritable = () => getStateStore().durable;
+
+/**
+ * All catalog items, sorted by name
+ */
+export const listCatalogItems = async () =>
+  (await getStateStore().listRecords(CATALOG_COLLECTION)).sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * A catalog item by key, or null
+ */
+export const getCatalogItem = (key) => getStateStore().getRecord(CATALOG_COLLECTION, key);
+
+/**
+ * Read a catalog item for a lookup; catalog problems never fail the lookup
+ */
+export const findCatalogItem = async (key) => {
+  try {
+    return await getCatalogItem(key);
+  } catch (error) {
+    console.warn('[Catalog] ⚠️ Read failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Validate and store items (new or replacing the item with the same key)
+ * Returns { saved: [item], invalid: [{ index, errors }] } - nothing is stored when
+ * every item is invalid
+ */
+export const saveCatalogItems = async (inputs) => {
+  const saved = [];
+  const invalid = [];
+  inputs.forEach((input, index) => {
+    const { valid, errors, item } = createCatalogItem(input);
+    if (valid) saved.push(item);
+    else invalid.push({ index, errors });
+  });
+
+  const store = getStateStore();
+  for (let index = 0; index < saved.length; index += WRITE_BATCH) {
+    await Promise.all(
+      saved.slice(index, index + WRITE_BATCH).map((item) => store.putRecord(CATALOG_COLLECTION, item.key, item))
+    );
+  }
+  return { saved, invalid };
+};
+
+/**
+ * Delete an item; returns false when it did not exist
+ */
+export const deleteCatalogItem = (key) => getStateStore().deleteRecord(CATALOG_COLLECTION, key);
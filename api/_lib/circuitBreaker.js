@@ -0,0 +1,108 @@
+/**
+ * Circuit breaker per lookup provider
+ *
+ * closed    - provider is called normally; consecutive failures are counted
+ * open      - failureThreshold was reached; the provider is skipped until resetTimeoutMs passes
+ * half-open - the reset timeout passed; the next lookup is a trial that closes or re-opens it
+ *
+ * State lives in the state store (./stateStore.js), where lookup traffic cannot evict it,
+ * so all function instances (with the redis store) and the health endpoint see the same breaker.
+ */
+
+import { CIRCUIT_BREAKER_CONFIG } from '../../src/utils/constants';
+import { getStateStore } from './stateStore';
+
+export const BREAKER_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+// Breaker records are dropped after a day without failures
+const BREAKER_TTL = 24 * 60 * 60 * 1000;
+
+const breakerKey = (providerId) => `breaker:${providerId}`;
+
+const initialBreaker = () => ({
+  state: BREAKER_STATE.CLOSED,
+  failures: 0,
+  openedAt: null,
+  lastError: null,
+  lastFailureAt: null,
+});
+
+/**
+ * Resolve a provider's breaker policy from the defaults and its configuration
+ */
+const getBreakerPolicy = (provider) => ({ ...CIRCUIT_BREAKER_CONFIG, ...provider.circuitBreaker });
+
+const readBreaker = async (providerId) => {
+  try {
+    return (await getStateStore().get(breakerKey(providerId))) || initialBreaker();
+  } catch (error) {
+    console.warn(`[Breaker] ⚠️ Read failed for ${providerId}:`, error.message);
+    return initialBreaker();
+  }
+};
+
+const writeBreaker = async (providerId, breaker) => {
+  try {
+    await getStateStore().set(breakerKey(providerId), breaker, BREAKER_TTL);
+  } catch (error) {
+    console.warn(`[Breaker] ⚠️ Write failed for ${providerId}:`, error.message);
+  }
+};
+
+/**
+ * Get a provider's breaker, with an open breaker past its reset timeout reported as half-open
+ */
+export const getBreaker = async (provider, now = Date.now()) => {
+  const breaker = await readBreaker(provider.id);
+  const { resetTimeoutMs } = getBreakerPolicy(provider);
+  if (breaker.state === BREAKER_STATE.OPEN && now - breaker.openedAt >= resetTimeoutMs) {
+    return { ...breaker, state: BREAKER_STATE.HALF_OPEN };
+  }
+  return breaker;
+};
+
+/**
+ * Whether the provider may be called now
+ */
+export const canCallProvider = async (provider) => {
+  const breaker = await getBreaker(provider);
+  return breaker.state !== BREAKER_STATE.OPEN;
+};
+
+/**
+ * Record a lookup that reached the provider and got an answer (found or not found)
+ */
+export const recordSuccess = async (provider) => {
+  const breaker = await readBreaker(provider.id);
+  if (breaker.state === BREAKER_STATE.CLOSED && breaker.failures === 0) return;
+  if (breaker.state !== BREAKER_STATE.CLOSED) {
+    console.log(`[Breaker] ✅ ${provider.name} recovered, closing circuit`);
+  }
+  await writeBreaker(provider.id, { ...initialBreaker(), lastError: breaker.lastError, lastFailureAt: breaker.lastFailureAt });
+};
+
+/**
+ * Record a failed lookup (after retries)
+ */
+export const recordFailure = async (provider, error, now = Date.now()) => {
+  const breaker = await getBreaker(provider, now);
+  const { failureThreshold } = getBreakerPolicy(provider);
+  const failures = breaker.failures + 1;
+  // A failed trial re-opens the circuit straight away
+  const open = breaker.state === BREAKER_STATE.HALF_OPEN || failures >= failureThreshold;
+
+  if (open) {
+    console.warn(`[Breaker] ⚠️ ${provider.name} failed ${failures} times, opening circuit`);
+  }
+  await writeBreaker(provider.id, {
+    state: open ? BREAKER_STATE.OPEN : BREAKER_STATE.CLOSED,
+    failures,
+    openedAt: open ? now : null,
+    lastError: error.message,
+    lastFailureAt: now,
+  });
+};
@@ -0,0 +1,48 @@
+/**
+ * CORS handling for the serverless functions
+ *
+ * Cross-origin requests are only accepted from origins listed in ALLOWED_ORIGINS
+ * (comma separated, e.g. "https://scan.example.com,http://localhost:3000", or "*" for any).
+ * Same-origin requests from the app itself are always allowed.
+ */
+
+const getAllowedOrigins = () =>
+  (process.env.ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
+const isSameOrigin = (req, origin) => {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Set CORS headers for the request
+ * methods lists the methods the endpoint accepts (for preflight requests).
+ * Returns false (after sending 403) when the request comes from an origin that is not allowed
+ */
+export const applyCors = (req, res, methods = 'GET,OPTIONS') => {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+
+  // Requests without an Origin header (same-origin GET, curl, server to server)
+  if (!origin || isSameOrigin(req, origin)) {
+    return true;
+  }
+
+  const allowed = getAllowedOrigins();
+  if (!allowed.includes('*') && !allowed.includes(origin)) {
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', allowed.includes('*') ? '*' : origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, X-Api-Token, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+  );
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Cache, X-RateLimit-Remaining');
+  return true;
+};
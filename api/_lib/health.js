@@ -0,0 +1,169 @@
+/**
+ * Provider health checks
+ *
+ * getHealth: each enabled provider is asked for HEALTH_CONFIG.testGtin once, without
+ * retries, and the result is reported together with its circuit breaker, quota usage and
+ * retry policy. Checks cost real provider calls, so results are kept in the state store for
+ * HEALTH_CONFIG.cacheMs, a refresh is only honoured once they are HEALTH_CONFIG.minRefreshMs
+ * old, and concurrent requests in one instance share a run.
+ *
+ * getPublicHealth: what anyone may see - whether each provider is configured and its
+ * breaker state - without calling a provider or exposing upstream errors and quotas.
+ */
+
+import { HEALTH_CONFIG } from '../../src/utils/constants';
+import { BREAKER_STATE, getBreaker } from './circuitBreaker';
+import { SKIP_REASONS } from './lookup';
+import { getProviders, isProviderConfigured } from './providers';
+import { getQuotaUsage, recordProviderCall } from './quota';
+import { getRetryPolicy } from './retry';
+import { getStateStore } from './stateStore';
+
+export const HEALTH_STATUS = {
+  OK: 'ok', // Every provider answered
+  DEGRADED: 'degraded', // Some providers failed
+  DOWN: 'down', // No provider answered
+};
+
+const HEALTH_KEY = 'health:latest';
+
+// Upstream headers that describe plan limits (RapidAPI uses x-ratelimit-requests-*)
+const QUOTA_HEADER = /ratelimit|quota|remaining/i;
+
+const pickQuotaHeaders = (response) => {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (QUOTA_HEADER.test(name)) headers[name] = value;
+  });
+  return headers;
+};
+
+const skippedCheck = (reason) =>
+  ({ ok: false, status: null, latencyMs: null, found: false, quotaHeaders: {}, error: null, skipped: reason });
+
+/**
+ * Call one provider with the test barcode
+ * Returns { ok, status, latencyMs, found, quotaHeaders, error, skipped }
+ */
+const checkProvider = async (provider, quota) => {
+  if (!isProviderConfigured(provider)) return skippedCheck(SKIP_REASONS.NOT_CONFIGURED);
+  if (quota.exhausted) return skippedCheck(SKIP_REASONS.QUOTA);
+
+  const barcode = provider.healthCheckGtin || HEALTH_CONFIG.testGtin;
+  const { timeoutMs } = getRetryPolicy(provider);
+  let response = null;
+  const startTime = Date.now();
+
+  try {
+    await recordProviderCall(provider);
+    const raw = await provider.fetch(barcode, {
+      timeout: timeoutMs,
+      onResponse: (res) => {
+        response = res;
+      },
+    });
+    return {
+      ok: true,
+      status: response ? response.status : null,
+      latencyMs: Date.now() - startTime,
+      found: Boolean(raw),
+      quotaHeaders: response ? pickQuotaHeaders(response) : {},
+      error: null,
+      skipped: null,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: response ? response.status : null,
+      latencyMs: Date.now() - startTime,
+      found: false,
+      quotaHeaders: response ? pickQuotaHeaders(response) : {},
+      error: error.message,
+      skipped: null,
+    };
+  }
+};
+
+// Providers without an API key are left out: they are switched off, not broken
+const getOverallStatus = (allProviders) => {
+  const providers = allProviders.filter(({ check }) => check.skipped !== SKIP_REASONS.NOT_CONFIGURED);
+  const okCount = providers.filter(({ check }) => check.ok).length;
+  if (okCount > 0 && okCount === providers.length) return HEALTH_STATUS.OK;
+  return okCount === 0 ? HEALTH_STATUS.DOWN : HEALTH_STATUS.DEGRADED;
+};
+
+/**
+ * Configuration and breaker state of every enabled provider, without provider calls
+ * A provider counts as working while it is configured and its circuit is not open.
+ * Returns { status, checkedAt, live: false, providers: [{ id, name, priority, check, breaker }] }
+ * check: { ok, skipped } and breaker: { state, failures } - no error text or quota usage
+ */
+export const getPublicHealth = async () => {
+  const providers = await Promise.all(
+    getProviders().map(async (provider) => {
+      const { state, failures } = await getBreaker(provider);
+      const configured = isProviderConfigured(provider);
+      return {
+        id: provider.id,
+        name: provider.name,
+        priority: provider.priority,
+        check: {
+          ok: configured && state !== BREAKER_STATE.OPEN,
+          skipped: configured ? null : SKIP_REASONS.NOT_CONFIGURED,
+        },
+        breaker: { state, failures },
+      };
+    })
+  );
+  return { status: getOverallStatus(providers), checkedAt: Date.now(), live: false, providers };
+};
+
+// Checks running in this instance
+let running = null;
+
+const runChecks = async (store) => {
+  const providers = await Promise.all(
+    getProviders().map(async (provider) => {
+      const quota = await getQuotaUsage(provider);
+      const check = await checkProvider(provider, quota);
+      return {
+        id: provider.id,
+        name: provider.name,
+        priority: provider.priority,
+        check,
+        breaker: await getBreaker(provider),
+        // Read again so the count includes the check itself
+        quota: await getQuotaUsage(provider),
+        retry: getRetryPolicy(provider),
+      };
+    })
+  );
+
+  const health = { status: getOverallStatus(providers), checkedAt: Date.now(), providers };
+  await store.set(HEALTH_KEY, health, HEALTH_CONFIG.cacheMs).catch((error) => {
+    console.warn('[Health] ⚠️ Could not cache results:', error.message);
+  });
+  return health;
+};
+
+/**
+ * Run (or reuse recent) health checks for every enabled provider
+ * refresh asks for new checks; results younger than HEALTH_CONFIG.minRefreshMs are
+ * returned anyway.
+ * Returns { status, checkedAt, live: true, cached, providers: [{ id, name, priority, check, breaker, quota, retry }] }
+ */
+export const getHealth = async ({ refresh = false } = {}) => {
+  const store = getStateStore();
+
+  const cached = await store.get(HEALTH_KEY).catch(() => null);
+  if (cached && (!refresh || Date.now() - cached.checkedAt < HEALTH_CONFIG.minRefreshMs)) {
+    return { ...cached, live: true, cached: true };
+  }
+
+  if (!running) {
+    running = runChecks(store).finally(() => {
+      running = null;
+    });
+  }
+  return { ...(await running), live: true, cached: false };
+};
@@ -0,0 +1,252 @@
+/**
+ * Server-side product lookup
+ *
+ * Runs the provider chain from ./providers.js for a valid GTIN.
+ * In complete mode all providers are queried and their results merged field by field.
+ * ISBN (978/979) and ISSN (977) barcodes also reach the book providers, and their
+ * products carry isbn13/isbn10/issn identifiers whichever provider found them.
+ */
+
+import { canCallProvider, recordFailure, recordSuccess } from './circuitBreaker';
+import { getProvidersFor, isProviderConfigured } from './providers';
+import { getQuotaUsage, recordProviderCall } from './quota';
+import { getRetryPolicy, withRetry } from './retry';
+import { LOOKUP_CONFIG, LOOKUP_MODES } from '../../src/utils/constants';
+import { getBookIdentifiers } from '../../src/utils/isbn';
+import { createProduct, isBookProduct, validateProduct } from '../../src/utils/productSchema';
+
+/**
+ * Check whether a canonical product has enough data to show
+ */
+const hasUsefulData = (data) =>
+  Boolean(data && (data.name || data.images.length > 0 || data.brand || data.manufacturer));
+
+/**
+ * Why a provider was not called
+ */
+export const SKIP_REASONS = {
+  QUOTA: 'quota', // Daily or monthly quota used up
+  CIRCUIT_OPEN: 'circuit-open', // Circuit breaker open after repeated failures
+  BUDGET: 'budget', // The lookup's time budget (LOOKUP_CONFIG.budgetMs) was used up
+  NOT_CONFIGURED: 'not-configured', // API key missing from the server environment
+};
+
+/**
+ * Whether a skipped provider might answer a later lookup (a missing key stays missing)
+ */
+export const isTemporarySkip = ({ skipped }) => Boolean(skipped) && skipped !== SKIP_REASONS.NOT_CONFIGURED;
+
+/**
+ * Query a single provider, retrying transient failures until the deadline (a timestamp)
+ * Returns an attempt { provider, data, error, skipped } - data is a canonical product or null,
+ * error is set when the provider failed (as opposed to not knowing the product),
+ * skipped is a SKIP_REASONS value when the provider was not called
+ */
+const lookupWithProvider = async (provider, barcode, deadline) => {
+  // Not a provider failure: no quota, no breaker count, no 502
+  if (!isProviderConfigured(provider)) {
+    console.warn(`[API] ⚠️ ${provider.name} skipped: API key not configured`);
+    return { provider, data: null, error: null, skipped: SKIP_REASONS.NOT_CONFIGURED };
+  }
+  const quota = await getQuotaUsage(provider);
+  if (quota.exhausted) {
+    console.warn(`[API] ⚠️ ${provider.name} skipped: quota exhausted`);
+    return { provider, data: null, error: null, skipped: SKIP_REASONS.QUOTA };
+  }
+  if (!(await canCallProvider(provider))) {
+    console.warn(`[API] ⚠️ ${provider.name} skipped: circuit open`);
+    return { provider, data: null, error: null, skipped: SKIP_REASONS.CIRCUIT_OPEN };
+  }
+
+  const policy = getRetryPolicy(provider);
+  if (deadline - Date.now() < policy.minAttemptMs) {
+    console.warn(`[API] ⚠️ ${provider.name} skipped: lookup time budget used up`);
+    return { provider, data: null, error: null, skipped: SKIP_REASONS.BUDGET };
+  }
+
+  try {
+    const raw = await withRetry(
+      async (attempt, timeout) => {
+        // Every attempt is an upstream call and counts against the quota
+        await recordProviderCall(provider);
+        return provider.fetch(barcode, { timeout });
+      },
+      policy,
+      {
+        deadline,
+        onRetry: (error, attempt, delay) =>
+          console.warn(`[API] 🔁 ${provider.name} attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)}ms`),
+      }
+    );
+    await recordSuccess(provider);
+    const data = raw ? provider.normalize(raw, barcode) : null;
+
+    if (data) {
+      const { valid, errors } = validateProduct(data);
+      if (!valid) {
+        console.warn(`[API] ⚠️ ${provider.name} returned invalid product data:`, errors);
+        return { provider, data: null, error: null };
+      }
+    }
+
+    if (hasUsefulData(data)) {
+      console.log(`[API] ✅ ${provider.name} returned data`);
+      return { provider, data: { ...data, source: provider.id }, error: null };
+    }
+    console.warn(`[API] ⚠️ ${provider.name} response but no useful data extracted`);
+    return { provider, data: null, error: null };
+  } catch (providerError) {
+    console.warn(`[API] ⚠️ ${provider.name} failed:`, providerError.message);
+    await recordFailure(provider, providerError);
+    return { provider, data: null, error: providerError };
+  }
+};
+
+/**
+ * Add metadata about missing fields
+ */
+export const withFieldMetadata = (data) => {
+  data.missingFields = checkMissingFields(data);
+  data.availableFields = checkAvailableFields(data);
+  data.hasIncompleteData = data.missingFields.length > 0;
+  return data;
+};
+
+/**
+ * First mode: try each provider in priority order and stop at the first useful result
+ */
+const fetchFirstAvailable = async (providers, barcode, deadline) => {
+  const attempts = [];
+  for (const [index, provider] of providers.entries()) {
+    console.log(`[API] 🔍 Step ${index + 1}: Trying ${provider.name}...`);
+    const attempt = await lookupWithProvider(provider, barcode, deadline);
+    attempts.push(attempt);
+    if (attempt.data) break;
+  }
+  return attempts;
+};
+
+/**
+ * Complete mode: query all providers in parallel
+ */
+const fetchAll = (providers, barcode, deadline) => {
+  console.log(`[API] 🔍 Querying ${providers.length} providers in parallel...`);
+  return Promise.all(providers.map((provider) => lookupWithProvider(provider, barcode, deadline)));
+};
+
+/**
+ * Mark books and serials with the identifiers derived from their barcode
+ */
+const addBookIdentifiers = (product, gtin) => {
+  const book = getBookIdentifiers(gtin);
+  if (book) {
+    ['isbn13', 'isbn10', 'issn'].forEach((key) => {
+      if (book[key] && !product.identifiers[key]) product.identifiers[key] = book[key];
+    });
+  }
+  return product;
+};
+
+/**
+ * Run the provider chain for a valid GTIN within LOOKUP_CONFIG.budgetMs
+ * Returns { product, attempts } - product is null when no provider had useful data
+ */
+export const lookupFromProviders = async (gtin, mode) => {
+  const providers = getProvidersFor(gtin);
+  // Stop before the app gives up waiting, instead of spending quota on an answer nobody reads
+  const deadline = Date.now() + LOOKUP_CONFIG.budgetMs;
+  const attempts = mode === LOOKUP_MODES.COMPLETE
+    ? await fetchAll(providers, gtin, deadline)
+    : await fetchFirstAvailable(providers, gtin, deadline);
+
+  const found = attempts.filter((attempt) => attempt.data);
+  const product = found.length > 0 ? withFieldMetadata(addBookIdentifiers(mergeProductData(found), gtin)) : null;
+  return { product, attempts };
+};
+
+/**
+ * Canonical fields reported in fieldSources.
+ * Single-value fields take the first provider that has them; list and map fields
+ * are combined across providers, with higher priority values first.
+ */
+const SCALAR_FIELDS = ['name', 'brand', 'manufacturer', 'description'];
+const LIST_FIELDS = ['images', 'offers', 'categories'];
+
+const isEmptyValue = (value) =>
+  value === null || (Array.isArray(value) ? value.length === 0 : false);
+
+/**
+ * Merge canonical products from several providers
+ * Results must be in priority order: the first provider that has a field wins.
+ * Records which provider supplied each field in fieldSources.
+ */
+const mergeProductData = (results) => {
+  const merged = createProduct();
+  const fieldSources = {};
+
+  SCALAR_FIELDS.forEach((field) => {
+    const match = results.find(({ data }) => !isEmptyValue(data[field]));
+    if (match) {
+      merged[field] = match.data[field];
+      fieldSources[field] = match.provider.id;
+    }
+  });
+
+  LIST_FIELDS.forEach((field) => {
+    const seen = new Set();
+    results.forEach(({ provider, data }) => {
+      data[field].forEach((item) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) return;
+        seen.add(key);
+        merged[field].push(item);
+        // The first (displayed) value decides the field source
+        if (!fieldSources[field]) fieldSources[field] = provider.id;
+      });
+    });
+  });
+
+  // Lower priority first so higher priority values overwrite them
+  [...results].reverse().forEach(({ data }) => {
+    merged.identifiers = { ...merged.identifiers, ...data.identifiers };
+    merged.attributes = { ...merged.attributes, ...data.attributes };
+  });
+
+  merged.source = results[0].provider.id;
+  merged.sources = results.map(({ provider }) => ({ id: provider.id, name: provider.name }));
+  merged.fieldSources = fieldSources;
+  return merged;
+};
+
+/**
+ * Fields checked for completeness
+ * missingFields / availableFields list their ids; the app shows them in the user's
+ * language (product.fields.* messages). Books are not expected to have a brand or a price.
+ */
+const REQUIRED_FIELDS = [
+  { field: 'name' },
+  { field: 'images' },
+  { field: 'brand', fallback: 'manufacturer', books: false },
+  { field: 'description' },
+  { field: 'offers', check: (offers) => offers.some((offer) => offer.price !== null), books: false },
+];
+
+const getRequiredFields = (data) =>
+  isBookProduct(data) ? REQUIRED_FIELDS.filter((required) => required.books !== false) : REQUIRED_FIELDS;
+
+const hasField = (data, { field, fallback, check }) => {
+  if (check) return check(data[field]);
+  return !isEmptyValue(data[field]) || (fallback ? !isEmptyValue(data[fallback]) : false);
+};
+
+/**
+ * Check missing fields
+ */
+const checkMissingFields = (data) =>
+  getRequiredFields(data).filter((required) => !hasField(data, required)).map(({ field }) => field);
+
+/**
+ * Check available fields
+ */
+const checkAvailableFields = (data) =>
+  getRequiredFields(data).filter((required) => hasField(data, required)).map(({ field }) => field);
@@ -0,0 +1,108 @@
+/**
+ * Cached, coalesced product lookups for the serverless functions
+ *
+ * - Results are kept in the shared cache store (see ./cacheStore.js), products for
+ *   LOOKUP_CACHE_TTL seconds and "not found" answers for LOOKUP_CACHE_NEGATIVE_TTL seconds
+ * - Failed lookups (a provider errored or was temporarily skipped and nothing was found)
+ *   are never cached
+ * - Concurrent requests for the same barcode and mode share one upstream lookup
+ *
+ * Cached value format:
+ * { product: {...} | null, notFound: false, fetchedAt: 1700000000000 }
+ */
+
+import { getCacheStore } from './cacheStore';
+import { isTemporarySkip, lookupFromProviders } from './lookup';
+
+const HOUR = 60 * 60 * 1000;
+
+export const LOOKUP_CACHE_STATUS = {
+  HIT: 'HIT', // Answered from the cache store
+  MISS: 'MISS', // Looked up from the providers
+  COALESCED: 'COALESCED', // Joined a lookup another request had already started
+};
+
+const readSeconds = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value * 1000 : fallback;
+};
+
+const getCacheConfig = () => ({
+  ttl: readSeconds('LOOKUP_CACHE_TTL', 24 * HOUR),
+  negativeTtl: readSeconds('LOOKUP_CACHE_NEGATIVE_TTL', 1 * HOUR),
+});
+
+// Lookups in progress in this instance, keyed like the cache
+const inFlight = new Map();
+
+const cacheKey = (gtin14, mode) => `product:${mode}:${gtin14}`;
+
+/**
+ * Cache errors are never fatal - the lookup just goes upstream
+ */
+const readCache = async (store, key) => {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.warn(`[Cache] ⚠️ ${store.name} read failed:`, error.message);
+    return null;
+  }
+};
+
+const writeCache = async (store, key, value, ttl) => {
+  if (ttl <= 0) return;
+  try {
+    await store.set(key, value, ttl);
+  } catch (error) {
+    console.warn(`[Cache] ⚠️ ${store.name} write failed:`, error.message);
+  }
+};
+
+/**
+ * Look up providers and store the answer
+ */
+const lookupAndStore = async (store, key, gtin, mode) => {
+  const { ttl, negativeTtl } = getCacheConfig();
+  const { product, attempts } = await lookupFromProviders(gtin, mode);
+  const fetchedAt = Date.now();
+
+  if (product) {
+    await writeCache(store, key, { product, notFound: false, fetchedAt }, ttl);
+  } else if (attempts.every((attempt) => !attempt.error && !isTemporarySkip(attempt))) {
+    await writeCache(store, key, { product: null, notFound: true, fetchedAt }, negativeTtl);
+  }
+
+  return { product, attempts, fetchedAt };
+};
+
+/**
+ * Look up a product through the cache
+ * Returns { product, attempts, fetchedAt, cacheStatus }
+ * - attempts is empty for cache hits (no provider was asked)
+ */
+export const cachedLookup = async (gtin, gtin14, mode) => {
+  const store = getCacheStore();
+  const key = cacheKey(gtin14, mode);
+
+  const cached = await readCache(store, key);
+  if (cached) {
+    console.log(`[Cache] HIT ${key}`);
+    return { product: cached.product, attempts: [], fetchedAt: cached.fetchedAt, cacheStatus: LOOKUP_CACHE_STATUS.HIT };
+  }
+
+  if (inFlight.has(key)) {
+    console.log(`[Cache] COALESCED ${key}`);
+    const result = await inFlight.get(key);
+    return { ...result, cacheStatus: LOOKUP_CACHE_STATUS.COALESCED };
+  }
+
+  console.log(`[Cache] MISS ${key}`);
+  const pending = lookupAndStore(store, key, gtin, mode);
+  inFlight.set(key, pending);
+  try {
+    const result = await pending;
+    return { ...result, cacheStatus: LOOKUP_CACHE_STATUS.MISS };
+  } finally {
+    inFlight.delete(key);
+  }
+};
@@ -0,0 +1,580 @@
+/**
+ * Product lookup provider registry (server side)
+ *
+ * Each lookup source is registered as a provider:
+ * {
+ *   id: 'barcodeLookup',          // Unique id, used in configuration
+ *   name: 'Barcode Lookup',       // Human readable name for logs
+ *   priority: 10,                 // Lower runs first
+ *   enabled: true,
+ *   accepts: (barcode) => true,   // Optional: only barcodes this returns true for are sent
+ *   requiredEnv: ['API_KEY'],     // Optional: server environment variables the provider needs;
+ *                                 // without them it is skipped (not-configured), not failed
+ *   fetch: async (barcode, { timeout, onResponse }) => raw // Raw API payload, or null when not found;
+ *                                 // onResponse(response) lets health checks see status and headers
+ *   normalize: (raw, barcode) => product // Canonical product (see productSchema.js), or null
+ * }
+ *
+ * Order and enabled state can be overridden through PROVIDER_CONFIG in constants.js
+ * or the LOOKUP_PROVIDERS environment variable (comma separated ids, in order).
+ *
+ * Providers only run inside the serverless functions, so the API keys below are read
+ * from server environment variables and never reach the browser bundle.
+ */
+
+import { PROVIDER_CONFIG } from '../../src/utils/constants';
+import { createResponseError, fetchWithTimeout, REQUEST_TIMEOUT } from '../../src/utils/http';
+import { getBookIdentifiers, isIssnEan, isIsbn13 } from '../../src/utils/isbn';
+import { createProduct } from '../../src/utils/productSchema';
+
+// Primary API - Barcode Lookup
+const BARCODE_LOOKUP_API_BASE_URL = 'https://api.barcodelookup.com/v3/products';
+// Fallback API - RapidAPI Big Product Data API - using HTTPS as required
+const API_BASE_URL = 'https://big-product-data.p.rapidapi.com';
+// Secondary Fallback API - Barcodes Lookup API (RapidAPI)
+const FALLBACK_API_BASE_URL = 'https://barcodes-lookup.p.rapidapi.com';
+// Book metadata - Open Library Books API (no key needed)
+const OPEN_LIBRARY_API_URL = 'https://openlibrary.org/api/books';
+// Serial (ISSN) metadata - Crossref journals API (no key needed)
+const CROSSREF_JOURNALS_API_URL = 'https://api.crossref.org/journals';
+
+const registry = new Map();
+
+/**
+ * Read a provider API key from the server environment
+ */
+const getServerKey = (name) => {
+  const key = process.env[name];
+  if (!key) {
+    throw new Error(`API key not configured. Please set ${name} in the server environment variables.`);
+  }
+  return key;
+};
+
+/**
+ * Whether the server environment has every key the provider needs
+ */
+export const isProviderConfigured = (provider) =>
+  (provider.requiredEnv || []).every((name) => Boolean(process.env[name]));
+
+/**
+ * Split a category path such as "Food > Snacks > Chips" into a list
+ */
+const splitCategory = (category) =>
+  typeof category === 'string' ? category.split('>').map((part) => part.trim()) : category;
+
+/**
+ * Register a lookup provider (replaces any provider with the same id)
+ */
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('Provider must have an id.');
+  }
+  if (typeof provider.fetch !== 'function' || typeof provider.normalize !== 'function') {
+    throw new Error(`Provider "${provider.id}" must define fetch and normalize functions.`);
+  }
+
+  registry.set(provider.id, {
+    name: provider.id,
+    priority: 100,
+    enabled: true,
+    ...provider,
+  });
+};
+
+/**
+ * Remove a provider from the registry
+ */
+export const unregisterProvider = (id) => registry.delete(id);
+
+/**
+ * Parse LOOKUP_PROVIDERS into an ordered list of provider ids
+ */
+const getEnvProviderOrder = () => {
+  const value = process.env.LOOKUP_PROVIDERS;
+  if (!value) return null;
+  return value.split(',').map((id) => id.trim()).filter(Boolean);
+};
+
+/**
+ * Get enabled providers in lookup order, with configuration applied
+ */
+export const getProviders = (config = PROVIDER_CONFIG) => {
+  const envOrder = getEnvProviderOrder();
+
+  return Array.from(registry.values())
+    .map((provider) => {
+      const overrides = config[provider.id] || {};
+      const resolved = { ...provider, ...overrides };
+
+      // Environment list wins: only listed providers run, in the listed order
+      if (envOrder) {
+        const index = envOrder.indexOf(provider.id);
+        resolved.enabled = index !== -1;
+        resolved.priority = index;
+      }
+      return resolved;
+    })
+    .filter((provider) => provider.enabled)
+    .sort((a, b) => a.priority - b.priority);
+};
+
+/**
+ * Get the enabled providers that accept a barcode, in lookup order
+ */
+export const getProvidersFor = (barcode, config) =>
+  getProviders(config).filter((provider) => !provider.accepts || provider.accepts(barcode));
+
+/**
+ * Fetch from Barcode Lookup API (Primary API)
+ * Endpoint: GET /v3/products?barcode={barcode}&key={key}
+ */
+const fetchFromBarcodeLookupAPI = async (barcode, { timeout = REQUEST_TIMEOUT, onResponse } = {}) => {
+  const apiKey = getServerKey('BARCODE_LOOKUP_API_KEY');
+  const endpoint = `${BARCODE_LOOKUP_API_BASE_URL}?barcode=${barcode}&key=${apiKey}`;
+  console.log(`[API] 🔍 Trying primary API (Barcode Lookup): GET ${BARCODE_LOOKUP_API_BASE_URL}?barcode=${barcode}`);
+
+  const response = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+    },
+    timeout
+  );
+  if (onResponse) onResponse(response);
+
+  if (response.status === 404) {
+    console.log('[API] ⚠️ Primary API returned 404 - product not found');
+    return null;
+  }
+  if (!response.ok) {
+    throw await createResponseError('Primary API', response);
+  }
+
+  const data = await response.json();
+  console.log('[API] ✅ Barcode Lookup API response received');
+
+  // Check if products array exists and has data
+  if (data.products && Array.isArray(data.products) && data.products.length > 0) {
+    return data.products[0];
+  }
+  return null;
+};
+
+/**
+ * Normalize Barcode Lookup API response
+ * Response format: { products: [{ barcode_number, barcode_type, title, manufacturer, brand, model, ... }] }
+ */
+const normalizeBarcodeLookupData = (product, barcode) => {
+  if (!product) return null;
+
+  return createProduct({
+    identifiers: {
+      gtin: product.barcode_number || barcode,
+      mpn: product.mpn,
+      model: product.model,
+      asin: product.asin,
+    },
+    name: product.title || product.product_name || product.name,
+    brand: product.brand || product.manufacturer,
+    manufacturer: product.manufacturer,
+    description: product.description || product.product_description,
+    images: product.images && Array.isArray(product.images) && product.images.length > 0
+      ? product.images
+      : product.image || product.image_url,
+    offers: Array.isArray(product.stores) && product.stores.length > 0
+      ? product.stores.map((store) => ({
+        seller: store.name || store.store_name,
+        price: store.sale_price || store.price || store.store_price,
+        currency: store.currency || store.currency_code,
+        url: store.link || store.url,
+      }))
+      : [{ price: product.price || product.price_amount }],
+    categories: splitCategory(product.category || product.product_category),
+    attributes: {
+      barcode_type: product.barcode_type,
+      color: product.color,
+      size: product.size,
+      weight: product.weight,
+      features: product.features,
+    },
+  });
+};
+
+/**
+ * Fetch from RapidAPI Big Product Data API
+ * Endpoint: GET /gtin/{barcode}
+ */
+const fetchFromBigProductDataAPI = async (barcode, { timeout = REQUEST_TIMEOUT, onResponse } = {}) => {
+  const apiKey = getServerKey('RAPIDAPI_KEY');
+  const endpoint = `${API_BASE_URL}/gtin/${barcode}`;
+  const headers = {
+    'X-RapidAPI-Key': apiKey,
+    'X-RapidAPI-Host': 'big-product-data.p.rapidapi.com',
+    'Accept': 'application/json',
+  };
+
+  console.log(`[API] 🔄 Trying Big Product Data API: GET ${endpoint}`);
+
+  const response = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'GET',
+      headers,
+      redirect: 'follow',
+    },
+    timeout
+  );
+  if (onResponse) onResponse(response);
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw await createResponseError('Big Product Data API', response);
+  }
+
+  return response.json();
+};
+
+/**
+ * Normalize product data from RapidAPI Big Product Data API response structure
+ * Response format:
+ * {
+ *   "gtin": "850028009338",
+ *   "properties": {
+ *     "title": ["Product Name 1", "Product Name 2", ...],
+ *     "brand": ["Brand Name"],
+ *     "description": ["Description text"],
+ *     "manufacturer": ["Manufacturer"],
+ *     ...
+ *   },
+ *   "stores": [
+ *     {
+ *       "store": "Store Name",
+ *       "image": "https://...",
+ *       "url": "https://...",
+ *       "price": { "currency": "USD", "price": "33.95" }
+ *     }
+ *   ]
+ * }
+ * Returns null when the payload has an unknown structure.
+ */
+const normalizeProductData = (data, barcode) => {
+  // Handle null or undefined
+  if (!data) return null;
+
+  // Handle the actual API response structure
+  if (data.gtin && data.properties) {
+    const { properties } = data;
+    const stores = Array.isArray(data.stores) ? data.stores : [];
+
+    return createProduct({
+      identifiers: { gtin: data.gtin },
+      // First title is the product name
+      name: properties.title,
+      brand: properties.brand,
+      manufacturer: properties.manufacturer,
+      description: properties.description,
+      images: stores.map((store) => store.image),
+      offers: stores.map((store) => ({
+        seller: store.store,
+        price: store.price ? store.price.price || store.price.sale || store.price.list : null,
+        currency: store.price ? store.price.currency : null,
+        url: store.url,
+      })),
+      categories: properties.category,
+      attributes: {
+        // Keep the alternative titles for reference
+        titles: Array.isArray(properties.title) && properties.title.length > 1 ? properties.title : null,
+      },
+    });
+  }
+
+  // Fallback: Handle array responses
+  if (Array.isArray(data)) {
+    return data.length > 0 ? normalizeProductData(data[0], barcode) : null;
+  }
+
+  // Fallback: Handle nested structures
+  const nested = data.product || data.data || data.result;
+  if (nested) {
+    return normalizeProductData(Array.isArray(nested) ? nested[0] : nested, barcode);
+  }
+
+  // Unknown structure - don't pass unchecked data to the UI
+  console.warn('[API] ⚠️ Big Product Data response has an unknown structure');
+  return null;
+};
+
+/**
+ * Fetch from fallback API (Barcodes Lookup API)
+ * API: https://rapidapi.com/UnlimitedAPI/api/barcodes-lookup
+ * Endpoint: GET /?barcode={barcode}
+ */
+const fetchFromFallbackAPI = async (barcode, { timeout = REQUEST_TIMEOUT, onResponse } = {}) => {
+  const apiKey = getServerKey('RAPIDAPI_KEY');
+
+  // Correct endpoint: GET /?barcode={barcode}
+  const endpoint = `${FALLBACK_API_BASE_URL}/?barcode=${barcode}`;
+
+  const headers = {
+    'X-RapidAPI-Key': apiKey,
+    'X-RapidAPI-Host': 'barcodes-lookup.p.rapidapi.com',
+    'Accept': 'application/json',
+  };
+
+  console.log(`[API] 🔄 Trying fallback API: GET ${endpoint}`);
+
+  const response = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'GET',
+      headers,
+    },
+    timeout
+  );
+  if (onResponse) onResponse(response);
+
+  // Not found is an answer, not a failure (it must not trip the circuit breaker)
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw await createResponseError('Fallback API', response);
+  }
+
+  const data = await response.json();
+  console.log('[API] ✅ Fallback API response received');
+  console.log('[API] Response structure:', data.product ? 'Has product object' : 'No product object');
+  return data;
+};
+
+/**
+ * Normalize fallback API response (Barcodes Lookup API)
+ * Response format:
+ * {
+ *   "product": {
+ *     "title": "Product Name",
+ *     "manufacturer": "Brand Name",
+ *     "brand": "Brand Name",
+ *     "description": "Description",
+ *     "images": ["url1", "url2", ...],
+ *     "online_stores": [{"name": "Amazon", "price": "$124.39", "url": "..."}],
+ *     "category": "Category",
+ *     "features": ["feature1", "feature2", ...]
+ *   }
+ * }
+ */
+const normalizeFallbackData = (data, barcode) => {
+  if (!data) return null;
+
+  // Handle different response structures from barcodes-lookup API
+  const product = data.product || data.data || data;
+
+  if (!product) return null;
+
+  // Use features as description if description is missing
+  let description = product.description || product.product_description;
+  if (!description && product.features && Array.isArray(product.features) && product.features.length > 0) {
+    description = product.features.join('. ');
+  }
+
+  const stores = Array.isArray(product.online_stores) ? product.online_stores : [];
+
+  return createProduct({
+    identifiers: { gtin: barcode },
+    name: product.title || product.name || product.product_name,
+    brand: product.brand || product.manufacturer,
+    manufacturer: product.manufacturer,
+    description,
+    images: product.images && Array.isArray(product.images) && product.images.length > 0
+      ? product.images
+      : product.image || product.image_url,
+    offers: stores.length > 0
+      ? stores.map((store) => ({ seller: store.name, price: store.price, url: store.url }))
+      : [{ price: product.price || product.price_amount }],
+    categories: splitCategory(product.category || product.product_category),
+    attributes: {
+      ...(product.attributes && typeof product.attributes === 'object' ? product.attributes : {}),
+      features: product.features,
+    },
+  });
+};
+
+/**
+ * Fetch from Open Library Books API
+ * Endpoint: GET /api/books?bibkeys=ISBN:{isbn}&format=json&jscmd=data
+ * Unknown ISBNs answer 200 with an empty object.
+ */
+const fetchFromOpenLibrary = async (barcode, { timeout = REQUEST_TIMEOUT, onResponse } = {}) => {
+  const bibkey = `ISBN:${barcode}`;
+  const endpoint = `${OPEN_LIBRARY_API_URL}?bibkeys=${bibkey}&format=json&jscmd=data`;
+  console.log(`[API] 📚 Trying Open Library: GET ${endpoint}`);
+
+  const response = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+    },
+    timeout
+  );
+  if (onResponse) onResponse(response);
+
+  if (!response.ok) {
+    throw await createResponseError('Open Library', response);
+  }
+
+  const data = await response.json();
+  return data[bibkey] || null;
+};
+
+/**
+ * Normalize Open Library book data
+ * Response format (per bibkey):
+ * {
+ *   "title": "Fantastic Mr Fox",
+ *   "subtitle": "...",
+ *   "authors": [{ "name": "Roald Dahl", "url": "..." }],
+ *   "publishers": [{ "name": "Puffin" }],
+ *   "publish_date": "October 1, 1988",
+ *   "number_of_pages": 96,
+ *   "cover": { "small": "...", "medium": "...", "large": "..." },
+ *   "subjects": [{ "name": "Foxes", "url": "..." }],
+ *   "identifiers": { "isbn_10": ["0140328726"], "isbn_13": ["9780140328721"] },
+ *   "url": "https://openlibrary.org/books/..."
+ * }
+ */
+const normalizeOpenLibraryData = (book, barcode) => {
+  if (!book) return null;
+
+  const names = (list) => (Array.isArray(list) ? list.map((item) => item.name) : []);
+  const publisher = names(book.publishers)[0];
+  const year = typeof book.publish_date === 'string' ? book.publish_date.match(/\d{4}/) : null;
+  const cover = book.cover || {};
+
+  return createProduct({
+    identifiers: {
+      gtin: barcode,
+      isbn13: book.identifiers?.isbn_13,
+      isbn10: book.identifiers?.isbn_10,
+    },
+    name: book.title,
+    manufacturer: publisher,
+    description: typeof book.notes === 'string' ? book.notes : book.notes?.value,
+    images: [cover.large, cover.medium, cover.small],
+    categories: names(book.subjects).slice(0, 5),
+    attributes: {
+      subtitle: book.subtitle,
+      authors: names(book.authors),
+      publisher,
+      publishYear: year ? year[0] : null,
+      pages: book.number_of_pages,
+      url: book.url,
+    },
+  });
+};
+
+/**
+ * Fetch from Crossref journals API
+ * Endpoint: GET /journals/{issn}
+ */
+const fetchFromCrossrefJournals = async (barcode, { timeout = REQUEST_TIMEOUT, onResponse } = {}) => {
+  const { issn } = getBookIdentifiers(barcode);
+  const endpoint = `${CROSSREF_JOURNALS_API_URL}/${issn.slice(0, 4)}-${issn.slice(4)}`;
+  console.log(`[API] 📰 Trying Crossref journals: GET ${endpoint}`);
+
+  const response = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+    },
+    timeout
+  );
+  if (onResponse) onResponse(response);
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw await createResponseError('Crossref', response);
+  }
+
+  const data = await response.json();
+  return data.message || null;
+};
+
+/**
+ * Normalize Crossref journal data
+ * Response format: { "message": { "title": "Nature", "publisher": "Springer", "ISSN": ["0028-0836"], "subjects": [{ "name": "..." }] } }
+ */
+const normalizeCrossrefJournalData = (journal, barcode) => {
+  if (!journal) return null;
+
+  return createProduct({
+    identifiers: { gtin: barcode },
+    name: journal.title,
+    manufacturer: journal.publisher,
+    categories: Array.isArray(journal.subjects) ? journal.subjects.map((subject) => subject.name) : [],
+    attributes: {
+      publisher: journal.publisher,
+    },
+  });
+};
+
+// Built-in providers
+registerProvider({
+  id: 'openLibrary',
+  name: 'Open Library',
+  priority: 5,
+  accepts: isIsbn13,
+  healthCheckGtin: '9780140328721',
+  fetch: fetchFromOpenLibrary,
+  normalize: normalizeOpenLibraryData,
+});
+
+registerProvider({
+  id: 'crossrefJournals',
+  name: 'Crossref Journals',
+  priority: 6,
+  accepts: isIssnEan,
+  healthCheckGtin: '9770028083002',
+  fetch: fetchFromCrossrefJournals,
+  normalize: normalizeCrossrefJournalData,
+});
+
+registerProvider({
+  id: 'barcodeLookup',
+  name: 'Barcode Lookup',
+  priority: 10,
+  requiredEnv: ['BARCODE_LOOKUP_API_KEY'],
+  fetch: fetchFromBarcodeLookupAPI,
+  normalize: normalizeBarcodeLookupData,
+});
+
+registerProvider({
+  id: 'bigProductData',
+  name: 'RapidAPI Big Product Data',
+  priority: 20,
+  requiredEnv: ['RAPIDAPI_KEY'],
+  fetch: fetchFromBigProductDataAPI,
+  normalize: normalizeProductData,
+});
+
+registerProvider({
+  id: 'barcodesLookup',
+  name: 'RapidAPI Barcodes Lookup',
+  priority: 30,
+  requiredEnv: ['RAPIDAPI_KEY'],
+  fetch: fetchFromFallbackAPI,
+  normalize: normalizeFallbackData,
+});
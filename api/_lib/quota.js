@@ -0,0 +1,57 @@
+/**
+ * Daily and monthly usage counters per upstream provider
+ *
+ * Limits come from the provider configuration (dailyQuota / monthlyQuota in
+ * PROVIDER_CONFIG, null = unlimited). Counters live in the state store (./stateStore.js),
+ * where lookup traffic cannot evict them, and reset at UTC day and month boundaries.
+ */
+
+import { getStateStore } from './stateStore';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const dayKey = (providerId, now) => `quota:${providerId}:day:${new Date(now).toISOString().slice(0, 10)}`;
+const monthKey = (providerId, now) => `quota:${providerId}:month:${new Date(now).toISOString().slice(0, 7)}`;
+
+/**
+ * Get a provider's usage for the current day and month
+ * Returns { daily, monthly, dailyQuota, monthlyQuota, exhausted }
+ */
+export const getQuotaUsage = async (provider, now = Date.now()) => {
+  const store = getStateStore();
+  let daily = 0;
+  let monthly = 0;
+  try {
+    [daily, monthly] = await Promise.all([
+      store.get(dayKey(provider.id, now)),
+      store.get(monthKey(provider.id, now)),
+    ]).then((counts) => counts.map((count) => count || 0));
+  } catch (error) {
+    console.warn(`[Quota] ⚠️ Read failed for ${provider.id}:`, error.message);
+  }
+
+  const dailyQuota = provider.dailyQuota ?? null;
+  const monthlyQuota = provider.monthlyQuota ?? null;
+  return {
+    daily,
+    monthly,
+    dailyQuota,
+    monthlyQuota,
+    exhausted: (dailyQuota !== null && daily >= dailyQuota) || (monthlyQuota !== null && monthly >= monthlyQuota),
+  };
+};
+
+/**
+ * Count one upstream call against the provider's quota
+ */
+export const recordProviderCall = async (provider, now = Date.now()) => {
+  const store = getStateStore();
+  try {
+    await Promise.all([
+      store.increment(dayKey(provider.id, now), 2 * DAY),
+      store.increment(monthKey(provider.id, now), 32 * DAY),
+    ]);
+  } catch (error) {
+    console.warn(`[Quota] ⚠️ Write failed for ${provider.id}:`, error.message);
+  }
+};
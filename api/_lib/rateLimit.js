@@ -0,0 +1,79 @@
+/**
+ * Per-client rate limiting (token bucket) for the serverless functions
+ *
+ * Each client gets a bucket of RATE_LIMIT_BURST tokens that refills at
+ * RATE_LIMIT_PER_MINUTE tokens per minute; every request takes one token.
+ * Clients are identified by an API token (X-Api-Token header, only tokens listed in
+ * API_TOKENS) or otherwise by IP address. Buckets live in the shared cache store.
+ */
+
+import { getCacheStore } from './cacheStore';
+import { RATE_LIMIT_CONFIG } from '../../src/utils/constants';
+
+const MINUTE = 60 * 1000;
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getRateLimitConfig = () => ({
+  burst: readNumber('RATE_LIMIT_BURST', RATE_LIMIT_CONFIG.burst),
+  perMinute: readNumber('RATE_LIMIT_PER_MINUTE', RATE_LIMIT_CONFIG.perMinute),
+});
+
+const getApiTokens = () =>
+  (process.env.API_TOKENS || '').split(',').map((token) => token.trim()).filter(Boolean);
+
+/**
+ * Identify the client behind a request
+ */
+export const getClientKey = (req) => {
+  const token = req.headers['x-api-token'];
+  if (token && getApiTokens().includes(token)) {
+    return `token:${token}`;
+  }
+
+  // Vercel puts the client address first in x-forwarded-for
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0].trim() : req.socket?.remoteAddress;
+  return `ip:${ip || 'unknown'}`;
+};
+
+/**
+ * Take a token from the client's bucket
+ * Returns { allowed, remaining, retryAfter } - retryAfter in seconds when not allowed
+ */
+export const takeToken = async (clientKey) => {
+  const { burst, perMinute } = getRateLimitConfig();
+  const store = getCacheStore();
+  const key = `ratelimit:${clientKey}`;
+  const now = Date.now();
+  const refillPerMs = perMinute / MINUTE;
+
+  let bucket = null;
+  try {
+    bucket = await store.get(key);
+  } catch (error) {
+    // Fail open - a cache outage must not block every lookup
+    console.warn('[RateLimit] ⚠️ Read failed:', error.message);
+    return { allowed: true, remaining: burst, retryAfter: 0 };
+  }
+
+  const tokens = bucket
+    ? Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+    : burst;
+
+  if (tokens < 1) {
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) };
+  }
+
+  // Keep the bucket until it would be full again
+  const ttl = Math.ceil((burst - (tokens - 1)) / refillPerMs);
+  try {
+    await store.set(key, { tokens: tokens - 1, updatedAt: now }, ttl);
+  } catch (error) {
+    console.warn('[RateLimit] ⚠️ Write failed:', error.message);
+  }
+  return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+};
@@ -0,0 +1,69 @@
+/**
+ * Retry with exponential backoff and jitter for provider calls
+ */
+
+import { RETRY_CONFIG } from '../../src/utils/constants';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Network errors, timeouts, 429 and 5xx responses are worth another try;
+ * anything else (404, 401, bad JSON, missing key) will fail the same way again
+ */
+export const isRetryableError = (error) => {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  // fetch rejects with a TypeError when the network request itself fails
+  return error.name === 'TypeError' || error.name === 'TimeoutError';
+};
+
+/**
+ * Delay before the next attempt (attempt is 1 for the first retry)
+ * Uses "equal jitter": half the exponential delay plus a random part of the other half
+ */
+export const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs }, error) => {
+  if (error && error.retryAfter) {
+    return Math.min(error.retryAfter * 1000, maxDelayMs);
+  }
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Resolve a provider's retry policy from the defaults and its configuration
+ */
+export const getRetryPolicy = (provider) => ({
+  ...RETRY_CONFIG,
+  ...(provider.timeoutMs ? { timeoutMs: provider.timeoutMs } : {}),
+  ...provider.retry,
+});
+
+/**
+ * Time an attempt may take: the policy timeout, cut to what is left before the deadline
+ */
+export const getAttemptTimeout = (policy, deadline) =>
+  deadline ? Math.max(0, Math.min(policy.timeoutMs, deadline - Date.now())) : policy.timeoutMs;
+
+/**
+ * Call fn(attempt, timeoutMs) until it succeeds, the error is not retryable, maxAttempts
+ * is reached or the deadline (a timestamp, optional) leaves no time for another attempt
+ * onRetry(error, attempt, delay) is called before each retry.
+ */
+export const withRetry = async (fn, policy, { onRetry, deadline } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt, getAttemptTimeout(policy, deadline));
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getBackoffDelay(attempt, policy, error);
+      if (deadline && Date.now() + delay + policy.minAttemptMs > deadline) {
+        throw error;
+      }
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+};
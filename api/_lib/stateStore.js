@@ -0,0 +1,187 @@
+/**
+ * Durable server state for the serverless functions
+ *
+ * Provider quota counters, circuit breakers, the shared catalog and the last health
+ * check results must survive lookup traffic, so they are kept apart from the lookup
+ * cache (./cacheStore.js, which evicts its oldest entries). It is chosen with STATE_STORE:
+ * - redis (default when REDIS_REST_URL is set): shared by all function instances
+ * - file: JSON files in STATE_DIR (default /tmp/scan-barcode-state), for a single server
+ * - memory (default otherwise): per function instance and lost on a cold start, so
+ *   limits are not enforced across instances; for local development
+ *
+ * A state store has the cache store interface (get, set, delete, increment), never
+ * evicts, and also keeps records: one entry per id in a named collection, each written
+ * on its own and atomically, so concurrent edits of different records never overwrite
+ * each other.
+ * {
+ *   shared: true,   // Same state for every function instance
+ *   durable: true,  // Survives a restart
+ *   getRecord: async (collection, id) => value | null,
+ *   putRecord: async (collection, id, value) => void,
+ *   deleteRecord: async (collection, id) => boolean, // false when it did not exist
+ *   listRecords: async (collection) => [value],
+ * }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createFileStore, createMemoryStore, createRedisRestClient, createRedisRestStore } from './cacheStore';
+
+const DEFAULT_STATE_DIR = '/tmp/scan-barcode-state';
+
+/**
+ * In-memory state store (nothing is evicted; entries only go when they expire)
+ */
+export const createMemoryStateStore = () => {
+  // collection -> Map(id -> JSON), serialized like the other stores
+  const collections = new Map();
+  const getCollection = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+
+  return {
+    ...createMemoryStore({ maxEntries: Infinity }),
+    shared: false,
+    durable: false,
+    async getRecord(collection, id) {
+      const json = getCollection(collection).get(id);
+      return json === undefined ? null : JSON.parse(json);
+    },
+    async putRecord(collection, id, value) {
+      getCollection(collection).set(id, JSON.stringify(value));
+    },
+    async deleteRecord(collection, id) {
+      return getCollection(collection).delete(id);
+    },
+    async listRecords(collection) {
+      return Array.from(getCollection(collection).values(), (json) => JSON.parse(json));
+    },
+  };
+};
+
+/**
+ * File state store - records are files in {dir}/records/{collection}/
+ */
+export const createFileStateStore = ({ dir = DEFAULT_STATE_DIR } = {}) => {
+  const collectionDir = (collection) => path.join(dir, 'records', encodeURIComponent(collection));
+  const recordFile = (collection, id) => path.join(collectionDir(collection), `${encodeURIComponent(id)}.json`);
+
+  const readRecord = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    ...createFileStore({ dir }),
+    shared: false,
+    durable: true,
+    getRecord: (collection, id) => readRecord(recordFile(collection, id)),
+    async putRecord(collection, id, value) {
+      const file = recordFile(collection, id);
+      await fs.mkdir(collectionDir(collection), { recursive: true });
+      // Rename is atomic, so readers see the old record or the new one, never half of one
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(value));
+      await fs.rename(temp, file);
+    },
+    async deleteRecord(collection, id) {
+      try {
+        await fs.unlink(recordFile(collection, id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+    async listRecords(collection) {
+      let names;
+      try {
+        names = await fs.readdir(collectionDir(collection));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const records = await Promise.all(
+        names.filter((name) => name.endsWith('.json')).map((name) => readRecord(path.join(collectionDir(collection), name)))
+      );
+      // A record deleted while listing reads as null
+      return records.filter(Boolean);
+    },
+  };
+};
+
+/**
+ * Redis state store - each collection is a hash (records:{collection}), one field per
+ * record; HSET and HDEL change a single field atomically
+ */
+export const createRedisStateStore = ({ url, token }) => {
+  const call = createRedisRestClient({ url, token });
+  const hashKey = (collection) => `records:${collection}`;
+  const field = (id) => `/${encodeURIComponent(id)}`;
+
+  return {
+    ...createRedisRestStore({ url, token }),
+    shared: true,
+    durable: true,
+    async getRecord(collection, id) {
+      const { result } = await call('hget', hashKey(collection), { query: field(id) });
+      return result ? JSON.parse(result) : null;
+    },
+    async putRecord(collection, id, value) {
+      await call('hset', hashKey(collection), { method: 'POST', body: JSON.stringify(value), query: field(id) });
+    },
+    async deleteRecord(collection, id) {
+      const { result } = await call('hdel', hashKey(collection), { query: field(id) });
+      return result > 0;
+    },
+    async listRecords(collection) {
+      // HGETALL answers [field, value, field, value, ...]
+      const { result } = await call('hgetall', hashKey(collection));
+      return (result || []).filter((_, index) => index % 2 === 1).map((json) => JSON.parse(json));
+    },
+  };
+};
+
+let sharedStateStore = null;
+
+/**
+ * Get the state store configured through the environment (created once per instance)
+ */
+export const getStateStore = () => {
+  if (sharedStateStore) return sharedStateStore;
+
+  const type = process.env.STATE_STORE || (process.env.REDIS_REST_URL ? 'redis' : 'memory');
+  switch (type) {
+    case 'file':
+      sharedStateStore = createFileStateStore({ dir: process.env.STATE_DIR || DEFAULT_STATE_DIR });
+      break;
+    case 'redis':
+      sharedStateStore = createRedisStateStore({ url: process.env.REDIS_REST_URL, token: process.env.REDIS_REST_TOKEN });
+      break;
+    case 'memory':
+      sharedStateStore = createMemoryStateStore();
+      break;
+    default:
+      throw new Error(`Unknown state store "${type}". Use memory, file or redis.`);
+  }
+
+  if (sharedStateStore.shared) {
+    console.log(`[State] Using ${sharedStateStore.name} store`);
+  } else {
+    console.warn(`[State] ⚠️ Using ${sharedStateStore.name} store: quotas and breakers only count calls made by this instance, catalog edits are disabled`);
+  }
+  return sharedStateStore;
+};
+
+/**
+ * Replace the state store (e.g. to plug in a custom implementation)
+ * Custom stores must implement the interface above and must not evict entries.
+ */
+export const setStateStore = (store) => {
+  sharedStateStore = store;
+};
@@ -0,0 +1,28 @@
+/**
+ * Access tokens for the serverless functions
+ *
+ * Clients send a token in the X-Api-Token header; the accepted tokens are comma separated
+ * lists in environment variables (e.g. CATALOG_TOKENS). An empty list accepts nothing.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * Tokens listed in an environment variable
+ */
+export const readTokens = (name) =>
+  (process.env[name] || '').split(',').map((token) => token.trim()).filter(Boolean);
+
+// Hash first: timingSafeEqual needs equal lengths, and the length must not leak either
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+/**
+ * Whether the request carries one of the tokens
+ */
+export const hasToken = (req, tokens) => {
+  const sent = req.headers['x-api-token'];
+  if (!sent) return false;
+  const sentDigest = digest(sent);
+  // Compare against every token so the timing does not tell which one matched
+  return tokens.reduce((match, token) => timingSafeEqual(digest(token), sentDigest) || match, false);
+};
@@ -0,0 +1,105 @@
+/**
+ * Vercel Serverless Function for one shared catalog item
+ * GET    /api/catalog/{key}   - read an item
+ * PUT    /api/catalog/{key}   - replace an item (changing its gtin / itemCode moves it to the new key)
+ * DELETE /api/catalog/{key}   - remove an item
+ *
+ * key is the GTIN-14 of a barcoded product or item:{itemCode} for in-store items.
+ * Writes need an X-Api-Token listed in CATALOG_TOKENS and a durable state store.
+ *
+ * Responses:
+ * - 200: the item (GET, PUT)
+ * - 204: deleted
+ * - 400: invalid item (PUT)
+ * - 401: write without a valid catalog token
+ * - 404: no item with this key
+ * - 409: the changed gtin / itemCode belongs to another item (PUT)
+ * - 503: write while the state store is the per-instance memory store
+ */
+
+import { canEditCatalog, deleteCatalogItem, getCatalogItem, isCatalogWritable, saveCatalogItems } from '../_lib/catalog';
+import { applyCors } from '../_lib/cors';
+import { getClientKey, takeToken } from '../_lib/rateLimit';
+import { createCatalogItem } from '../../src/utils/catalogItem';
+
+const METHODS = ['GET', 'PUT', 'DELETE'];
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'GET,PUT,DELETE,OPTIONS')) {
+    return;
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!METHODS.includes(req.method)) {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const limit = await takeToken(getClientKey(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+    return;
+  }
+
+  const { key } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const item = await getCatalogItem(key);
+      if (item) res.status(200).json(item);
+      else res.status(404).json({ error: 'Catalog item not found' });
+      return;
+    }
+
+    if (!canEditCatalog(req)) {
+      res.status(401).json({ error: 'Catalog token required' });
+      return;
+    }
+    if (!isCatalogWritable()) {
+      res.status(503).json({
+        error: 'Catalog is read-only',
+        message: 'Catalog edits need a durable state store: set STATE_STORE to redis or file.',
+      });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const deleted = await deleteCatalogItem(key);
+      if (deleted) res.status(204).end();
+      else res.status(404).json({ error: 'Catalog item not found' });
+      return;
+    }
+
+    if (!(await getCatalogItem(key))) {
+      res.status(404).json({ error: 'Catalog item not found' });
+      return;
+    }
+    // Moving the item must not overwrite the one already stored under the new key
+    const { valid, item: target } = createCatalogItem(req.body || {});
+    if (valid && target.key !== key && (await getCatalogItem(target.key))) {
+      res.status(409).json({ error: 'Catalog item already exists', key: target.key });
+      return;
+    }
+    const { saved, invalid } = await saveCatalogItems([req.body || {}]);
+    if (saved.length === 0) {
+      res.status(400).json({ error: 'Invalid catalog item', message: invalid[0].errors.join(' ') });
+      return;
+    }
+    if (saved[0].key !== key) {
+      await deleteCatalogItem(key);
+    }
+    res.status(200).json(saved[0]);
+  } catch (error) {
+    console.error('[Catalog] Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message || 'Unknown error occurred'
+    });
+  }
+}
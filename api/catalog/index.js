@@ -0,0 +1,80 @@
+/**
+ * Vercel Serverless Function for the shared local catalog
+ * GET  /api/catalog           - list all items
+ * POST /api/catalog           - add or replace items: one item, or { items: [...] } to import
+ *
+ * Item format and validation: src/utils/catalogItem.js. Writes need an X-Api-Token
+ * listed in CATALOG_TOKENS and a durable state store (see ../_lib/catalog.js).
+ *
+ * Responses:
+ * - 200: { items } (GET)
+ * - 201: { saved, invalid } (POST) - invalid lists rejected items with their errors
+ * - 400: no valid item in the request
+ * - 401: write without a valid catalog token
+ * - 503: write while the state store is the per-instance memory store
+ */
+
+import { canEditCatalog, isCatalogWritable, listCatalogItems, saveCatalogItems } from '../_lib/catalog';
+import { applyCors } from '../_lib/cors';
+import { getClientKey, takeToken } from '../_lib/rateLimit';
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, 'GET,POST,OPTIONS')) {
+    return;
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const limit = await takeToken(getClientKey(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json({ items: await listCatalogItems() });
+      return;
+    }
+
+    if (!canEditCatalog(req)) {
+      res.status(401).json({ error: 'Catalog token required' });
+      return;
+    }
+    if (!isCatalogWritable()) {
+      res.status(503).json({
+        error: 'Catalog is read-only',
+        message: 'Catalog edits need a durable state store: set STATE_STORE to redis or file.',
+      });
+      return;
+    }
+
+    const body = req.body || {};
+    const inputs = Array.isArray(body.items) ? body.items : [body];
+    const { saved, invalid } = await saveCatalogItems(inputs);
+    if (saved.length === 0) {
+      res.status(400).json({ error: 'Invalid catalog item', invalid });
+      return;
+    }
+
+    console.log(`[Catalog] Saved ${saved.length} items (${invalid.length} rejected)`);
+    res.status(201).json({ saved, invalid });
+  } catch (error) {
+    console.error('[Catalog] Error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message || 'Unknown error occurred'
+    });
+  }
+}
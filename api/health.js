@@ -0,0 +1,56 @@
+/**
+ * Vercel Serverless Function reporting lookup provider health
+ * GET /api/health[?refresh=1]
+ *
+ * Without a token: whether each provider is configured and its circuit breaker state.
+ * Nothing is called upstream and no error text or quota usage is shown.
+ * With an X-Api-Token listed in CATALOG_TOKENS (the staff token of the catalog routes):
+ * for each provider a live check against the test GTIN (HTTP status, latency, quota
+ * headers, error), circuit breaker, quota usage and retry policy. Results are reused for
+ * HEALTH_CONFIG.cacheMs; refresh=1 runs new checks, but never more often than every
+ * HEALTH_CONFIG.minRefreshMs.
+ * Answers 200 while at least one provider works and 503 when none does.
+ */
+
+import { applyCors } from './_lib/cors';
+import { HEALTH_STATUS, getHealth, getPublicHealth } from './_lib/health';
+import { getClientKey, takeToken } from './_lib/rateLimit';
+import { hasToken, readTokens } from './_lib/tokens';
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res)) {
+    return;
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const limit = await takeToken(getClientKey(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+    return;
+  }
+
+  try {
+    // Live checks spend provider quota, so only staff may run them
+    const health = hasToken(req, readTokens('CATALOG_TOKENS'))
+      ? await getHealth({ refresh: req.query.refresh === '1' })
+      : await getPublicHealth();
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(health.status === HEALTH_STATUS.DOWN ? 503 : 200).json(health);
+  } catch (error) {
+    console.error('[Health] Error:', error);
+    // No error text: it can come from the state store or a provider
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
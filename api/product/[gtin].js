@@ -0,0 +1,133 @@
+/**
+ * Vercel Serverless Function for product lookups
+ * GET /api/product/{gtin}?mode=first|complete
+ *
+ * Runs the whole provider chain server side so provider API keys stay in the
+ * server environment (BARCODE_LOOKUP_API_KEY, RAPIDAPI_KEY). Answers are cached in the
+ * shared store and concurrent requests for one barcode share an upstream lookup
+ * (see ../_lib/lookupCache.js). X-Cache reports HIT, MISS or COALESCED and Age the
+ * age of the answer in seconds.
+ *
+ * The shared local catalog (see ../_lib/catalog.js) is read first: a catalog item
+ * overrides provider fields and answers on its own when no provider knows the product.
+ *
+ * Responses:
+ * - 200: canonical product with lookup metadata
+ * - 400: invalid barcode or mode
+ * - 403: cross-origin request from an origin not in ALLOWED_ORIGINS
+ * - 404: no provider knows the product
+ * - 429: client rate limit hit (see Retry-After)
+ * - 502: no product found and at least one provider failed
+ * - 503: no product found and a provider was skipped (quota exhausted, circuit open or
+ *        out of time); providers without an API key are skipped but never cause a 503
+ */
+
+import { findCatalogItem } from '../_lib/catalog';
+import { applyCors } from '../_lib/cors';
+import { isTemporarySkip, withFieldMetadata } from '../_lib/lookup';
+import { cachedLookup } from '../_lib/lookupCache';
+import { getClientKey, takeToken } from '../_lib/rateLimit';
+import { LOOKUP_CONFIG, LOOKUP_MODES } from '../../src/utils/constants';
+import { applyCatalogItem } from '../../src/utils/catalogItem';
+import { parseGtin } from '../../src/utils/gtin';
+
+/**
+ * Summarize provider attempts for the client (no raw payloads)
+ */
+const summarizeAttempts = (attempts) =>
+  attempts.map(({ provider, data, error, skipped }) => ({
+    provider: provider.id,
+    name: provider.name,
+    found: Boolean(data),
+    error: error ? error.message : null,
+    skipped: skipped || null,
+  }));
+
+export default async function handler(req, res) {
+  // Only the app itself and ALLOWED_ORIGINS may call this endpoint
+  if (!applyCors(req, res)) {
+    return;
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const limit = await takeToken(getClientKey(req));
+  res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+    return;
+  }
+
+  // Validate barcode format and GS1 check digit
+  const gtin = parseGtin(req.query.gtin || '');
+  if (!gtin.valid) {
+    res.status(400).json({ error: 'Invalid barcode format.', message: gtin.reason });
+    return;
+  }
+
+  const mode = req.query.mode || LOOKUP_CONFIG.mode;
+  if (!Object.values(LOOKUP_MODES).includes(mode)) {
+    res.status(400).json({ error: 'Invalid lookup mode.', message: `Use one of: ${Object.values(LOOKUP_MODES).join(', ')}` });
+    return;
+  }
+
+  const catalogItem = await findCatalogItem(gtin.gtin14);
+
+  try {
+    console.log(`[Product] Looking up ${gtin.gtin} (${mode})${catalogItem ? ' - in local catalog' : ''}`);
+    let lookup;
+    try {
+      lookup = await cachedLookup(gtin.gtin, gtin.gtin14, mode);
+    } catch (error) {
+      // The catalog can still answer on its own
+      if (!catalogItem) throw error;
+      console.warn('[Product] ⚠️ Provider lookup failed, answering from the catalog:', error.message);
+      res.status(200).json(withFieldMetadata(applyCatalogItem(null, catalogItem)));
+      return;
+    }
+    const { product, attempts, fetchedAt, cacheStatus } = lookup;
+    res.setHeader('X-Cache', cacheStatus);
+    res.setHeader('Age', String(Math.max(0, Math.floor((Date.now() - fetchedAt) / 1000))));
+
+    if (catalogItem) {
+      res.status(200).json(withFieldMetadata(applyCatalogItem(product, catalogItem)));
+      return;
+    }
+    if (product) {
+      res.status(200).json(product);
+      return;
+    }
+
+    const summary = summarizeAttempts(attempts);
+    // Not a definite "not found" - a provider that might know the product was not asked
+    if (attempts.some(isTemporarySkip) && !attempts.some((attempt) => attempt.error)) {
+      res.status(503).json({ error: 'Lookup provider temporarily unavailable', attempts: summary });
+      return;
+    }
+
+    const failed = attempts.some((attempt) => attempt.error);
+    res.status(failed ? 502 : 404).json({
+      error: failed ? 'Lookup providers failed' : 'Product not found',
+      attempts: summary,
+    });
+  } catch (error) {
+    console.error('[Product] Error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message || 'Unknown error occurred'
+      });
+    }
+  }
+}
@@ -1,44 +1,156 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import BarcodeScanner from './components/BarcodeScanner';
 import ProductDisplay from './components/ProductDisplay';
 import ErrorDisplay from './components/ErrorDisplay';
+import ScanHistory from './components/ScanHistory';
+import BatchSession from './components/BatchSession';
+import BulkImport from './components/BulkImport';
+import CatalogManager from './components/CatalogManager';
+import HealthDashboard from './components/HealthDashboard';
+import LanguageSwitch from './components/LanguageSwitch';
+import ScanResultDisplay from './components/ScanResultDisplay';
+import { useTranslation } from './i18n/useTranslation';
 import { fetchProductByBarcode } from './utils/api';
 import { validateBarcode } from './utils/validation';
+import { SCAN_KINDS, routeScan } from './utils/scanRouter';
+import { ERROR_MESSAGES } from './utils/constants';
+import { ERROR_CODES, InvalidBarcodeError, toAppError } from './utils/errors';
+import {
+  addHistoryEntry,
+  getHistory,
+  removeHistoryEntry,
+  updateHistoryEntry,
+} from './utils/scanHistory';
+import {
+  ITEM_STATUS,
+  addScan,
+  loadSession,
+  removeItem,
+  saveSession,
+  setQuantity,
+  updateItem,
+} from './utils/batchSession';
 import './App.css';
 
+const MODES = {
+  SINGLE: 'single',
+  BATCH: 'batch',
+  IMPORT: 'import',
+  CATALOG: 'catalog',
+};
+
 function App() {
+  const { t } = useTranslation();
   const [productData, setProductData] = useState(null);
+  const [scanResult, setScanResult] = useState(null);
+  // Batch, expiry, serial... from a GS1-128 / GS1 DataMatrix scan of the shown product
+  const [gs1Data, setGs1Data] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [scanning, setScanning] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [mode, setMode] = useState(MODES.SINGLE);
+  // GTIN to start a new catalog item with, after a product was not found
+  const [catalogGtin, setCatalogGtin] = useState(null);
+  const [batchItems, setBatchItems] = useState(loadSession);
+  const batchItemsRef = useRef(batchItems);
   const lastBarcodeRef = useRef(null);
+  // Id of the lookup whose result may be shown; answers to older lookups are dropped
+  const lookupIdRef = useRef(0);
+
+  // Load persisted scan history
+  useEffect(() => {
+    getHistory().then(setHistory);
+  }, []);
 
-  const handleBarcodeScanned = useCallback(async (barcode) => {
+  // Persist the batch session on every change
+  useEffect(() => {
+    batchItemsRef.current = batchItems;
+    saveSession(batchItems);
+  }, [batchItems]);
+
+  /**
+   * Stop showing the result of a pending lookup (something else is on screen now)
+   */
+  const cancelLookup = useCallback(() => {
+    lookupIdRef.current += 1;
+    setLoading(false);
+  }, []);
+
+  const handleBarcodeScanned = useCallback(async (barcode, gs1 = null, { skipCache = false } = {}) => {
     // Validate barcode format
     const validation = validateBarcode(barcode);
     if (!validation.valid) {
-      setError(validation.error);
-      setLoading(false);
+      cancelLookup();
+      setError(new InvalidBarcodeError(validation.error));
       setScanning(false);
       return;
     }
 
+    // Lookups can answer out of order: only the latest one may change the screen
+    const lookupId = ++lookupIdRef.current;
+    const isCurrent = () => lookupIdRef.current === lookupId;
+
     // Store the barcode for retry functionality
     lastBarcodeRef.current = validation.value;
 
     setLoading(true);
     setError(null);
     setProductData(null);
+    setGs1Data(gs1);
 
     try {
-      const data = await fetchProductByBarcode(validation.value);
-      setProductData(data);
+      const data = await fetchProductByBarcode(validation.value, {
+        skipCache,
+        // A stale cached product was shown - swap in the refreshed data if it is still on screen
+        onRevalidate: (fresh) => {
+          if (isCurrent()) {
+            setProductData(fresh);
+          }
+        },
+      });
+      if (isCurrent()) {
+        setProductData(data);
+      }
+
+      // The scan still belongs in the history when a newer one is shown
+      const entry = await addHistoryEntry(validation.value, data);
+      setHistory((entries) => [entry, ...entries]);
     } catch (err) {
-      setError(err.message || 'Failed to fetch product data');
+      if (isCurrent()) {
+        setError(toAppError(err));
+      }
     } finally {
-      setLoading(false);
-      setScanning(false);
+      if (isCurrent()) {
+        setLoading(false);
+        setScanning(false);
+      }
+    }
+  }, [cancelLookup]);
+
+  const handleScan = useCallback((text, format) => {
+    const route = routeScan(text, format);
+    setScanResult(null);
+
+    if (route.kind === SCAN_KINDS.PRODUCT) {
+      handleBarcodeScanned(route.gtin, route.gs1);
+      return;
+    }
+
+    cancelLookup();
+    setProductData(null);
+    setScanning(false);
+    if (route.kind === SCAN_KINDS.INVALID) {
+      setError(new InvalidBarcodeError(route.error));
+      return;
     }
+
+    setError(null);
+    setScanResult(route);
+  }, [handleBarcodeScanned, cancelLookup]);
+
+  const handleScanResultDismiss = useCallback(() => {
+    setScanResult(null);
   }, []);
 
   const handleErrorDismiss = useCallback(() => {
@@ -46,36 +158,164 @@ function App() {
   }, []);
 
   const handleRetry = useCallback(() => {
+    // A remembered "not found" would answer again - ask the providers
+    const options = { skipCache: error?.code === ERROR_CODES.NOT_FOUND };
     // Retry with the last scanned barcode
     if (lastBarcodeRef.current) {
-      handleBarcodeScanned(lastBarcodeRef.current);
+      handleBarcodeScanned(lastBarcodeRef.current, gs1Data, options);
     } else if (productData) {
       // Fallback: try to get barcode from product data
-      const lastBarcode = productData.gtin || productData.gtin13 || productData.gtin14 || productData.upc;
+      const lastBarcode = productData.identifiers?.gtin;
       if (lastBarcode) {
-        handleBarcodeScanned(lastBarcode.toString());
+        handleBarcodeScanned(lastBarcode.toString(), null, options);
       }
     }
-  }, [productData, handleBarcodeScanned]);
+  }, [error, productData, gs1Data, handleBarcodeScanned]);
+
+  const handleAddToCatalog = useCallback((gtin) => {
+    setError(null);
+    setCatalogGtin(gtin);
+    setMode(MODES.CATALOG);
+  }, []);
+
+  const handleModeChange = useCallback((value) => {
+    setCatalogGtin(null);
+    setMode(value);
+  }, []);
+
+  const handleHistoryView = useCallback((entry) => {
+    // Show the stored result without another network call
+    cancelLookup();
+    lastBarcodeRef.current = entry.barcode;
+    setError(null);
+    setScanResult(null);
+    setGs1Data(null);
+    setProductData(entry.product);
+  }, [cancelLookup]);
+
+  const handleImportView = useCallback((product) => {
+    cancelLookup();
+    lastBarcodeRef.current = product.identifiers?.gtin || null;
+    setError(null);
+    setScanResult(null);
+    setGs1Data(null);
+    setProductData(product);
+  }, [cancelLookup]);
+
+  const handleHistoryRelookup = useCallback((entry) => {
+    handleBarcodeScanned(entry.barcode);
+  }, [handleBarcodeScanned]);
+
+  const handleHistoryToggleFavorite = useCallback(async (entry) => {
+    const updated = await updateHistoryEntry(entry, { favorite: !entry.favorite });
+    setHistory((entries) => entries.map((e) => (e.key === updated.key ? updated : e)));
+  }, []);
+
+  const handleHistoryDelete = useCallback(async (entry) => {
+    await removeHistoryEntry(entry.key);
+    setHistory((entries) => entries.filter((e) => e.key !== entry.key));
+  }, []);
+
+  const lookupBatchItem = useCallback(async (barcode) => {
+    setBatchItems((items) => updateItem(items, barcode, { status: ITEM_STATUS.PENDING, error: null }));
+    try {
+      const product = await fetchProductByBarcode(barcode);
+      setBatchItems((items) => updateItem(items, barcode, { status: ITEM_STATUS.FOUND, product }));
+    } catch (err) {
+      setBatchItems((items) => updateItem(items, barcode, { status: ITEM_STATUS.ERROR, error: err.message }));
+    }
+  }, []);
+
+  // Resume lookups that were still pending when the page was closed
+  useEffect(() => {
+    batchItemsRef.current
+      .filter((item) => item.status === ITEM_STATUS.PENDING)
+      .forEach((item) => lookupBatchItem(item.barcode));
+  }, [lookupBatchItem]);
+
+  const handleBatchScan = useCallback((text, format) => {
+    // Manual input is not validated by the scanner; only products can be counted
+    const route = routeScan(text, format);
+    if (route.kind === SCAN_KINDS.INVALID) {
+      setError(new InvalidBarcodeError(route.error));
+      return;
+    }
+    if (route.kind !== SCAN_KINDS.PRODUCT) {
+      setError(new InvalidBarcodeError(ERROR_MESSAGES.NOT_A_PRODUCT));
+      return;
+    }
+
+    const isNew = !batchItemsRef.current.some((item) => item.barcode === route.gtin);
+    setBatchItems((items) => addScan(items, route.gtin));
+    // Only new barcodes need a lookup; repeats just increase the count
+    if (isNew) {
+      lookupBatchItem(route.gtin);
+    }
+  }, [lookupBatchItem]);
+
+  const handleBatchQuantityChange = useCallback((barcode, quantity) => {
+    setBatchItems((items) => setQuantity(items, barcode, quantity));
+  }, []);
+
+  const handleBatchRemove = useCallback((barcode) => {
+    setBatchItems((items) => removeItem(items, barcode));
+  }, []);
+
+  const handleBatchClear = useCallback(() => {
+    setBatchItems([]);
+  }, []);
 
   return (
     <div className="App">
       <div className="container">
         <header className="header">
-          <h1>Barcode Product Scanner</h1>
-          <p>Scan a barcode to get product information</p>
+          <LanguageSwitch />
+          <h1>{t('app.title')}</h1>
+          <p>{t('app.subtitle')}</p>
         </header>
 
-        <BarcodeScanner
-          onScan={handleBarcodeScanned}
-          scanning={scanning}
-          setScanning={setScanning}
-        />
+        <div className="mode-switch" role="group" aria-label={t('app.modeSwitch')}>
+          {Object.values(MODES).map((value) => (
+            <button
+              key={value}
+              className={`mode-option ${mode === value ? 'active' : ''}`}
+              onClick={() => handleModeChange(value)}
+              disabled={scanning}
+              aria-pressed={mode === value}
+            >
+              {t(`app.modes.${value}`)}
+            </button>
+          ))}
+        </div>
+
+        {(mode === MODES.SINGLE || mode === MODES.BATCH) && (
+          <BarcodeScanner
+            onScan={mode === MODES.BATCH ? handleBatchScan : handleScan}
+            scanning={scanning}
+            setScanning={setScanning}
+            continuous={mode === MODES.BATCH}
+          />
+        )}
+
+        {mode === MODES.BATCH && (
+          <BatchSession
+            items={batchItems}
+            scanning={scanning}
+            onQuantityChange={handleBatchQuantityChange}
+            onRemove={handleBatchRemove}
+            onRetry={lookupBatchItem}
+            onClear={handleBatchClear}
+          />
+        )}
+
+        {mode === MODES.IMPORT && <BulkImport onView={handleImportView} />}
+
+        {mode === MODES.CATALOG && <CatalogManager newItemGtin={catalogGtin} />}
 
         {loading && (
           <div className="loading" role="status" aria-live="polite">
             <div className="spinner" aria-hidden="true"></div>
-            <p>Loading product information...</p>
+            <p>{t('app.loadingProduct')}</p>
           </div>
         )}
 
@@ -84,10 +324,27 @@ function App() {
             error={error}
             onDismiss={handleErrorDismiss}
             onRetry={handleRetry}
+            onAddToCatalog={handleAddToCatalog}
           />
         )}
 
-        {productData && <ProductDisplay product={productData} />}
+        {scanResult && (
+          <ScanResultDisplay result={scanResult} onDismiss={handleScanResultDismiss} />
+        )}
+
+        {productData && (
+          <ProductDisplay key={productData.identifiers?.gtin} product={productData} gs1={gs1Data} />
+        )}
+
+        <ScanHistory
+          entries={history}
+          onView={handleHistoryView}
+          onRelookup={handleHistoryRelookup}
+          onToggleFavorite={handleHistoryToggleFavorite}
+          onDelete={handleHistoryDelete}
+        />
+
+        <HealthDashboard />
       </div>
     </div>
   );
@@ -1,17 +1,66 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode';
+import CameraControls from './CameraControls';
 import ErrorDisplay from './ErrorDisplay';
-import { CAMERA_CONFIG, ERROR_MESSAGES } from '../utils/constants';
+import { useTranslation } from '../i18n/useTranslation';
+import { BATCH_CONFIG, CAMERA_CONFIG, ERROR_MESSAGES, SCAN_CONFIRM_CONFIG } from '../utils/constants';
+import { SCAN_KINDS, getFormatLabel, routeScan } from '../utils/scanRouter';
+import {
+  focusAt,
+  getCameraSource,
+  getPreferredCameraId,
+  listCameras,
+  readTrackControls,
+  setPreferredCameraId,
+  setTorch,
+  setZoom,
+} from '../utils/cameraControls';
+import { ERROR_CODES, toCameraError } from '../utils/errors';
+import { SCAN_FORMATS, decodeImageFile } from '../utils/imageDecoder';
+import { createScanner, getScannerStats } from '../utils/scanEngine';
+import { createScanConfirmer } from '../utils/scanConfirmation';
+import { signalScanConfirmed, unlockScanFeedback } from '../utils/scanFeedback';
 import './BarcodeScanner.css';
 
-const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
+// Box (shares of the camera picture) to pixels within the scanner view
+const toViewBox = (view, box) => {
+  const video = box && view && view.querySelector('video');
+  if (!video) return null;
+  const videoRect = video.getBoundingClientRect();
+  const viewRect = view.getBoundingClientRect();
+  return {
+    left: videoRect.left - viewRect.left + box.x * videoRect.width,
+    top: videoRect.top - viewRect.top + box.y * videoRect.height,
+    width: box.width * videoRect.width,
+    height: box.height * videoRect.height,
+  };
+};
+
+const BarcodeScanner = ({ onScan, scanning, setScanning, continuous = false }) => {
+  const { t } = useTranslation();
   const scannerRef = useRef(null);
-  const html5QrCodeRef = useRef(null);
+  const engineRef = useRef(null);
   const isScannerRunningRef = useRef(false);
+  // Continuous mode: last time each barcode was decoded, used to debounce repeats
+  const recentScansRef = useRef(new Map());
+  // A decode only counts once it repeats in a few frames (see utils/scanConfirmation.js)
+  const confirmerRef = useRef(createScanConfirmer());
   const scannerIdRef = useRef(`scanner-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
   const [manualInput, setManualInput] = useState('');
   const [isMobile, setIsMobile] = useState(false);
   const [cameraError, setCameraError] = useState(null);
+  const [imageDecoding, setImageDecoding] = useState(false);
+  const [imageError, setImageError] = useState(null);
+  // Barcodes found in an uploaded image, when there is more than one to choose from
+  const [imageResults, setImageResults] = useState([]);
+  const [cameras, setCameras] = useState([]);
+  // Torch / zoom / focus support of the running camera (see utils/cameraControls.js)
+  const [cameraControls, setCameraControls] = useState(null);
+  // Where the picture was last tapped to focus, for the focus ring
+  const [focusPoint, setFocusPoint] = useState(null);
+  // Decoding backend, frame rate and latency of the running scanner (see utils/scanEngine.js)
+  const [engineStats, setEngineStats] = useState(null);
+  // Highlight of the last confirmed code: its box on the picture when the decoder located it
+  const [confirmedScan, setConfirmedScan] = useState(null);
 
   // Detect mobile device
   useEffect(() => {
@@ -31,10 +80,10 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
   useEffect(() => {
     return () => {
       // CRITICAL: Stop scanner synchronously before React unmounts
-      if (html5QrCodeRef.current && isScannerRunningRef.current) {
-        const scannerInstance = html5QrCodeRef.current;
+      if (engineRef.current && isScannerRunningRef.current) {
+        const scannerInstance = engineRef.current;
         isScannerRunningRef.current = false;
-        html5QrCodeRef.current = null;
+        engineRef.current = null;
         
         // Stop synchronously - don't wait for async operations
         try {
@@ -61,8 +110,8 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
   
   // Cleanup when scanning becomes false
   useEffect(() => {
-    if (!scanning && html5QrCodeRef.current && isScannerRunningRef.current) {
-      const scannerInstance = html5QrCodeRef.current;
+    if (!scanning && engineRef.current && isScannerRunningRef.current) {
+      const scannerInstance = engineRef.current;
       isScannerRunningRef.current = false;
       
       // Clean up after a delay to let stop() complete
@@ -74,7 +123,7 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
         } catch (err) {
           // Ignore
         }
-        html5QrCodeRef.current = null;
+        engineRef.current = null;
       }, 300);
       
       return () => clearTimeout(timer);
@@ -84,10 +133,11 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
   const stopScanning = useCallback(async () => {
     // Mark as not running immediately to prevent new operations
     isScannerRunningRef.current = false;
+    setCameraControls(null);
     
     try {
-      if (html5QrCodeRef.current) {
-        const scannerInstance = html5QrCodeRef.current;
+      if (engineRef.current) {
+        const scannerInstance = engineRef.current;
         
         try {
           await scannerInstance.stop();
@@ -106,29 +156,60 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
     }
   }, [setScanning]);
 
-  const handleScanSuccess = useCallback((barcode) => {
-    stopScanning();
-    onScan(barcode);
-  }, [stopScanning, onScan]);
+  const handleScanSuccess = useCallback((text, format, box) => {
+    // Reject misreads (EAN/UPC with a bad GS1 check digit) and keep scanning
+    const route = routeScan(text, format);
+    if (route.kind === SCAN_KINDS.INVALID) {
+      console.warn('[Scanner] ⚠️ Rejected decode:', text, '-', route.error);
+      return;
+    }
+
+    // Wait until the same code was read in enough frames; products passed the check digit test
+    const key = route.gtin || route.text;
+    if (!confirmerRef.current.confirm(key, { verified: route.kind === SCAN_KINDS.PRODUCT })) {
+      return;
+    }
+
+    if (continuous) {
+      // Keep the camera on; ignore the same code while it stays in view
+      const now = Date.now();
+      const lastSeen = recentScansRef.current.get(key);
+      recentScansRef.current.set(key, now);
+      if (lastSeen && now - lastSeen < BATCH_CONFIG.debounceMs) {
+        return;
+      }
+    }
+
+    console.log('[Scanner] 🔒 Confirmed:', text);
+    signalScanConfirmed();
+    setConfirmedScan({ box: toViewBox(scannerRef.current, box), at: Date.now() });
+
+    if (!continuous) stopScanning();
+    onScan(text, format);
+  }, [continuous, stopScanning, onScan]);
 
   const startScanning = useCallback(async () => {
     // Prevent starting if already running
     if (isScannerRunningRef.current) {
       return;
     }
+    // Runs inside the Start Camera click, where browsers allow audio to start
+    unlockScanFeedback();
 
     try {
       setScanning(true);
+      recentScansRef.current.clear();
+      confirmerRef.current.reset();
       
       // Clean up any existing instance before creating a new one
-      if (html5QrCodeRef.current) {
+      if (engineRef.current) {
         try {
-          await html5QrCodeRef.current.stop().catch(() => {});
-          html5QrCodeRef.current.clear();
+          await engineRef.current.stop().catch(() => {});
+          engineRef.current.clear();
         } catch (err) {
           // Ignore cleanup errors
         }
-        html5QrCodeRef.current = null;
+        engineRef.current = null;
       }
       
       // Ensure scanner element exists
@@ -142,7 +223,8 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
         scannerRef.current.id = elementId;
       }
       
-      html5QrCodeRef.current = new Html5Qrcode(elementId);
+      // Native BarcodeDetector or ZXing in a worker where possible, else html5-qrcode
+      engineRef.current = await createScanner(elementId);
 
       // Calculate responsive qrbox size
       const viewportWidth = window.innerWidth;
@@ -166,25 +248,13 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
       // Configure scanner for better barcode detection
       // html5-qrcode works best with optimized settings for barcode scanning
       const config = {
-        fps: 10, // Higher FPS for better detection
+        fps: CAMERA_CONFIG.fps, // Maximum; the worker backends lower it while decoding is slow
         aspectRatio: 1.0,
         disableFlip: false,
         // Use fixed width/height for qrbox (required by html5-qrcode)
         qrbox: qrboxConfig,
         // Only include barcode formats (not QR codes) for better performance
-        formatsToSupport: [
-          Html5QrcodeSupportedFormats.CODE_128,  // Most common barcode format
-          Html5QrcodeSupportedFormats.CODE_39,
-          Html5QrcodeSupportedFormats.EAN_13,    // European Article Number
-          Html5QrcodeSupportedFormats.EAN_8,
-          Html5QrcodeSupportedFormats.UPC_A,     // Universal Product Code
-          Html5QrcodeSupportedFormats.UPC_E,
-          Html5QrcodeSupportedFormats.CODE_93,
-          Html5QrcodeSupportedFormats.CODABAR,
-          Html5QrcodeSupportedFormats.ITF,
-          // Keep QR_CODE for compatibility
-          Html5QrcodeSupportedFormats.QR_CODE,
-        ],
+        formatsToSupport: SCAN_FORMATS,
         // Enable verbose mode for debugging
         verbose: false,
         // Try harder to detect barcodes
@@ -197,43 +267,40 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
       console.log('[Scanner] Mobile mode:', isMobile);
       console.log('[Scanner] QRBox size:', qrboxConfig);
       
-      // Try to use native barcode detector API if available (better performance)
-      let cameraConfig = { facingMode: 'environment' };
+      const onDecoded = (decodedText, decodedResult) => {
+        console.log('[Scanner] ✅ Code detected:', decodedText);
+        console.log('[Scanner] Format:', decodedResult?.result?.format);
+        console.log('[Scanner] Full result:', decodedResult);
+        
+        // Pass the payload through untouched - alphanumeric Code 128 and QR URLs are valid scans
+        const format = decodedResult?.result?.format?.formatName;
+        handleScanSuccess(decodedText, format, decodedResult?.result?.box);
+      };
+      const onDecodeError = (errorMessage) => {
+        // Log all errors for debugging
+        console.debug('[Scanner] Scanning attempt:', errorMessage);
+      };
       
-      // Start the scanner
-      await html5QrCodeRef.current.start(
-        cameraConfig,
-        config,
-        (decodedText, decodedResult) => {
-          console.log('[Scanner] ✅ Code detected:', decodedText);
-          console.log('[Scanner] Format:', decodedResult?.result?.format);
-          console.log('[Scanner] Full result:', decodedResult);
-          
-          // Validate that it's a numeric barcode (UPC/EAN/GTIN)
-          // Remove any non-numeric characters (spaces, dashes, etc.)
-          const cleanedBarcode = decodedText.replace(/[^0-9]/g, '');
-          
-          if (/^\d{8,14}$/.test(cleanedBarcode)) {
-            console.log('[Scanner] ✅ Valid barcode format, processing:', cleanedBarcode);
-            handleScanSuccess(cleanedBarcode);
-          } else {
-            console.warn('[Scanner] ⚠️ Invalid barcode format:', cleanedBarcode, '(length:', cleanedBarcode.length, ')');
-            // Still try to use it if it's close (6-15 digits)
-            if (/^\d{6,15}$/.test(cleanedBarcode)) {
-              console.log('[Scanner] ⚠️ Using barcode despite unusual length:', cleanedBarcode);
-              handleScanSuccess(cleanedBarcode);
-            }
-          }
-        },
-        (errorMessage) => {
-          // Log all errors for debugging
-          console.debug('[Scanner] Scanning attempt:', errorMessage);
+      // Start the scanner with the camera picked last time, else any rear camera
+      try {
+        await engineRef.current.start(getCameraSource(), config, onDecoded, onDecodeError);
+      } catch (err) {
+        // The remembered camera may be gone (unplugged, or a different device)
+        if (!getPreferredCameraId() || toCameraError(err).code === ERROR_CODES.CAMERA_DENIED) {
+          throw err;
         }
-      );
+        console.warn('[Scanner] ⚠️ Saved camera unavailable, using the default one:', err);
+        setPreferredCameraId(null);
+        await engineRef.current.start(getCameraSource(), config, onDecoded, onDecodeError);
+      }
       
       // Mark scanner as running only after successful start
       isScannerRunningRef.current = true;
       setCameraError(null);
+      setCameraControls(readTrackControls(engineRef.current));
+      setEngineStats(getScannerStats(engineRef.current));
+      // Camera names are only readable once permission was granted
+      setCameras(await listCameras());
     } catch (err) {
       console.error('Error starting scanner:', err);
       
@@ -242,36 +309,141 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
       setScanning(false);
       
       // Try to clean up the scanner instance if it was created
-      if (html5QrCodeRef.current) {
+      if (engineRef.current) {
         try {
-          html5QrCodeRef.current.clear();
+          engineRef.current.clear();
         } catch (clearErr) {
           // Ignore clear errors
         }
-        html5QrCodeRef.current = null;
+        engineRef.current = null;
       }
       
-      let errorMessage = ERROR_MESSAGES.CAMERA_ERROR;
-      if (err.name === 'NotAllowedError' || err.message.includes('permission')) {
-        errorMessage = ERROR_MESSAGES.CAMERA_PERMISSION;
-      } else if (err.name === 'NotFoundError' || err.message.includes('camera')) {
-        errorMessage = 'Camera not found. Please ensure your device has a camera.';
-      }
-      
-      setCameraError(errorMessage);
+      setCameraError(toCameraError(err));
     }
   }, [isMobile, setScanning, handleScanSuccess]);
 
-  // Auto-start camera on mobile devices
+  const handleCameraChange = useCallback(async (deviceId) => {
+    setPreferredCameraId(deviceId);
+    // A running camera cannot be swapped; restart the scanner on the new one
+    const scannerInstance = engineRef.current;
+    isScannerRunningRef.current = false;
+    setCameraControls(null);
+    if (scannerInstance) {
+      try {
+        await scannerInstance.stop();
+      } catch (err) {
+        // Already stopped
+      }
+    }
+    startScanning();
+  }, [startScanning]);
+
+  const handleTorchToggle = useCallback(async () => {
+    const on = !cameraControls.torch;
+    try {
+      await setTorch(engineRef.current, on);
+      setCameraControls((current) => current && { ...current, torch: on });
+    } catch (err) {
+      console.warn('[Scanner] ⚠️ Torch toggle failed:', err);
+    }
+  }, [cameraControls]);
+
+  const handleZoomChange = useCallback((value) => {
+    setCameraControls((current) => current && { ...current, zoom: { ...current.zoom, value } });
+    setZoom(engineRef.current, value).catch((err) => console.warn('[Scanner] ⚠️ Zoom failed:', err));
+  }, []);
+
+  // Tap-to-focus on the camera picture
+  const handleViewTap = (e) => {
+    if (!scanning || !cameraControls || !cameraControls.focus) return;
+    const video = scannerRef.current.querySelector('video');
+    if (!video) return;
+
+    const videoRect = video.getBoundingClientRect();
+    const x = (e.clientX - videoRect.left) / videoRect.width;
+    const y = (e.clientY - videoRect.top) / videoRect.height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+    const viewRect = scannerRef.current.getBoundingClientRect();
+    setFocusPoint({ left: e.clientX - viewRect.left, top: e.clientY - viewRect.top, at: Date.now() });
+    focusAt(engineRef.current, { x, y }, cameraControls)
+      .catch((err) => console.warn('[Scanner] ⚠️ Tap-to-focus failed:', err));
+  };
+
+  // Refresh the decoder stats while the camera runs
+  useEffect(() => {
+    if (!scanning || !cameraControls) return undefined;
+    const timer = setInterval(() => {
+      if (engineRef.current) setEngineStats(getScannerStats(engineRef.current));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [scanning, cameraControls]);
+
+  // Drop the confirmed-code highlight after a moment
+  useEffect(() => {
+    if (!confirmedScan) return undefined;
+    const timer = setTimeout(() => setConfirmedScan(null), SCAN_CONFIRM_CONFIG.feedback.highlightMs);
+    return () => clearTimeout(timer);
+  }, [confirmedScan]);
+
+  // Hide the focus ring shortly after a tap
+  useEffect(() => {
+    if (!focusPoint) return undefined;
+    const timer = setTimeout(() => setFocusPoint(null), 1000);
+    return () => clearTimeout(timer);
+  }, [focusPoint]);
+
+  // Auto-start camera on mobile devices (not in continuous mode, so a stopped session can be reviewed)
   useEffect(() => {
-    if (isMobile && !scanning) {
+    if (isMobile && !scanning && !continuous) {
       // Small delay to ensure component is mounted
       const timer = setTimeout(() => {
         startScanning();
       }, 500);
       return () => clearTimeout(timer);
     }
-  }, [isMobile, scanning, startScanning]);
+  }, [isMobile, scanning, continuous, startScanning]);
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImageDecoding(true);
+    setImageError(null);
+    setImageResults([]);
+
+    try {
+      const decoded = await decodeImageFile(file);
+      console.log('[Scanner] Image decode results:', decoded);
+
+      // Drop misreads; keep everything else, once each
+      const results = decoded
+        .map(({ text, format }) => routeScan(text, format))
+        .filter((route) => route.kind !== SCAN_KINDS.INVALID)
+        .filter((route, index, routes) =>
+          routes.findIndex((other) => (other.gtin || other.text) === (route.gtin || route.text)) === index
+        );
+
+      if (results.length === 0) {
+        setImageError(ERROR_MESSAGES.IMAGE_NO_BARCODE);
+      } else if (results.length === 1) {
+        onScan(results[0].text, results[0].format);
+      } else {
+        setImageResults(results);
+      }
+    } catch (err) {
+      console.error('[Scanner] Image decode failed:', err);
+      setImageError(ERROR_MESSAGES.IMAGE_ERROR);
+    } finally {
+      setImageDecoding(false);
+    }
+  };
+
+  const handleImageResultPick = ({ text, format }) => {
+    setImageResults([]);
+    onScan(text, format);
+  };
 
   const handleManualSubmit = (e) => {
     e.preventDefault();
@@ -294,9 +466,10 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
       <div className="scanner-container">
         <div
           ref={scannerRef}
-          className={`scanner-view ${scanning ? 'active' : ''} ${isMobile ? 'mobile' : ''}`}
+          className={`scanner-view ${scanning ? 'active' : ''} ${isMobile ? 'mobile' : ''} ${cameraControls?.focus ? 'focusable' : ''} ${confirmedScan ? 'confirmed' : ''}`}
           role="region"
-          aria-label="Barcode scanner"
+          aria-label={t('scanner.region')}
+          onClick={handleViewTap}
         >
           {/* Always render placeholder, use CSS to hide when scanning */}
           <div 
@@ -314,55 +487,126 @@ const BarcodeScanner = ({ onScan, scanning, setScanning }) => {
               <rect x="3" y="3" width="18" height="18" rx="2" />
               <path d="M8 12h8M12 8v8" />
             </svg>
-            <p>{isMobile ? 'Camera will open automatically...' : 'Camera scanner will appear here'}</p>
+            <p>{isMobile ? t('scanner.placeholderMobile') : t('scanner.placeholderDesktop')}</p>
           </div>
+          {focusPoint && (
+            <span
+              key={focusPoint.at}
+              className="focus-ring"
+              style={{ left: focusPoint.left, top: focusPoint.top }}
+              aria-hidden="true"
+            />
+          )}
+          {confirmedScan && confirmedScan.box && (
+            <span
+              key={confirmedScan.at}
+              className="confirmed-box"
+              style={confirmedScan.box}
+              aria-hidden="true"
+            />
+          )}
         </div>
 
+        {scanning && cameraControls && (
+          <CameraControls
+            cameras={cameras}
+            controls={cameraControls}
+            onCameraChange={handleCameraChange}
+            onTorchToggle={handleTorchToggle}
+            onZoomChange={handleZoomChange}
+          />
+        )}
+
+        {scanning && cameraControls && engineStats && (
+          <p className="engine-stats">
+            {engineStats.latencyMs === null
+              ? t('scanner.engineStats', { backend: engineStats.backend, fps: engineStats.fps })
+              : t('scanner.engineStatsLatency', {
+                backend: engineStats.backend,
+                fps: engineStats.fps,
+                latency: engineStats.latencyMs,
+              })}
+          </p>
+        )}
+
         <div className="scanner-controls">
           {!scanning ? (
             <button
               onClick={startScanning}
               className="btn btn-primary"
-              aria-label="Start camera scanner"
+              aria-label={t('scanner.startLabel')}
             >
-              {isMobile ? 'Open Camera' : 'Start Camera Scanner'}
+              {isMobile ? t('scanner.openCamera') : t('scanner.startCamera')}
             </button>
           ) : (
             <button
               onClick={stopScanning}
               className="btn btn-secondary"
-              aria-label="Stop camera scanner"
+              aria-label={t('scanner.stopLabel')}
             >
-              Stop Scanner
+              {t('scanner.stop')}
             </button>
           )}
         </div>
       </div>
 
-      {!isMobile && (
-        <div className="manual-input">
-          <p className="divider">OR</p>
+      <div className="manual-input">
+        <p className="divider">{t('scanner.or')}</p>
+
+        <div className="image-upload">
+          <label className={`btn btn-primary image-upload-button ${imageDecoding ? 'disabled' : ''}`}>
+            {imageDecoding ? t('scanner.readingImage') : t('scanner.uploadImage')}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handleImageUpload}
+              disabled={imageDecoding}
+              aria-label={t('scanner.uploadLabel')}
+            />
+          </label>
+
+          {imageError && (
+            <ErrorDisplay error={imageError} onDismiss={() => setImageError(null)} />
+          )}
+
+          {imageResults.length > 0 && (
+            <div className="image-results">
+              <p>{t('scanner.imageResults', { count: imageResults.length })}</p>
+              <ul>
+                {imageResults.map((result) => (
+                  <li key={result.gtin || result.text}>
+                    <button className="image-result" onClick={() => handleImageResultPick(result)}>
+                      <span className="image-result-code">{result.gtin || result.text}</span>
+                      <span className="image-result-type">{getFormatLabel(result.format)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {!isMobile && (
           <form onSubmit={handleManualSubmit} className="input-form">
             <input
               type="text"
               inputMode="numeric"
-              pattern="[0-9]*"
               value={manualInput}
               onChange={(e) => setManualInput(e.target.value)}
-              placeholder="Enter barcode manually (GTIN/UPC/EAN)"
+              placeholder={t('scanner.manualPlaceholder')}
               className="barcode-input"
-              aria-label="Barcode input"
+              aria-label={t('scanner.manualLabel')}
             />
             <button
               type="submit"
               className="btn btn-primary"
-              aria-label="Lookup product by barcode"
+              aria-label={t('scanner.lookupLabel')}
             >
-              Lookup Product
+              {t('scanner.lookup')}
             </button>
           </form>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 };
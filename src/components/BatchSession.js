@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import ExportPanel from './ExportPanel';
+import { useTranslation } from '../i18n/useTranslation';
+import { ITEM_STATUS, getTotalQuantity } from '../utils/batchSession';
+import { batchToRecords } from '../utils/exportData';
+import './BatchSession.css';
+
+const BatchSession = ({ items, scanning, onQuantityChange, onRemove, onRetry, onClear }) => {
+  const { t } = useTranslation();
+  const [showExport, setShowExport] = useState(false);
+  const totalQuantity = getTotalQuantity(items);
+
+  return (
+    <section className="batch-session" aria-label={t('batch.label')}>
+      <div className="batch-header">
+        <h2>{scanning ? t('batch.counting') : t('batch.review')}</h2>
+        <span className="batch-summary">
+          {t('batch.items', { count: items.length })} · {t('batch.units', { count: totalQuantity })}
+        </span>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="batch-empty">{t('batch.empty')}</p>
+      ) : (
+        <ul className="batch-list">
+          {items.map((item) => (
+            <li key={item.barcode} className={`batch-item ${item.status}`}>
+              {item.product?.images?.[0] ? (
+                <img src={item.product.images[0]} alt="" className="batch-thumbnail" loading="lazy" />
+              ) : (
+                <div className="batch-thumbnail placeholder" aria-hidden="true" />
+              )}
+
+              <div className="batch-item-text">
+                <span className="batch-item-name">
+                  {item.status === ITEM_STATUS.PENDING && t('batch.lookingUp')}
+                  {item.status === ITEM_STATUS.FOUND && (item.product.name || t('common.unnamedProduct'))}
+                  {item.status === ITEM_STATUS.ERROR && (
+                    <>
+                      {t('batch.notFound')}
+                      <button className="batch-retry" onClick={() => onRetry(item.barcode)}>
+                        {t('common.retry')}
+                      </button>
+                    </>
+                  )}
+                </span>
+                <span className="batch-item-barcode">{item.barcode}</span>
+              </div>
+
+              <div className="batch-quantity">
+                <button
+                  className="batch-quantity-btn"
+                  onClick={() => onQuantityChange(item.barcode, item.quantity - 1)}
+                  aria-label={t('batch.decrease', { barcode: item.barcode })}
+                >
+                  −
+                </button>
+                <input
+                  type="number"
+                  min="0"
+                  inputMode="numeric"
+                  value={item.quantity}
+                  onChange={(e) => {
+                    const quantity = parseInt(e.target.value, 10);
+                    if (!Number.isNaN(quantity)) onQuantityChange(item.barcode, quantity);
+                  }}
+                  className="batch-quantity-input"
+                  aria-label={t('batch.quantity', { barcode: item.barcode })}
+                />
+                <button
+                  className="batch-quantity-btn"
+                  onClick={() => onQuantityChange(item.barcode, item.quantity + 1)}
+                  aria-label={t('batch.increase', { barcode: item.barcode })}
+                >
+                  +
+                </button>
+              </div>
+
+              <button
+                className="batch-remove"
+                onClick={() => onRemove(item.barcode)}
+                aria-label={t('batch.remove', { barcode: item.barcode })}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showExport && (
+        <ExportPanel
+          records={batchToRecords(items)}
+          fileName="batch-session"
+          includeQuantity
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {!scanning && items.length > 0 && (
+        <div className="batch-actions">
+          <button className="btn btn-primary" onClick={() => setShowExport((show) => !show)}>
+            {t('common.export')}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              if (window.confirm(t('batch.clearConfirm'))) {
+                onClear();
+              }
+            }}
+          >
+            {t('batch.clear')}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default BatchSession;
@@ -0,0 +1,229 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import ExportPanel from './ExportPanel';
+import { useTranslation } from '../i18n/useTranslation';
+import { fetchProductByBarcode } from '../utils/api';
+import { ERROR_CODES } from '../utils/errors';
+import { parseBarcodeList, readFileAsText } from '../utils/barcodeImport';
+import { QUEUE_STATE, createThrottledQueue } from '../utils/throttledQueue';
+import { IMPORT_CONFIG } from '../utils/constants';
+import './BulkImport.css';
+
+const ROW_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  FOUND: 'found',
+  FAILED: 'failed',
+};
+
+const BulkImport = ({ onView }) => {
+  const { t } = useTranslation();
+  const [fileName, setFileName] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [queueState, setQueueState] = useState(QUEUE_STATE.IDLE);
+  const [showExport, setShowExport] = useState(false);
+  const [rateLimitedFor, setRateLimitedFor] = useState(null);
+  const queueRef = useRef(null);
+
+  // Stop the queue when leaving the import screen
+  useEffect(() => () => queueRef.current?.cancel(), []);
+
+  const updateRow = useCallback((index, changes) => {
+    setRows((current) => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    queueRef.current?.cancel();
+    const text = await readFileAsText(file);
+    const { barcodes, invalid, duplicates } = parseBarcodeList(text);
+
+    setFileName(file.name);
+    setSummary({ total: barcodes.length, invalid, duplicates });
+    setRows(barcodes.map((barcode) => ({ barcode, status: ROW_STATUS.QUEUED, product: null, error: null })));
+    setQueueState(QUEUE_STATE.IDLE);
+    setShowExport(false);
+    setRateLimitedFor(null);
+    queueRef.current = null;
+  };
+
+  const handleStart = () => {
+    const queue = createThrottledQueue(
+      rows.map((row) => row.barcode),
+      (barcode) => fetchProductByBarcode(barcode),
+      {
+        concurrency: IMPORT_CONFIG.concurrency,
+        minIntervalMs: IMPORT_CONFIG.minIntervalMs,
+        onStart: (barcode, index) => {
+          setRateLimitedFor(null);
+          updateRow(index, { status: ROW_STATUS.RUNNING });
+        },
+        onResult: (barcode, index, product) =>
+          updateRow(index, { status: ROW_STATUS.FOUND, product, finishedAt: Date.now() }),
+        onError: (barcode, index, error) => {
+          // Client rate limit: wait as the server asks and look the row up again. A used-up
+          // provider quota (no retryAfter) would not recover in time, so that row fails.
+          if (error.code === ERROR_CODES.QUOTA && error.retryAfter > 0) {
+            setRateLimitedFor(error.retryAfter);
+            updateRow(index, { status: ROW_STATUS.QUEUED });
+            queueRef.current.retryLater(index, error.retryAfter * 1000);
+            return;
+          }
+          updateRow(index, { status: ROW_STATUS.FAILED, error: error.message, finishedAt: Date.now() });
+        },
+        onIdle: () => setQueueState(QUEUE_STATE.DONE),
+      }
+    );
+    queueRef.current = queue;
+    queue.start();
+    setQueueState(queue.getState());
+  };
+
+  const handlePause = () => {
+    queueRef.current.pause();
+    setQueueState(queueRef.current.getState());
+  };
+
+  const handleResume = () => {
+    queueRef.current.resume();
+    setQueueState(queueRef.current.getState());
+  };
+
+  const handleCancel = () => {
+    queueRef.current.cancel();
+    setQueueState(QUEUE_STATE.CANCELLED);
+    setRateLimitedFor(null);
+    // Lookups that were in flight are dropped by the queue; put them back to queued
+    setRows((current) =>
+      current.map((row) => (row.status === ROW_STATUS.RUNNING ? { ...row, status: ROW_STATUS.QUEUED } : row))
+    );
+  };
+
+  const finished = queueState === QUEUE_STATE.DONE || queueState === QUEUE_STATE.CANCELLED;
+
+  const processed = rows.filter((row) => row.status === ROW_STATUS.FOUND || row.status === ROW_STATUS.FAILED).length;
+  const found = rows.filter((row) => row.status === ROW_STATUS.FOUND).length;
+  const progress = rows.length > 0 ? Math.round((processed / rows.length) * 100) : 0;
+  const exportRecords = rows
+    .filter((row) => row.status === ROW_STATUS.FOUND)
+    .map((row) => ({ barcode: row.barcode, product: row.product, scannedAt: row.finishedAt }));
+
+  return (
+    <section className="bulk-import" aria-label={t('import.label')}>
+      <h2>{t('import.title')}</h2>
+      <p className="bulk-import-hint">{t('import.hint')}</p>
+
+      <label className="btn btn-primary bulk-import-file">
+        {fileName ? t('import.chooseAnotherFile') : t('import.chooseFile')}
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv,text/plain"
+          onChange={handleFileChange}
+          disabled={queueState === QUEUE_STATE.RUNNING}
+        />
+      </label>
+
+      {summary && (
+        <div className="bulk-import-summary">
+          <strong>{fileName}</strong>:{' '}
+          {[
+            t('import.toLookUp', { count: summary.total }),
+            summary.duplicates > 0 && t('import.duplicates', { count: summary.duplicates }),
+            summary.invalid.length > 0 && t('import.invalid', { count: summary.invalid.length }),
+          ].filter(Boolean).join(t('common.listSeparator'))}
+          {summary.invalid.length > 0 && (
+            <details className="bulk-import-invalid">
+              <summary>{t('import.showInvalid')}</summary>
+              <ul>
+                {summary.invalid.map(({ value, error }, index) => (
+                  <li key={index}>
+                    <code>{value}</code> — {error}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="bulk-import-controls">
+            {queueState === QUEUE_STATE.IDLE && (
+              <button className="btn btn-primary" onClick={handleStart}>
+                {t('import.start')}
+              </button>
+            )}
+            {queueState === QUEUE_STATE.RUNNING && (
+              <button className="btn btn-secondary" onClick={handlePause}>
+                {t('import.pause')}
+              </button>
+            )}
+            {queueState === QUEUE_STATE.PAUSED && (
+              <button className="btn btn-primary" onClick={handleResume}>
+                {t('import.resume')}
+              </button>
+            )}
+            {(queueState === QUEUE_STATE.RUNNING || queueState === QUEUE_STATE.PAUSED) && (
+              <button className="btn btn-secondary" onClick={handleCancel}>
+                {t('common.cancel')}
+              </button>
+            )}
+            {finished && (
+              <button className="btn btn-primary" onClick={() => setShowExport((show) => !show)}>
+                {t('import.exportResults')}
+              </button>
+            )}
+          </div>
+
+          <div
+            className="bulk-import-progress"
+            role="progressbar"
+            aria-valuenow={progress}
+            aria-valuemin="0"
+            aria-valuemax="100"
+          >
+            <div className="bulk-import-progress-bar" style={{ width: `${progress}%` }} />
+          </div>
+          <p className="bulk-import-progress-text">
+            {t('import.progress', { processed, total: rows.length, found })}
+          </p>
+          {rateLimitedFor && queueState === QUEUE_STATE.RUNNING && (
+            <p className="bulk-import-progress-text">{t('import.rateLimited', { seconds: rateLimitedFor })}</p>
+          )}
+
+          {showExport && (
+            <ExportPanel
+              records={exportRecords}
+              fileName="import-results"
+              onClose={() => setShowExport(false)}
+            />
+          )}
+
+          <ul className="bulk-import-rows">
+            {rows.map((row) => (
+              <li key={row.barcode} className={`bulk-import-row ${row.status}`}>
+                <span className="bulk-import-barcode">{row.barcode}</span>
+                <span className="bulk-import-name">
+                  {row.status === ROW_STATUS.FOUND && (row.product.name || t('common.unnamedProduct'))}
+                  {row.status === ROW_STATUS.FAILED && row.error}
+                </span>
+                <span className="bulk-import-status">{t(`import.status.${row.status}`)}</span>
+                {row.status === ROW_STATUS.FOUND && (
+                  <button className="bulk-import-view" onClick={() => onView(row.product)}>
+                    {t('common.view')}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default BulkImport;
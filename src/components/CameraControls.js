@@ -0,0 +1,64 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import './CameraControls.css';
+
+/**
+ * Camera picker, torch toggle and zoom slider for the running scanner
+ * controls comes from readTrackControls (utils/cameraControls.js); controls the camera
+ * does not support are not shown, and nothing is rendered when none are left.
+ */
+const CameraControls = ({ cameras, controls, onCameraChange, onTorchToggle, onZoomChange }) => {
+  const { t } = useTranslation();
+  const showPicker = cameras.length > 1;
+
+  if (!showPicker && controls.torch === null && !controls.zoom && !controls.focus) return null;
+
+  return (
+    <div className="camera-controls" role="group" aria-label={t('scanner.cameraControls')}>
+      {showPicker && (
+        <select
+          className="camera-picker"
+          value={controls.deviceId || ''}
+          onChange={(e) => onCameraChange(e.target.value)}
+          aria-label={t('scanner.camera')}
+        >
+          {!controls.deviceId && <option value="">{t('scanner.camera')}</option>}
+          {cameras.map(({ id, label }, index) => (
+            <option key={id} value={id}>
+              {label || t('scanner.cameraN', { n: index + 1 })}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {controls.torch !== null && (
+        <button
+          type="button"
+          className={`camera-torch ${controls.torch ? 'on' : ''}`}
+          onClick={onTorchToggle}
+          aria-pressed={controls.torch}
+        >
+          {t('scanner.torch')}
+        </button>
+      )}
+
+      {controls.zoom && (
+        <label className="camera-zoom">
+          <span>{t('scanner.zoom')}</span>
+          <input
+            type="range"
+            min={controls.zoom.min}
+            max={controls.zoom.max}
+            step={controls.zoom.step}
+            value={controls.zoom.value}
+            onChange={(e) => onZoomChange(Number(e.target.value))}
+          />
+        </label>
+      )}
+
+      {controls.focus && <p className="camera-focus-hint">{t('scanner.tapToFocus')}</p>}
+    </div>
+  );
+};
+
+export default CameraControls;
@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { CATALOG_FIELDS, createCatalogItem, parseCatalogFile } from '../utils/catalogItem';
+import { readFileAsText } from '../utils/barcodeImport';
+import {
+  deleteCatalogItem,
+  fetchCatalogItems,
+  getCatalogToken,
+  importCatalogItems,
+  saveCatalogItem,
+  setCatalogToken,
+} from '../utils/localCatalog';
+import './CatalogManager.css';
+
+const emptyForm = () => Object.fromEntries(CATALOG_FIELDS.map((field) => [field, '']));
+
+const toForm = (item) =>
+  Object.fromEntries(CATALOG_FIELDS.map((field) => [field, item[field] === null ? '' : String(item[field])]));
+
+const matchesSearch = (item, search) => {
+  const query = search.trim().toLowerCase();
+  if (!query) return true;
+  return [item.name, item.brand, item.gtin, item.itemCode]
+    .some((value) => value && value.toLowerCase().includes(query));
+};
+
+/**
+ * Shared local catalog: list, search, add, edit, delete and import items
+ * newItemGtin opens the add form for that barcode (e.g. a product no provider knows).
+ */
+const CatalogManager = ({ newItemGtin = null }) => {
+  const { t } = useTranslation();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [importSummary, setImportSummary] = useState(null);
+  const [token, setToken] = useState(getCatalogToken);
+
+  const loadItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      setItems(await fetchCatalogItems());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  useEffect(() => {
+    if (!newItemGtin) return;
+    setForm({ ...emptyForm(), gtin: newItemGtin });
+    setEditingKey(null);
+    setFormErrors([]);
+  }, [newItemGtin]);
+
+  const openForm = (item = null) => {
+    setForm(item ? toForm(item) : emptyForm());
+    setEditingKey(item ? item.key : null);
+    setFormErrors([]);
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingKey(null);
+    setFormErrors([]);
+  };
+
+  const handleFieldChange = (field) => (e) => {
+    const { value } = e.target;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Same validation as the server, so most mistakes are caught without a round trip
+    const { valid, errors } = createCatalogItem(form);
+    if (!valid) {
+      setFormErrors(errors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await saveCatalogItem(form, editingKey);
+      closeForm();
+      await loadItems();
+    } catch (err) {
+      setFormErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(t('catalog.deleteConfirm', { name: item.name }))) return;
+    try {
+      await deleteCatalogItem(item);
+      setItems((current) => current.filter((other) => other.key !== item.key));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { items: parsed, invalid } = parseCatalogFile(await readFileAsText(file));
+      const result = parsed.length > 0 ? await importCatalogItems(parsed) : { saved: [] };
+      setImportSummary({ fileName: file.name, saved: result.saved.length, invalid });
+      await loadItems();
+    } catch (err) {
+      setImportSummary({ fileName: file.name, saved: 0, invalid: [], error: err.message });
+    }
+  };
+
+  const handleTokenChange = (e) => {
+    setToken(e.target.value);
+    setCatalogToken(e.target.value.trim());
+  };
+
+  const visibleItems = items.filter((item) => matchesSearch(item, search));
+
+  return (
+    <section className="catalog-manager" aria-label={t('catalog.label')}>
+      <h2>{t('catalog.title')}</h2>
+      <p className="catalog-hint">{t('catalog.hint')}</p>
+
+      <div className="catalog-toolbar">
+        <input
+          type="search"
+          className="catalog-search"
+          placeholder={t('catalog.searchPlaceholder')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          aria-label={t('catalog.searchLabel')}
+        />
+        <button className="btn btn-primary" onClick={() => openForm()} disabled={Boolean(form)}>
+          {t('catalog.add')}
+        </button>
+        <label className="btn btn-secondary catalog-import">
+          {t('catalog.import')}
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportFile} />
+        </label>
+      </div>
+
+      <details className="catalog-token">
+        <summary>{t('catalog.token')}</summary>
+        <p>{t('catalog.tokenHint')}</p>
+        <input type="password" value={token} onChange={handleTokenChange} aria-label={t('catalog.token')} autoComplete="off" />
+      </details>
+
+      {importSummary && (
+        <div className="catalog-import-summary" role="status">
+          <strong>{importSummary.fileName}</strong>:{' '}
+          {importSummary.error || t('catalog.imported', { count: importSummary.saved })}
+          {importSummary.invalid.length > 0 &&
+            `${t('common.listSeparator')}${t('catalog.rejected', { count: importSummary.invalid.length })}`}
+          {importSummary.invalid.length > 0 && (
+            <details>
+              <summary>{t('catalog.showRejected')}</summary>
+              <ul>
+                {importSummary.invalid.map(({ row, errors }) => (
+                  <li key={row}>{t('catalog.rejectedRow', { row, errors: errors.join(' ') })}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+
+      {form && (
+        <form className="catalog-form" onSubmit={handleSubmit}>
+          <h3>{editingKey ? t('catalog.editItem') : t('catalog.newItem')}</h3>
+          <div className="catalog-form-fields">
+            {CATALOG_FIELDS.map((field) => (
+              <label key={field} className={`catalog-field ${field === 'description' ? 'full-width' : ''}`}>
+                <span>{t(`catalog.fields.${field}`)}</span>
+                {field === 'description' ? (
+                  <textarea rows="3" value={form[field]} onChange={handleFieldChange(field)} />
+                ) : (
+                  <input type="text" value={form[field]} onChange={handleFieldChange(field)} />
+                )}
+              </label>
+            ))}
+          </div>
+          {formErrors.length > 0 && (
+            <ul className="catalog-form-errors" role="alert">
+              {formErrors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="catalog-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? t('common.saving') : t('common.save')}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={closeForm}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="catalog-error" role="alert">{error}</p>}
+      {loading && <p className="catalog-empty">{t('catalog.loading')}</p>}
+      {!loading && !error && visibleItems.length === 0 && (
+        <p className="catalog-empty">{items.length === 0 ? t('catalog.empty') : t('catalog.noMatch')}</p>
+      )}
+
+      {visibleItems.length > 0 && (
+        <ul className="catalog-items">
+          {visibleItems.map((item) => (
+            <li key={item.key} className="catalog-item">
+              <span className="catalog-item-code">{item.gtin || t('catalog.plu', { itemCode: item.itemCode })}</span>
+              <span className="catalog-item-name">
+                {item.name}
+                {item.brand && <span className="catalog-item-brand"> · {item.brand}</span>}
+              </span>
+              <button className="catalog-item-action" onClick={() => openForm(item)}>
+                {t('common.edit')}
+              </button>
+              <button className="catalog-item-action delete" onClick={() => handleDelete(item)}>
+                {t('common.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default CatalogManager;
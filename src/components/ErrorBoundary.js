@@ -1,5 +1,6 @@
 import React from 'react';
 import ErrorDisplay from './ErrorDisplay';
+import { t } from '../i18n';
 import './ErrorBoundary.css';
 
 class ErrorBoundary extends React.Component {
@@ -9,7 +10,7 @@ class ErrorBoundary extends React.Component {
   }
 
   static getDerivedStateFromError(error) {
-    return { hasError: true, error: error.message || 'Something went wrong.' };
+    return { hasError: true, error: error.message || t('errors.unexpected') };
   }
 
   componentDidCatch(error, errorInfo) {
@@ -25,7 +26,7 @@ class ErrorBoundary extends React.Component {
       return (
         <div className="error-boundary">
           <div className="container">
-            <h1>Oops! Something went wrong</h1>
+            <h1>{t('errors.boundaryTitle')}</h1>
             <ErrorDisplay
               error={this.state.error}
               onRetry={this.handleReset}
@@ -35,7 +36,7 @@ class ErrorBoundary extends React.Component {
                 onClick={() => window.location.reload()}
                 className="btn-error btn-retry"
               >
-                Reload Page
+                {t('errors.reloadPage')}
               </button>
             </p>
           </div>
@@ -1,9 +1,51 @@
 import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { ERROR_CODES, isRetryable } from '../utils/errors';
 import './ErrorDisplay.css';
 
-const ErrorDisplay = ({ error, onDismiss, onRetry }) => {
+/**
+ * Per-provider outcome of a lookup that found nothing
+ */
+const AttemptLog = ({ attempts, cached }) => {
+  const { t } = useTranslation();
+
+  const describe = ({ found, error, skipped }) => {
+    if (found) return t('errors.attempts.found');
+    if (error) return t('errors.attempts.failed', { error });
+    if (skipped) {
+      return t('errors.attempts.skipped', { reason: t(`health.skipReasons.${skipped}`, { fallback: skipped }) });
+    }
+    return t('errors.attempts.noMatch');
+  };
+
+  return (
+    <details className="error-attempts">
+      <summary>{t('errors.attempts.title')}</summary>
+      {cached && <p className="error-attempts-cached">{t('errors.attempts.cached')}</p>}
+      <ul>
+        {attempts.map((attempt) => (
+          <li key={attempt.provider} className={attempt.error ? 'failed' : ''}>
+            <strong>{attempt.name || attempt.provider}</strong>: {describe(attempt)}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+/**
+ * Error message with guidance and actions for its code
+ * error is an AppError (see utils/errors.js) or a plain message string. Retry is only
+ * offered when retrying can help; onAddToCatalog is offered for products nobody knows.
+ */
+const ErrorDisplay = ({ error, onDismiss, onRetry, onAddToCatalog }) => {
+  const { t } = useTranslation();
   if (!error) return null;
 
+  const { code, message, attempts = [], cached = false } = typeof error === 'string' ? { message: error } : error;
+  const notFound = code === ERROR_CODES.NOT_FOUND;
+  const canRetry = onRetry && (!code || isRetryable(error));
+
   return (
     <div className="error-display" role="alert">
       <div className="error-content">
@@ -20,25 +62,34 @@ const ErrorDisplay = ({ error, onDismiss, onRetry }) => {
           <line x1="12" y1="8" x2="12" y2="12" />
           <line x1="12" y1="16" x2="12.01" y2="16" />
         </svg>
-        <p className="error-message">{error}</p>
+        <div className="error-text">
+          <p className="error-message">{message}</p>
+          {code && <p className="error-guidance">{t(`errors.guidance.${code}`, { fallback: '' })}</p>}
+          {attempts.length > 0 && <AttemptLog attempts={attempts} cached={cached} />}
+        </div>
       </div>
       <div className="error-actions">
         {onDismiss && (
           <button
             onClick={onDismiss}
             className="btn-error btn-dismiss"
-            aria-label="Dismiss error"
+            aria-label={t('errors.dismissLabel')}
           >
-            Dismiss
+            {t('common.dismiss')}
+          </button>
+        )}
+        {notFound && onAddToCatalog && (
+          <button onClick={() => onAddToCatalog(error.gtin)} className="btn-error btn-catalog">
+            {t('errors.addToCatalog')}
           </button>
         )}
-        {onRetry && (
+        {canRetry && (
           <button
             onClick={onRetry}
             className="btn-error btn-retry"
-            aria-label="Retry"
+            aria-label={notFound ? t('errors.searchAgain') : t('common.retry')}
           >
-            Retry
+            {notFound ? t('errors.searchAgain') : t('common.retry')}
           </button>
         )}
       </div>
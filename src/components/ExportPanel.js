@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { EXPORT_FORMATS, exportRecords, getExportColumns } from '../utils/exportData';
+import './ExportPanel.css';
+
+const FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: 'CSV',
+  [EXPORT_FORMATS.JSON]: 'JSON',
+  [EXPORT_FORMATS.EXCEL]: 'Excel',
+};
+
+const ExportPanel = ({ records, fileName, includeQuantity = false, onClose }) => {
+  const { t } = useTranslation();
+  const columns = getExportColumns({ includeQuantity });
+  const [format, setFormat] = useState(EXPORT_FORMATS.CSV);
+  const [selectedColumns, setSelectedColumns] = useState(() => columns.map((column) => column.id));
+
+  const toggleColumn = (id) => {
+    setSelectedColumns((selected) =>
+      selected.includes(id) ? selected.filter((c) => c !== id) : [...selected, id]
+    );
+  };
+
+  const handleExport = () => {
+    // Keep the column order of the definition, not the click order
+    const columnIds = columns.map((column) => column.id).filter((id) => selectedColumns.includes(id));
+    exportRecords(records, { format, columnIds, fileName });
+    if (onClose) onClose();
+  };
+
+  return (
+    <div className="export-panel" role="dialog" aria-label={t('export.label')}>
+      <fieldset className="export-fieldset">
+        <legend>{t('export.format')}</legend>
+        <div className="export-options">
+          {Object.values(EXPORT_FORMATS).map((value) => (
+            <label key={value} className="export-option">
+              <input
+                type="radio"
+                name="export-format"
+                value={value}
+                checked={format === value}
+                onChange={() => setFormat(value)}
+              />
+              {FORMAT_LABELS[value]}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset className="export-fieldset">
+        <legend>{t('export.columns')}</legend>
+        <div className="export-options">
+          {columns.map((column) => (
+            <label key={column.id} className="export-option">
+              <input
+                type="checkbox"
+                checked={selectedColumns.includes(column.id)}
+                onChange={() => toggleColumn(column.id)}
+              />
+              {t(`export.columnLabels.${column.id}`, { fallback: column.label })}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="export-actions">
+        {onClose && (
+          <button className="btn export-cancel" onClick={onClose}>
+            {t('common.cancel')}
+          </button>
+        )}
+        <button
+          className="btn btn-primary"
+          onClick={handleExport}
+          disabled={records.length === 0 || selectedColumns.length === 0}
+        >
+          {t('export.download', { count: records.length })}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
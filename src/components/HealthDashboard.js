@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { fetchHealth } from '../utils/api';
+import { formatNumber, formatRelativeTime } from '../utils/format';
+import './HealthDashboard.css';
+
+const formatQuota = (used, limit) =>
+  limit === null ? formatNumber(used) : `${formatNumber(used)} / ${formatNumber(limit)}`;
+
+const ProviderCheck = ({ check }) => {
+  const { t } = useTranslation();
+
+  if (check.skipped) {
+    const reason = t(`health.skipReasons.${check.skipped}`, { fallback: check.skipped });
+    return <span className="health-badge warn">{t('health.skipped', { reason })}</span>;
+  }
+  return (
+    <>
+      <span className={`health-badge ${check.ok ? 'ok' : 'fail'}`}>
+        {check.ok ? t('health.ok') : t('health.failed')}
+        {check.status != null && ` · HTTP ${check.status}`}
+      </span>
+      {check.latencyMs != null && (
+        <span className="health-latency">{t('health.latency', { ms: check.latencyMs })}</span>
+      )}
+    </>
+  );
+};
+
+const HealthDashboard = () => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async (refresh = false) => {
+    setLoading(true);
+    setResult(await fetchHealth({ refresh }));
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) load();
+  }, [isOpen, load]);
+
+  const health = result?.health;
+  const proxy = result?.proxy;
+
+  return (
+    <section className="health-dashboard" aria-label={t('health.label')}>
+      <button
+        className="health-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+      >
+        <span>{t('health.title')}</span>
+        <span className={`health-chevron ${isOpen ? 'open' : ''}`} aria-hidden="true">▾</span>
+      </button>
+
+      {isOpen && (
+        <div className="health-body">
+          <div className="health-actions">
+            {health && (
+              <span className="health-checked">
+                {t('health.checked', { time: formatRelativeTime(health.checkedAt) })}
+                {health.cached && ` ${t('health.cached')}`}
+              </span>
+            )}
+            <button className="health-refresh" onClick={() => load(true)} disabled={loading}>
+              {loading ? t('health.checking') : t('health.run')}
+            </button>
+          </div>
+
+          {proxy && (
+            <div className="health-summary">
+              <div className="health-summary-item">
+                <span className="health-summary-label">{t('health.serverlessApi')}</span>
+                <span className={`health-badge ${proxy.ok ? 'ok' : 'fail'}`}>
+                  {proxy.ok ? t('health.reachable') : t('health.unreachable')}
+                  {proxy.status !== null && ` · HTTP ${proxy.status}`}
+                </span>
+                <span className="health-latency">{t('health.latency', { ms: proxy.latencyMs })}</span>
+                {proxy.error && <span className="health-error">{proxy.error}</span>}
+              </div>
+              {health && (
+                <div className="health-summary-item">
+                  <span className="health-summary-label">{t('health.providers')}</span>
+                  <span className={`health-badge ${health.status === 'ok' ? 'ok' : health.status === 'down' ? 'fail' : 'warn'}`}>
+                    {t(`health.status.${health.status}`, { fallback: health.status })}
+                  </span>
+                </div>
+              )}
+            </div>
+          )}
+
+          {health && !health.live && <p className="health-checked">{t('health.liveChecksHint')}</p>}
+
+          {health && (
+            <ul className="health-providers">
+              {health.providers.map(({ id, name, check, breaker, quota, retry }) => (
+                <li key={id} className="health-provider">
+                  <div className="health-provider-header">
+                    <strong>{name}</strong>
+                    <ProviderCheck check={check} />
+                  </div>
+
+                  <dl className="health-details">
+                    <dt>{t('health.circuit')}</dt>
+                    <dd>
+                      <span className={`breaker-state ${breaker.state}`}>
+                        {t(`health.breaker.${breaker.state}`, { fallback: breaker.state })}
+                      </span>
+                      {breaker.failures > 0 && ` · ${t('health.failures', { count: breaker.failures })}`}
+                    </dd>
+
+                    {quota && (
+                      <>
+                        <dt>{t('health.calls')}</dt>
+                        <dd className={quota.exhausted ? 'quota-exhausted' : ''}>
+                          {t('health.today', { calls: formatQuota(quota.daily, quota.dailyQuota) })} ·{' '}
+                          {t('health.thisMonth', { calls: formatQuota(quota.monthly, quota.monthlyQuota) })}
+                        </dd>
+                      </>
+                    )}
+
+                    {check.quotaHeaders && Object.keys(check.quotaHeaders).length > 0 && (
+                      <>
+                        <dt>{t('health.upstreamQuota')}</dt>
+                        <dd>
+                          {Object.entries(check.quotaHeaders).map(([header, value]) => (
+                            <code key={header} className="health-header">
+                              {header}: {value}
+                            </code>
+                          ))}
+                        </dd>
+                      </>
+                    )}
+
+                    {retry && (
+                      <>
+                        <dt>{t('health.retryPolicy')}</dt>
+                        <dd>
+                          {t('health.retryValue', { attempts: retry.maxAttempts, seconds: retry.timeoutMs / 1000 })}
+                        </dd>
+                      </>
+                    )}
+
+                    {(check.error || breaker.lastError) && (
+                      <>
+                        <dt>{t('health.lastError')}</dt>
+                        <dd className="health-error">
+                          {check.error || breaker.lastError}
+                          {!check.error && breaker.lastFailureAt && ` (${formatRelativeTime(breaker.lastFailureAt)})`}
+                        </dd>
+                      </>
+                    )}
+                  </dl>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default HealthDashboard;
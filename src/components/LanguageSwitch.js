@@ -0,0 +1,29 @@
+import React from 'react';
+import { LOCALES, setLocale } from '../i18n';
+import { useTranslation } from '../i18n/useTranslation';
+import './LanguageSwitch.css';
+
+/**
+ * Language picker; the choice is remembered on this device
+ */
+const LanguageSwitch = () => {
+  const { t, locale } = useTranslation();
+
+  return (
+    <div className="language-switch">
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        aria-label={t('app.language')}
+      >
+        {Object.entries(LOCALES).map(([value, { name }]) => (
+          <option key={value} value={value} lang={value}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitch;
@@ -1,38 +1,71 @@
 import React, { useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { formatDate, formatNumber, formatPrice, formatRelativeTime } from '../utils/format';
+import { formatIssn } from '../utils/isbn';
+import { isBookProduct } from '../utils/productSchema';
 import './ProductDisplay.css';
 
-const ProductDisplay = ({ product }) => {
+/**
+ * Whether a YYYY-MM-DD date is before today
+ */
+const isPastDate = (date) => date < new Date().toISOString().slice(0, 10);
+
+const ProductDisplay = ({ product, gs1 = null }) => {
+  const { t } = useTranslation();
   const [imageError, setImageError] = useState(false);
   const [imageLoading, setImageLoading] = useState(true);
 
-  // Handle different possible response structures from the API
-  const productName =
-    product.name ||
-    product.product_name ||
-    product.title ||
-    product.description ||
-    'Product Name Not Available';
-
-  const productImage =
-    product.image ||
-    product.product_image ||
-    product.images?.[0] ||
-    product.image_url ||
-    null;
-
-  const gtin = product.gtin || product.gtin13 || product.gtin14 || product.upc || 'N/A';
-  const brand = product.brand || product.manufacturer || 'N/A';
-  const description = product.description || product.product_description || null;
-  const price = product.price || product.price_amount || null;
-  const category = product.category || product.product_category || null;
-  
-  // Check for incomplete data
-  const missingFields = product.missingFields || [];
+  // Product data follows the canonical schema (see utils/productSchema.js)
+  // Weighed / priced store item: data comes from the local catalog and the barcode itself
+  const measure = product.variableMeasure || null;
+  const productName = product.name || product.description
+    || (measure ? t('product.notInCatalog', { itemCode: measure.itemCode }) : t('product.nameUnavailable'));
+  const productImage = product.images?.[0] || null;
+  const gtin = product.identifiers?.gtin || 'N/A';
+  const brand = product.brand || product.manufacturer || null;
+  const description = product.description || null;
+  const offer = product.offers?.find((o) => o.price !== null) || null;
+  const price = offer ? formatPrice(offer) : null;
+  const category = product.categories?.length > 0 ? product.categories.join(' › ') : null;
+
+  // Books and serials (ISBN / ISSN) get their own layout
+  const isBook = isBookProduct(product);
+  const { isbn13, isbn10, issn } = product.identifiers || {};
+  const attributes = product.attributes || {};
+  const authors = Array.isArray(attributes.authors) ? attributes.authors.join(t('common.listSeparator')) : attributes.authors;
+  const publisher = attributes.publisher || product.manufacturer || null;
+
+  // Case label data from a GS1-128 / GS1 DataMatrix scan; the GTIN (01) is already shown
+  const gs1Elements = gs1 ? gs1.elements.filter((element) => element.ai !== '01') : [];
+
+  // Check for incomplete data (field ids; products cached before they were ids carry labels)
+  const missingFields = (product.missingFields || []).map((field) => t(`product.fields.${field}`, { fallback: field }));
   const hasIncompleteData = product.hasIncompleteData || false;
 
+  // Provenance: which provider supplied each field (only shown when data was merged)
+  const sources = product.sources || [];
+  const showFieldSources = sources.length > 1;
+  const getFieldSource = (field) => {
+    const sourceId = product.fieldSources?.[field];
+    if (!showFieldSources || !sourceId) return null;
+    const source = sources.find((s) => s.id === sourceId);
+    return (
+      <span className="field-source" title={t('product.dataSource')}>
+        {source ? source.name : sourceId}
+      </span>
+    );
+  };
+
   return (
     <div className="product-display">
-      <h2>Product Information</h2>
+      <h2>{isBook ? t('product.bookTitle') : t('product.title')}</h2>
+
+      {product.fromCache && product.fetchedAt && (
+        <p className="cache-notice">
+          {t('product.savedFrom', { time: formatRelativeTime(product.fetchedAt) })}
+          {!navigator.onLine && ` ${t('product.offline')}`}
+        </p>
+      )}
       
       {hasIncompleteData && missingFields.length > 0 && (
         <div className="data-warning" role="alert">
@@ -40,10 +73,10 @@ const ProductDisplay = ({ product }) => {
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
             </svg>
-            <span>بيانات ناقصة</span>
+            <span>{t('product.incomplete')}</span>
           </div>
           <p className="warning-text">
-            البيانات التالية غير متوفرة لهذا المنتج:
+            {t('product.missingIntro')}
           </p>
           <ul className="missing-fields-list">
             {missingFields.map((field, index) => (
@@ -52,7 +85,7 @@ const ProductDisplay = ({ product }) => {
           </ul>
         </div>
       )}
-      <div className="product-content">
+      <div className={`product-content ${isBook ? 'book' : ''}`}>
         {productImage && !imageError ? (
           <div className="product-image-container">
             {imageLoading && (
@@ -71,57 +104,153 @@ const ProductDisplay = ({ product }) => {
               }}
               loading="lazy"
             />
+            {getFieldSource('images')}
           </div>
         ) : (
           <div className="product-image-container">
-            <div className="image-placeholder" role="img" aria-label="No product image available">
+            <div className="image-placeholder" role="img" aria-label={t('product.noImageLabel')}>
               <svg width="80" height="80" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
                 <rect x="3" y="3" width="18" height="18" rx="2" />
                 <circle cx="8.5" cy="8.5" r="1.5" />
                 <path d="M21 15l-5-5L5 21" />
               </svg>
-              <p>No Image Available</p>
+              <p>{t('product.noImage')}</p>
             </div>
           </div>
         )}
 
         <div className="product-details">
-          <h3 className="product-name">{productName}</h3>
+          <h3 className="product-name">
+            {productName}
+            {getFieldSource('name')}
+          </h3>
+          {isBook && attributes.subtitle && <p className="book-subtitle">{attributes.subtitle}</p>}
+          {isBook && authors && <p className="book-authors">{t('product.byAuthors', { authors })}</p>}
 
           <div className="product-info">
-            <div className="info-item">
-              <span className="info-label">GTIN/UPC:</span>
-              <span className="info-value">{gtin}</span>
-            </div>
+            {!isBook && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.gtin')}:</span>
+                <span className="info-value">{gtin}</span>
+              </div>
+            )}
+
+            {measure && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.itemCode')}:</span>
+                <span className="info-value">{measure.itemCode}</span>
+              </div>
+            )}
+
+            {measure && measure.measure === 'weight' && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.weight')}:</span>
+                <span className="info-value">
+                  {formatNumber(measure.value)} {t(`units.${measure.unit}`, { fallback: measure.unit })}
+                </span>
+              </div>
+            )}
+
+            {isbn13 && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.isbn13')}:</span>
+                <span className="info-value">{isbn13}</span>
+              </div>
+            )}
 
-            {brand !== 'N/A' && (
+            {isbn10 && (
               <div className="info-item">
-                <span className="info-label">Brand:</span>
-                <span className="info-value">{brand}</span>
+                <span className="info-label">{t('product.labels.isbn10')}:</span>
+                <span className="info-value">{isbn10}</span>
+              </div>
+            )}
+
+            {issn && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.issn')}:</span>
+                <span className="info-value">{formatIssn(issn)}</span>
+              </div>
+            )}
+
+            {isBook && publisher && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.publisher')}:</span>
+                <span className="info-value">{publisher}</span>
+              </div>
+            )}
+
+            {isBook && attributes.publishYear && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.published')}:</span>
+                <span className="info-value">{attributes.publishYear}</span>
+              </div>
+            )}
+
+            {isBook && attributes.pages && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.pages')}:</span>
+                <span className="info-value">{formatNumber(attributes.pages)}</span>
+              </div>
+            )}
+
+            {gs1Elements.map((element) => (
+              <div key={element.ai} className="info-item gs1-item">
+                <span className="info-label">{element.title}:</span>
+                <span className="info-value">
+                  {formatDate(element.value)}
+                  {element.ai === '17' && isPastDate(element.value) && (
+                    <span className="expired-badge">{t('product.expired')}</span>
+                  )}
+                </span>
+              </div>
+            ))}
+
+            {!isBook && brand && (
+              <div className="info-item">
+                <span className="info-label">{t('product.labels.brand')}:</span>
+                <span className="info-value">
+                  {brand}
+                  {getFieldSource('brand')}
+                </span>
               </div>
             )}
 
             {price && (
               <div className="info-item">
-                <span className="info-label">Price:</span>
-                <span className="info-value">{price}</span>
+                <span className="info-label">{t('product.labels.price')}:</span>
+                <span className="info-value">
+                  {price}
+                  {getFieldSource('offers')}
+                </span>
               </div>
             )}
 
             {category && (
               <div className="info-item">
-                <span className="info-label">Category:</span>
-                <span className="info-value">{category}</span>
+                <span className="info-label">{isBook ? t('product.labels.subjects') : t('product.labels.category')}:</span>
+                <span className="info-value">
+                  {isBook ? product.categories.join(t('common.listSeparator')) : category}
+                  {getFieldSource('categories')}
+                </span>
               </div>
             )}
 
             {description && (
               <div className="info-item full-width">
-                <span className="info-label">Description:</span>
-                <span className="info-value">{description}</span>
+                <span className="info-label">{t('product.labels.description')}:</span>
+                <span className="info-value">
+                  {description}
+                  {getFieldSource('description')}
+                </span>
               </div>
             )}
           </div>
+
+          {sources.length > 0 && (
+            <p className="product-sources">
+              {t('product.sources', { sources: sources.map((source) => source.name).join(t('common.listSeparator')) })}
+            </p>
+          )}
         </div>
       </div>
     </div>
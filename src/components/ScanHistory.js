@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from 'react';
+import ExportPanel from './ExportPanel';
+import { useTranslation } from '../i18n/useTranslation';
+import { filterHistory } from '../utils/scanHistory';
+import { historyToRecords } from '../utils/exportData';
+import { formatRelativeTime } from '../utils/format';
+import './ScanHistory.css';
+
+const ScanHistory = ({ entries, onView, onRelookup, onToggleFavorite, onDelete }) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+
+  const visibleEntries = useMemo(
+    () => filterHistory(entries, { query, favoritesOnly }),
+    [entries, query, favoritesOnly]
+  );
+
+  return (
+    <section className="scan-history" aria-label={t('history.label')}>
+      <button
+        className="history-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-expanded={isOpen}
+      >
+        <span>{t('history.toggle', { count: entries.length })}</span>
+        <span className={`history-chevron ${isOpen ? 'open' : ''}`} aria-hidden="true">▾</span>
+      </button>
+
+      {isOpen && (
+        <div className="history-body">
+          <div className="history-filters">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('history.searchPlaceholder')}
+              className="history-search"
+              aria-label={t('history.searchLabel')}
+            />
+            <label className="history-favorites-filter">
+              <input
+                type="checkbox"
+                checked={favoritesOnly}
+                onChange={(e) => setFavoritesOnly(e.target.checked)}
+              />
+              {t('history.favoritesOnly')}
+            </label>
+            <button
+              className="history-export-toggle"
+              onClick={() => setShowExport((show) => !show)}
+              aria-expanded={showExport}
+              disabled={visibleEntries.length === 0}
+            >
+              {t('common.export')}
+            </button>
+          </div>
+
+          {showExport && (
+            <ExportPanel
+              records={historyToRecords(visibleEntries)}
+              fileName="scan-history"
+              onClose={() => setShowExport(false)}
+            />
+          )}
+
+          {visibleEntries.length === 0 ? (
+            <p className="history-empty">
+              {entries.length === 0 ? t('history.empty') : t('history.noMatch')}
+            </p>
+          ) : (
+            <ul className="history-list">
+              {visibleEntries.map((entry) => (
+                <li key={entry.key} className="history-item">
+                  <button
+                    className="history-item-main"
+                    onClick={() => onView(entry)}
+                    aria-label={t('history.viewLabel', { name: entry.name || entry.barcode })}
+                  >
+                    {entry.thumbnail ? (
+                      <img src={entry.thumbnail} alt="" className="history-thumbnail" loading="lazy" />
+                    ) : (
+                      <div className="history-thumbnail placeholder" aria-hidden="true" />
+                    )}
+                    <div className="history-item-text">
+                      <span className="history-item-name">{entry.name || t('common.unnamedProduct')}</span>
+                      <span className="history-item-meta">
+                        {entry.barcode} · {formatRelativeTime(entry.scannedAt)}
+                        {entry.sources.length > 0 && ` · ${entry.sources.join(t('common.listSeparator'))}`}
+                      </span>
+                    </div>
+                  </button>
+
+                  <div className="history-item-actions">
+                    <button
+                      className={`history-action favorite ${entry.favorite ? 'active' : ''}`}
+                      onClick={() => onToggleFavorite(entry)}
+                      aria-label={entry.favorite ? t('history.removeFavorite') : t('history.addFavorite')}
+                      aria-pressed={entry.favorite}
+                    >
+                      {entry.favorite ? '★' : '☆'}
+                    </button>
+                    <button
+                      className="history-action"
+                      onClick={() => onRelookup(entry)}
+                      aria-label={t('history.relookup')}
+                      title={t('history.relookup')}
+                    >
+                      ↻
+                    </button>
+                    <button
+                      className="history-action delete"
+                      onClick={() => onDelete(entry)}
+                      aria-label={t('history.deleteLabel')}
+                      title={t('common.delete')}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ScanHistory;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { SCAN_KINDS, getFormatLabel } from '../utils/scanRouter';
+import { SCAN_ROUTING_CONFIG } from '../utils/constants';
+import { formatDate } from '../utils/format';
+import './ScanResultDisplay.css';
+
+const getSkuSearchUrl = (code) =>
+  SCAN_ROUTING_CONFIG.skuSearchUrl
+    ? SCAN_ROUTING_CONFIG.skuSearchUrl.replace('{code}', encodeURIComponent(code))
+    : null;
+
+/**
+ * Shows a scan that is not a product barcode, with actions that suit its payload
+ */
+const ScanResultDisplay = ({ result, onDismiss }) => {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+  const skuSearchUrl = result.kind === SCAN_KINDS.SKU ? getSkuSearchUrl(result.text) : null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(result.text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.warn('[ScanResult] Copy failed:', err);
+    }
+  };
+
+  return (
+    <section className="scan-result" aria-label={t('scanResult.label')}>
+      <div className="scan-result-header">
+        <h2>{t(`scanResult.kinds.${result.kind}`, { fallback: t('scanResult.scannedCode') })}</h2>
+        <span className="scan-result-format">{getFormatLabel(result.format)}</span>
+      </div>
+
+      <p className="scan-result-text">{result.text}</p>
+
+      {result.gs1 && (
+        <dl className="scan-result-gs1">
+          {result.gs1.elements.map((element) => (
+            <div key={element.ai} className="scan-result-gs1-item">
+              <dt>{element.title} ({element.ai})</dt>
+              <dd>{formatDate(element.value)}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      <div className="scan-result-actions">
+        <button className="btn btn-primary" onClick={handleCopy}>
+          {copied ? t('scanResult.copied') : t('scanResult.copy')}
+        </button>
+        {result.kind === SCAN_KINDS.URL && (
+          <a className="btn btn-primary" href={result.text} target="_blank" rel="noopener noreferrer">
+            {t('scanResult.openLink')}
+          </a>
+        )}
+        {skuSearchUrl && (
+          <a className="btn btn-primary" href={skuSearchUrl} target="_blank" rel="noopener noreferrer">
+            {t('scanResult.searchSku')}
+          </a>
+        )}
+        <button className="btn btn-secondary" onClick={onDismiss}>
+          {t('common.dismiss')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default ScanResultDisplay;
@@ -0,0 +1,132 @@
+/**
+ * Internationalization: message catalogs, locale selection and text direction
+ *
+ * Messages live in ./messages/{locale}.js as nested objects and are looked up by dotted
+ * key: t('scanner.start'). Placeholders are written {name} and filled from params. A
+ * message can also be an object of plural forms ({ one, few, other, ... }, as chosen by
+ * Intl.PluralRules for the locale) picked by params.count.
+ * A key missing from the current catalog falls back to English, then to params.fallback,
+ * then to the key itself.
+ *
+ * The locale is the one chosen with setLocale, else the browser's preferred language when
+ * it is supported, else English. The serverless functions never call initLocale, so
+ * shared modules produce English messages there.
+ * React components read messages through ./useTranslation.js to re-render on a switch.
+ */
+
+import ar from './messages/ar';
+import en from './messages/en';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'scan-barcode:locale';
+
+let currentLocale = DEFAULT_LOCALE;
+const listeners = new Set();
+
+const isSupported = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+const readStoredLocale = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Locale to start with: saved choice, then the browser languages ('ar-EG' matches 'ar')
+ */
+export const detectLocale = () => {
+  const stored = readStoredLocale();
+  if (isSupported(stored)) return stored;
+
+  const languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  const match = languages
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split('-')[0])
+    .find(isSupported);
+  return match || DEFAULT_LOCALE;
+};
+
+export const getLocale = () => currentLocale;
+
+export const getDirection = (locale = currentLocale) => LOCALES[locale].dir;
+
+/**
+ * Make a locale current: update <html lang dir> and notify subscribers
+ */
+const applyLocale = (locale) => {
+  currentLocale = locale;
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getDirection(locale);
+  }
+  listeners.forEach((listener) => listener(locale));
+};
+
+/**
+ * Detect and apply the starting locale (call once before the app renders)
+ */
+export const initLocale = () => applyLocale(detectLocale());
+
+/**
+ * Switch locale and remember the choice on this device
+ */
+export const setLocale = (locale) => {
+  if (!isSupported(locale)) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('[i18n] ⚠️ Could not save locale:', error.message);
+  }
+  applyLocale(locale);
+};
+
+/**
+ * Listen for locale changes; returns the unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+const selectPlural = (message, locale, count) =>
+  (typeof count === 'number' ? message[new Intl.PluralRules(locale).select(count)] : undefined) ?? message.other;
+
+// Numbers are written in the locale's digits and grouping; strings (barcodes, codes) as they are
+const interpolate = (text, params, locale) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+  });
+
+/**
+ * Translate a message key
+ * params fill {placeholders}; params.count selects the plural form; params.fallback is
+ * used when no catalog has the key.
+ */
+export const t = (key, params = {}) => {
+  let locale = currentLocale;
+  let message = lookup(LOCALES[locale].messages, key);
+  if (message === undefined && locale !== DEFAULT_LOCALE) {
+    locale = DEFAULT_LOCALE;
+    message = lookup(LOCALES[locale].messages, key);
+  }
+  if (message === undefined) {
+    return params.fallback !== undefined ? params.fallback : key;
+  }
+  if (typeof message === 'object') {
+    message = selectPlural(message, locale, params.count);
+  }
+  return interpolate(message, params, currentLocale);
+};
@@ -0,0 +1,456 @@
+/**
+ * Arabic messages
+ * Keys missing here fall back to English (see ../index.js). Plural forms follow
+ * Intl.PluralRules('ar'): zero, one, two, few (3-10), many (11-99), other.
+ */
+
+const ar = {
+  common: {
+    dismiss: 'إغلاق',
+    retry: 'إعادة المحاولة',
+    cancel: 'إلغاء',
+    save: 'حفظ',
+    saving: 'جارٍ الحفظ…',
+    edit: 'تعديل',
+    delete: 'حذف',
+    view: 'عرض',
+    export: 'تصدير',
+    unnamedProduct: 'منتج بدون اسم',
+    listSeparator: '، ',
+  },
+
+  app: {
+    title: 'ماسح باركود المنتجات',
+    subtitle: 'امسح الباركود للحصول على معلومات المنتج',
+    modeSwitch: 'وضع المسح',
+    modes: {
+      single: 'مسح فردي',
+      batch: 'جرد بالدفعة',
+      import: 'استيراد قائمة',
+      catalog: 'الكتالوج',
+    },
+    loadingProduct: 'جارٍ تحميل معلومات المنتج...',
+    language: 'اللغة',
+  },
+
+  errors: {
+    apiKeyMissing: 'مفتاح الواجهة البرمجية غير مُعدّ. يرجى ضبط BARCODE_LOOKUP_API_KEY و RAPIDAPI_KEY في متغيرات بيئة الخادم.',
+    invalidBarcode: 'باركود غير صالح. يرجى إدخال GTIN/UPC/EAN صحيح (8 أو 12 أو 13 أو 14 رقمًا مع رقم تحقق صحيح).',
+    invalidBarcodeFormat: 'صيغة الباركود غير صالحة. {reason}',
+    productNotFound: 'لم يتم العثور على بيانات المنتج. يرجى المحاولة بباركود آخر.',
+    network: 'خطأ في الشبكة. يرجى التحقق من اتصالك بالإنترنت.',
+    timeout: 'انتهت مهلة الطلب. الخادم يستغرق وقتًا طويلًا للرد. يرجى التحقق من اتصالك بالإنترنت والمحاولة مرة أخرى.',
+    cameraPermission: 'تم رفض إذن الكاميرا. يرجى السماح بالوصول إلى الكاميرا من إعدادات المتصفح.',
+    cameraError: 'تعذّر تشغيل الكاميرا. يرجى التحقق من أذونات الكاميرا والمحاولة مرة أخرى.',
+    cameraNotFound: 'لم يتم العثور على كاميرا. يرجى التأكد من أن جهازك يحتوي على كاميرا.',
+    cameraInUse: 'تعذر فتح الكاميرا. ربما يستخدمها تطبيق أو تبويب آخر.',
+    rateLimited: 'عمليات بحث كثيرة جدًا. يرجى الانتظار قليلًا والمحاولة مرة أخرى.',
+    rateLimitedRetryAfter: 'عمليات بحث كثيرة جدًا. يرجى الانتظار {seconds} ثانية والمحاولة مرة أخرى.',
+    notAProduct: 'هذا ليس باركود منتج. يمكن جرد رموز GTIN/UPC/EAN فقط.',
+    imageNoBarcode: 'لم يتم العثور على باركود في هذه الصورة. جرّب صورة أوضح يملأ فيها الباركود جزءًا أكبر من الإطار.',
+    imageError: 'تعذّرت قراءة هذه الصورة. يرجى اختيار ملف JPEG أو PNG أو WebP.',
+    catalogUnauthorized: 'تعديل الكتالوج يتطلب رمز كتالوج صالحًا.',
+    catalogReadOnly: 'لا يمكن تعديل الكتالوج على هذا الخادم: لم يُضبط له تخزين دائم.',
+    catalogKeyTaken: 'يوجد عنصر آخر في الكتالوج بهذا الرمز GTIN أو رمز الصنف.',
+    providerQuota: 'نفدت حصة البحث اليومية لبعض قواعد بيانات المنتجات. يرجى المحاولة لاحقًا.',
+    providersUnavailable: 'قواعد بيانات المنتجات غير متاحة مؤقتًا. يرجى المحاولة مرة أخرى بعد قليل.',
+    healthUnavailable: 'أعادت نقطة الفحص الرمز {status}',
+    unexpected: 'حدث خطأ ما.',
+    invalidResponse: 'أرسل الخادم ردًا لا يستطيع التطبيق قراءته.',
+    boundaryTitle: 'عذرًا! حدث خطأ ما',
+    reloadPage: 'إعادة تحميل الصفحة',
+    dismissLabel: 'إغلاق رسالة الخطأ',
+    guidance: {
+      INVALID_BARCODE: 'تحقق من الأرقام المطبوعة أسفل الباركود، ثم امسحه أو اكتبه مرة أخرى.',
+      NOT_FOUND: 'لا تعرف أي من قواعد بيانات المنتجات هذا الباركود. يمكن إضافة منتجات العلامات الخاصة ومنتجات المتجر إلى الكتالوج المحلي.',
+      TIMEOUT: 'استغرق البحث وقتًا طويلًا، غالبًا بسبب بطء الاتصال. حاول مرة أخرى بعد لحظات.',
+      NETWORK: 'تأكد من أن الجهاز متصل بالإنترنت. المنتجات التي بحثت عنها سابقًا تظل معروضة من الذاكرة المحلية.',
+      QUOTA: 'عمليات البحث محدودة لحماية قواعد بيانات المنتجات. انتظر قليلًا قبل المحاولة مرة أخرى.',
+      AUTH: 'أدخل رمزًا صالحًا في خانة «رمز الكتالوج» ضمن تبويب الكتالوج.',
+      CAMERA_DENIED: 'اسمح بالوصول إلى الكاميرا لهذا الموقع (أيقونة الكاميرا في شريط العنوان أو إعدادات الموقع)، ثم أعد المحاولة. يمكنك أيضًا كتابة الباركود أو رفع صورة.',
+      CAMERA_MISSING: 'لم يتم العثور على كاميرا أو لا يستطيع المتصفح استخدامها. اكتب الباركود أو ارفع صورة بدلًا من ذلك.',
+      CAMERA_IN_USE: 'أغلق التطبيقات أو التبويبات الأخرى التي تستخدم الكاميرا، ثم أعد المحاولة. يمكنك أيضًا كتابة الباركود أو رفع صورة.',
+    },
+    addToCatalog: 'إضافة إلى الكتالوج',
+    searchAgain: 'البحث مجددًا',
+    attempts: {
+      title: 'قواعد البيانات التي تم فحصها',
+      cached: 'محفوظ من بحث سابق',
+      found: 'موجود',
+      noMatch: 'غير موجود',
+      failed: 'فشل: {error}',
+      skipped: 'تم التخطي ({reason})',
+    },
+  },
+
+  validation: {
+    barcodeRequired: 'الباركود مطلوب.',
+    barcodeEmpty: 'لا يمكن أن يكون الباركود فارغًا.',
+    barcodeDigitsOnly: 'يجب أن يحتوي الباركود على أرقام فقط.',
+    barcodeLength: 'يجب أن يتكون الباركود من 8 أو 12 أو 13 أو 14 رقمًا (الطول الحالي {length}).',
+    checkDigit: 'رقم التحقق غير صحيح: المتوقع {expected} والموجود {actual}. ربما قُرئ الباركود بشكل خاطئ.',
+    priceCheckDigit: 'رقم التحقق من السعر غير صحيح: المتوقع {expected} والموجود {actual}. ربما قُرئ الباركود بشكل خاطئ.',
+    weightCheckDigit: 'رقم التحقق من الوزن غير صحيح: المتوقع {expected} والموجود {actual}. ربما قُرئ الباركود بشكل خاطئ.',
+    isbn10CheckDigit: 'رقم التحقق في ISBN-10 غير صحيح: المتوقع {expected} والموجود {actual}.',
+    issnCheckDigit: 'رقم التحقق في ISSN غير صحيح: المتوقع {expected} والموجود {actual}.',
+  },
+
+  gs1: {
+    unknownAiAt: 'معرّف تطبيق غير معروف عند "{text}".',
+    unknownAi: 'معرّف تطبيق غير معروف ({ai}).',
+    noAis: 'لم يتم العثور على معرّفات تطبيق GS1.',
+    fixedLength: 'يجب أن يتكون {title} ({ai}) من {length} حرفًا (الطول الحالي {actual}).',
+    maxLength: 'يجب أن يتكون {title} ({ai}) من 1 إلى {maxLength} حرفًا (الطول الحالي {actual}).',
+    numeric: 'يجب أن يكون {title} ({ai}) رقميًا.',
+    invalidDate: '{title} ({ai}) ليس تاريخًا صالحًا: {data}.',
+    gtinCheckDigit: 'رقم التحقق في GTIN (01) {gtin} غير صحيح. ربما قُرئ الباركود بشكل خاطئ.',
+    ai: {
+      '00': 'رمز SSCC',
+      '01': 'GTIN',
+      '02': 'GTIN المحتوى',
+      10: 'رقم التشغيلة',
+      11: 'تاريخ الإنتاج',
+      12: 'تاريخ الاستحقاق',
+      13: 'تاريخ التعبئة',
+      15: 'يُفضّل استهلاكه قبل',
+      16: 'يُباع قبل',
+      17: 'تاريخ انتهاء الصلاحية',
+      20: 'النوع',
+      21: 'الرقم التسلسلي',
+      22: 'نوع المنتج للمستهلك',
+      30: 'العدد',
+      37: 'عدد الوحدات التجارية',
+      240: 'معرّف منتج إضافي',
+      241: 'رقم قطعة العميل',
+      250: 'رقم تسلسلي ثانوي',
+      310: 'الوزن الصافي (كغ)',
+      320: 'الوزن الصافي (رطل)',
+      330: 'الوزن الإجمالي (كغ)',
+      392: 'السعر',
+      400: 'رقم الطلب',
+      410: 'GLN جهة الشحن',
+      414: 'GLN الموقع',
+      422: 'بلد المنشأ',
+      7003: 'تاريخ ووقت انتهاء الصلاحية',
+      90: 'داخلي',
+      91: 'داخلي',
+      92: 'داخلي',
+      93: 'داخلي',
+      94: 'داخلي',
+      95: 'داخلي',
+      96: 'داخلي',
+      97: 'داخلي',
+      98: 'داخلي',
+      99: 'داخلي',
+    },
+  },
+
+  formats: {
+    typed: 'إدخال يدوي',
+  },
+
+  units: {
+    kg: 'كغ',
+    lb: 'رطل',
+  },
+
+  time: {
+    justNow: 'الآن',
+  },
+
+  scanner: {
+    region: 'ماسح الباركود',
+    placeholderMobile: 'ستُفتح الكاميرا تلقائيًا...',
+    placeholderDesktop: 'سيظهر ماسح الكاميرا هنا',
+    openCamera: 'فتح الكاميرا',
+    startCamera: 'تشغيل ماسح الكاميرا',
+    startLabel: 'تشغيل ماسح الكاميرا',
+    stop: 'إيقاف الماسح',
+    stopLabel: 'إيقاف ماسح الكاميرا',
+    cameraControls: 'عناصر التحكم بالكاميرا',
+    camera: 'الكاميرا',
+    cameraN: 'الكاميرا {n}',
+    torch: 'المصباح',
+    zoom: 'التكبير',
+    tapToFocus: 'انقر على الصورة لضبط التركيز',
+    engineStats: 'أداة القراءة: {backend} · {fps} إطار/ث',
+    engineStatsLatency: 'أداة القراءة: {backend} · {fps} إطار/ث · {latency} م.ث لكل إطار',
+    or: 'أو',
+    uploadImage: 'رفع صورة',
+    readingImage: 'جارٍ قراءة الصورة…',
+    uploadLabel: 'ارفع صورة أو لقطة شاشة لباركود',
+    imageResults: {
+      two: 'تم العثور على باركودين. اختر واحدًا:',
+      few: 'تم العثور على {count} باركودات. اختر واحدًا:',
+      many: 'تم العثور على {count} باركودًا. اختر واحدًا:',
+      other: 'تم العثور على {count} باركود. اختر واحدًا:',
+    },
+    manualPlaceholder: 'أدخل الباركود يدويًا (GTIN/UPC/EAN أو ISBN أو ISSN)',
+    manualLabel: 'إدخال الباركود',
+    lookup: 'البحث عن المنتج',
+    lookupLabel: 'البحث عن المنتج بالباركود',
+  },
+
+  product: {
+    title: 'معلومات المنتج',
+    bookTitle: 'معلومات الكتاب',
+    savedFrom: 'بيانات محفوظة منذ {time}',
+    offline: '(غير متصل)',
+    incomplete: 'بيانات ناقصة',
+    missingIntro: 'البيانات التالية غير متوفرة لهذا المنتج:',
+    fields: {
+      name: 'اسم المنتج',
+      images: 'صورة المنتج',
+      brand: 'العلامة التجارية',
+      description: 'الوصف',
+      offers: 'السعر',
+    },
+    nameUnavailable: 'اسم المنتج غير متوفر',
+    notInCatalog: 'الصنف {itemCode} (غير موجود في الكتالوج المحلي)',
+    noImage: 'لا توجد صورة',
+    noImageLabel: 'لا توجد صورة للمنتج',
+    dataSource: 'مصدر البيانات',
+    byAuthors: 'تأليف {authors}',
+    expired: 'منتهي الصلاحية',
+    sources: 'المصادر: {sources}',
+    labels: {
+      gtin: 'GTIN/UPC',
+      itemCode: 'رمز الصنف',
+      weight: 'الوزن',
+      isbn13: 'ISBN-13',
+      isbn10: 'ISBN-10',
+      issn: 'ISSN',
+      publisher: 'الناشر',
+      published: 'سنة النشر',
+      pages: 'عدد الصفحات',
+      brand: 'العلامة التجارية',
+      price: 'السعر',
+      category: 'الفئة',
+      subjects: 'الموضوعات',
+      description: 'الوصف',
+    },
+  },
+
+  scanResult: {
+    label: 'نتيجة المسح',
+    kinds: {
+      url: 'رابط',
+      sku: 'رمز صنف',
+      text: 'نص ممسوح',
+    },
+    scannedCode: 'رمز ممسوح',
+    copy: 'نسخ',
+    copied: 'تم النسخ',
+    openLink: 'فتح الرابط',
+    searchSku: 'البحث عن الصنف',
+  },
+
+  history: {
+    label: 'سجل المسح',
+    toggle: 'سجل المسح ({count})',
+    searchPlaceholder: 'ابحث بالاسم أو الباركود أو المصدر',
+    searchLabel: 'البحث في سجل المسح',
+    favoritesOnly: 'المفضلة فقط',
+    empty: 'لا توجد عمليات مسح بعد.',
+    noMatch: 'لا توجد عمليات مسح تطابق بحثك.',
+    viewLabel: 'عرض {name}',
+    addFavorite: 'إضافة إلى المفضلة',
+    removeFavorite: 'إزالة من المفضلة',
+    relookup: 'البحث مجددًا',
+    deleteLabel: 'حذف الإدخال',
+  },
+
+  batch: {
+    label: 'جلسة المسح بالدفعة',
+    counting: 'جارٍ العد…',
+    review: 'مراجعة الجلسة',
+    items: {
+      zero: 'لا أصناف',
+      one: 'صنف واحد',
+      two: 'صنفان',
+      few: '{count} أصناف',
+      many: '{count} صنفًا',
+      other: '{count} صنف',
+    },
+    units: {
+      zero: 'لا وحدات',
+      one: 'وحدة واحدة',
+      two: 'وحدتان',
+      few: '{count} وحدات',
+      many: '{count} وحدة',
+      other: '{count} وحدة',
+    },
+    empty: 'امسح الباركودات واحدًا تلو الآخر. يُضاف كل باركود جديد إلى القائمة، وتزيد عمليات المسح المتكررة كميته.',
+    lookingUp: 'جارٍ البحث…',
+    notFound: 'غير موجود',
+    decrease: 'إنقاص كمية {barcode}',
+    quantity: 'كمية {barcode}',
+    increase: 'زيادة كمية {barcode}',
+    remove: 'إزالة {barcode}',
+    clear: 'مسح الجلسة',
+    clearConfirm: 'مسح هذه الجلسة؟ ستُزال جميع الأصناف المعدودة.',
+  },
+
+  import: {
+    label: 'استيراد قائمة باركودات',
+    title: 'استيراد قائمة باركودات',
+    hint: 'اختر ملف CSV أو TXT. يُستخدم العمود المسمى GTIN أو Barcode أو EAN أو UPC أو باركود إن وُجد؛ وإلا فيُقرأ كل رقم من 8 إلى 14 خانة في الملف.',
+    chooseFile: 'اختيار ملف',
+    chooseAnotherFile: 'اختيار ملف آخر',
+    toLookUp: {
+      zero: 'لا باركودات للبحث',
+      one: 'باركود واحد للبحث',
+      two: 'باركودان للبحث',
+      few: '{count} باركودات للبحث',
+      many: '{count} باركودًا للبحث',
+      other: '{count} باركود للبحث',
+    },
+    duplicates: {
+      one: 'تم تخطي تكرار واحد',
+      two: 'تم تخطي تكرارين',
+      few: 'تم تخطي {count} تكرارات',
+      many: 'تم تخطي {count} تكرارًا',
+      other: 'تم تخطي {count} تكرار',
+    },
+    invalid: '{count} غير صالح',
+    showInvalid: 'عرض القيم غير الصالحة',
+    start: 'بدء البحث',
+    pause: 'إيقاف مؤقت',
+    resume: 'استئناف',
+    exportResults: 'تصدير النتائج',
+    progress: 'تمت معالجة {processed} / {total} · تم العثور على {found}',
+    rateLimited: 'تم بلوغ حد البحث. المتابعة بعد {seconds} ث…',
+    status: {
+      queued: 'في الانتظار',
+      running: 'جارٍ البحث…',
+      found: 'موجود',
+      failed: 'فشل',
+    },
+  },
+
+  export: {
+    label: 'تصدير',
+    format: 'الصيغة',
+    columns: 'الأعمدة',
+    download: 'تنزيل ({count})',
+    columnLabels: {
+      gtin: 'GTIN',
+      name: 'الاسم',
+      brand: 'العلامة التجارية',
+      price: 'السعر',
+      currency: 'العملة',
+      category: 'الفئة',
+      description: 'الوصف',
+      imageUrl: 'رابط الصورة',
+      provider: 'المزوّد',
+      scanTime: 'وقت المسح',
+      quantity: 'الكمية',
+    },
+  },
+
+  health: {
+    label: 'حالة المزوّدين',
+    title: 'حالة المزوّدين',
+    status: {
+      ok: 'جميع المزوّدين يعملون',
+      degraded: 'بعض المزوّدين لا يعملون',
+      down: 'لا يعمل أي مزوّد',
+    },
+    breaker: {
+      closed: 'مغلقة',
+      open: 'مفتوحة',
+      'half-open': 'نصف مفتوحة',
+    },
+    skipped: 'تم التخطي ({reason})',
+    skipReasons: {
+      quota: 'نفدت الحصة',
+      'circuit-open': 'الدائرة مفتوحة',
+      budget: 'انتهت المهلة',
+      'not-configured': 'لا يوجد مفتاح API',
+    },
+    ok: 'يعمل',
+    failed: 'فشل',
+    latency: '{ms} مللي ثانية',
+    checked: 'آخر فحص {time}',
+    cached: '(مخزّن مؤقتًا)',
+    checking: 'جارٍ الفحص…',
+    run: 'تشغيل الفحص',
+    serverlessApi: 'الواجهة البرمجية للخادم',
+    reachable: 'متاحة',
+    unreachable: 'غير متاحة',
+    providers: 'المزوّدون',
+    circuit: 'قاطع الدائرة',
+    failures: {
+      one: 'إخفاق واحد',
+      two: 'إخفاقان',
+      few: '{count} إخفاقات',
+      many: '{count} إخفاقًا',
+      other: '{count} إخفاق',
+    },
+    calls: 'الطلبات',
+    today: '{calls} اليوم',
+    thisMonth: '{calls} هذا الشهر',
+    upstreamQuota: 'حصة المزوّد',
+    retryPolicy: 'سياسة إعادة المحاولة',
+    retryValue: '{attempts} محاولات، مهلة {seconds} ثانية',
+    lastError: 'آخر خطأ',
+    liveChecksHint: 'فحوص المزوّدين المباشرة وعدد الاستدعاءات والأخطاء تتطلب رمز الكتالوج (تبويب الكتالوج).',
+  },
+
+  catalog: {
+    label: 'الكتالوج المحلي',
+    title: 'الكتالوج المحلي',
+    hint: 'الأصناف هنا مشتركة مع الفريق بأكمله. تحل حقولها محل بيانات المزوّدين، ويُجاب عن المنتجات التي لا يعرفها أي مزوّد من الكتالوج. الأصناف الموزونة أو المسعّرة في المتجر تستخدم رمز الصنف (PLU) بدلًا من GTIN.',
+    searchPlaceholder: 'ابحث بالاسم أو العلامة التجارية أو GTIN أو رمز الصنف',
+    searchLabel: 'البحث في الكتالوج',
+    add: 'إضافة صنف',
+    import: 'استيراد CSV / JSON',
+    token: 'رمز الكتالوج',
+    tokenHint: 'مطلوب لتعديل الكتالوج: أحد الرموز في CATALOG_TOKENS على الخادم. يُحفظ على هذا الجهاز فقط.',
+    imported: {
+      zero: 'لم يُستورد أي صنف',
+      one: 'تم استيراد صنف واحد',
+      two: 'تم استيراد صنفين',
+      few: 'تم استيراد {count} أصناف',
+      many: 'تم استيراد {count} صنفًا',
+      other: 'تم استيراد {count} صنف',
+    },
+    rejected: 'تم رفض {count} من الصفوف',
+    showRejected: 'عرض الصفوف المرفوضة',
+    rejectedRow: 'الصف {row}: {errors}',
+    newItem: 'صنف جديد',
+    editItem: 'تعديل الصنف',
+    loading: 'جارٍ تحميل الكتالوج…',
+    empty: 'الكتالوج فارغ.',
+    noMatch: 'لا توجد أصناف تطابق بحثك.',
+    deleteConfirm: 'حذف "{name}" من الكتالوج؟',
+    plu: 'PLU {itemCode}',
+    fields: {
+      gtin: 'GTIN / الباركود',
+      itemCode: 'رمز الصنف في المتجر (PLU)',
+      name: 'الاسم',
+      brand: 'العلامة التجارية',
+      manufacturer: 'الشركة المصنّعة',
+      description: 'الوصف',
+      category: 'الفئة',
+      image: 'رابط الصورة',
+      price: 'السعر',
+      currency: 'العملة',
+      unitPrice: 'سعر الوحدة',
+      unit: 'الوحدة (مثل kg)',
+    },
+    errors: {
+      gtin: 'GTIN: {reason}',
+      itemCode: 'يجب أن يتكون رمز الصنف من 1 إلى {digits} أرقام.',
+      gtinOrItemCode: 'حدّد إما GTIN أو رمز صنف (للأصناف الموزونة أو المسعّرة في المتجر).',
+      nameRequired: 'الاسم مطلوب.',
+      price: 'يجب أن يكون السعر رقمًا موجبًا.',
+      unitPrice: 'يجب أن يكون سعر الوحدة رقمًا موجبًا.',
+      currency: 'يجب أن تكون العملة رمزًا من 3 أحرف.',
+      jsonList: 'يجب أن يكون ملف JSON قائمة أصناف.',
+      csvHeader: 'يحتاج ملف CSV إلى صف عناوين يحتوي على عمود name على الأقل.',
+    },
+  },
+};
+
+export default ar;
@@ -0,0 +1,394 @@
+/**
+ * English messages - the reference catalog: every key used in the app is defined here
+ */
+
+const en = {
+  common: {
+    dismiss: 'Dismiss',
+    retry: 'Retry',
+    cancel: 'Cancel',
+    save: 'Save',
+    saving: 'Saving…',
+    edit: 'Edit',
+    delete: 'Delete',
+    view: 'View',
+    export: 'Export',
+    unnamedProduct: 'Unnamed product',
+    listSeparator: ', ',
+  },
+
+  app: {
+    title: 'Barcode Product Scanner',
+    subtitle: 'Scan a barcode to get product information',
+    modeSwitch: 'Scan mode',
+    modes: {
+      single: 'Single Scan',
+      batch: 'Batch Count',
+      import: 'Import List',
+      catalog: 'Catalog',
+    },
+    loadingProduct: 'Loading product information...',
+    language: 'Language',
+  },
+
+  errors: {
+    apiKeyMissing: 'API key not configured. Please set BARCODE_LOOKUP_API_KEY and RAPIDAPI_KEY in the server environment variables.',
+    invalidBarcode: 'Invalid barcode. Please enter a valid GTIN/UPC/EAN (8, 12, 13 or 14 digits with a correct check digit).',
+    invalidBarcodeFormat: 'Invalid barcode format. {reason}',
+    productNotFound: 'Product not found. Please try another barcode.',
+    network: 'Network error. Please check your internet connection.',
+    timeout: 'Request timed out. The server is taking too long to respond. Please check your internet connection and try again.',
+    cameraPermission: 'Camera permission denied. Please allow camera access in your browser settings.',
+    cameraError: 'Failed to start camera. Please check your camera permissions and try again.',
+    cameraNotFound: 'Camera not found. Please ensure your device has a camera.',
+    cameraInUse: 'The camera could not be opened. Another app or tab may be using it.',
+    rateLimited: 'Too many lookups. Please wait a moment and try again.',
+    rateLimitedRetryAfter: 'Too many lookups. Please wait {seconds}s and try again.',
+    notAProduct: 'This is not a product barcode. Only GTIN/UPC/EAN codes can be counted.',
+    imageNoBarcode: 'No barcode found in this image. Try a sharper photo with the barcode filling more of the frame.',
+    imageError: 'Could not read this image. Please choose a JPEG, PNG or WebP file.',
+    catalogUnauthorized: 'Editing the catalog needs a valid catalog token.',
+    catalogReadOnly: 'The catalog cannot be edited on this server: it has no durable storage configured.',
+    catalogKeyTaken: 'Another catalog item already has this GTIN or item code.',
+    providerQuota: 'The daily lookup quota of some product databases is used up. Please try again later.',
+    providersUnavailable: 'The product databases are temporarily unavailable. Please try again in a moment.',
+    healthUnavailable: 'Health endpoint returned {status}',
+    unexpected: 'Something went wrong.',
+    invalidResponse: 'The server sent an answer the app could not read.',
+    boundaryTitle: 'Oops! Something went wrong',
+    reloadPage: 'Reload Page',
+    dismissLabel: 'Dismiss error',
+    guidance: {
+      INVALID_BARCODE: 'Check the digits printed under the barcode, then scan or type it again.',
+      NOT_FOUND: 'None of the product databases know this barcode. Private-label and in-store products can be added to the local catalog.',
+      TIMEOUT: 'The lookup took too long, usually because of a slow connection. Try again in a moment.',
+      NETWORK: 'Check that the device is online. Products looked up before are still shown from the local cache.',
+      QUOTA: 'Lookups are limited to protect the product databases. Wait a little before trying again.',
+      AUTH: 'Enter a valid token under “Catalog token” in the Catalog tab.',
+      CAMERA_DENIED: 'Allow camera access for this site (camera icon in the address bar, or the site settings), then retry. You can also type the barcode or upload a photo.',
+      CAMERA_MISSING: 'No camera was found, or the browser cannot use it. Type the barcode or upload a photo instead.',
+      CAMERA_IN_USE: 'Close other apps or tabs that use the camera, then retry. You can also type the barcode or upload a photo.',
+    },
+    addToCatalog: 'Add to Catalog',
+    searchAgain: 'Search Again',
+    attempts: {
+      title: 'Databases checked',
+      cached: 'Remembered from an earlier lookup',
+      found: 'Found',
+      noMatch: 'Not found',
+      failed: 'Failed: {error}',
+      skipped: 'Skipped ({reason})',
+    },
+  },
+
+  validation: {
+    barcodeRequired: 'Barcode is required.',
+    barcodeEmpty: 'Barcode cannot be empty.',
+    barcodeDigitsOnly: 'Barcode must contain only numbers.',
+    barcodeLength: 'Barcode must be 8, 12, 13 or 14 digits (got {length}).',
+    checkDigit: 'Invalid check digit: expected {expected} but got {actual}. The barcode may have been misread.',
+    priceCheckDigit: 'Invalid price check digit: expected {expected} but got {actual}. The barcode may have been misread.',
+    weightCheckDigit: 'Invalid weight check digit: expected {expected} but got {actual}. The barcode may have been misread.',
+    isbn10CheckDigit: 'Invalid ISBN-10 check digit: expected {expected} but got {actual}.',
+    issnCheckDigit: 'Invalid ISSN check digit: expected {expected} but got {actual}.',
+  },
+
+  gs1: {
+    unknownAiAt: 'Unknown Application Identifier at "{text}".',
+    unknownAi: 'Unknown Application Identifier ({ai}).',
+    noAis: 'No GS1 Application Identifiers found.',
+    fixedLength: '{title} ({ai}) must be {length} characters (got {actual}).',
+    maxLength: '{title} ({ai}) must be 1 to {maxLength} characters (got {actual}).',
+    numeric: '{title} ({ai}) must be numeric.',
+    invalidDate: '{title} ({ai}) is not a valid date: {data}.',
+    gtinCheckDigit: 'GTIN (01) {gtin} has an invalid check digit. The barcode may have been misread.',
+  },
+
+  formats: {
+    typed: 'Typed',
+  },
+
+  units: {
+    kg: 'kg',
+    lb: 'lb',
+  },
+
+  time: {
+    justNow: 'just now',
+  },
+
+  scanner: {
+    region: 'Barcode scanner',
+    placeholderMobile: 'Camera will open automatically...',
+    placeholderDesktop: 'Camera scanner will appear here',
+    openCamera: 'Open Camera',
+    startCamera: 'Start Camera Scanner',
+    startLabel: 'Start camera scanner',
+    stop: 'Stop Scanner',
+    stopLabel: 'Stop camera scanner',
+    cameraControls: 'Camera controls',
+    camera: 'Camera',
+    cameraN: 'Camera {n}',
+    torch: 'Flashlight',
+    zoom: 'Zoom',
+    tapToFocus: 'Tap the picture to focus',
+    engineStats: 'Decoder: {backend} · {fps} fps',
+    engineStatsLatency: 'Decoder: {backend} · {fps} fps · {latency} ms per frame',
+    or: 'OR',
+    uploadImage: 'Upload Image',
+    readingImage: 'Reading Image…',
+    uploadLabel: 'Upload a photo or screenshot of a barcode',
+    imageResults: {
+      one: '{count} barcode found. Choose one:',
+      other: '{count} barcodes found. Choose one:',
+    },
+    manualPlaceholder: 'Enter barcode manually (GTIN/UPC/EAN, ISBN or ISSN)',
+    manualLabel: 'Barcode input',
+    lookup: 'Lookup Product',
+    lookupLabel: 'Lookup product by barcode',
+  },
+
+  product: {
+    title: 'Product Information',
+    bookTitle: 'Book Information',
+    savedFrom: 'Saved data from {time}',
+    offline: '(offline)',
+    incomplete: 'Incomplete data',
+    missingIntro: 'The following data is not available for this product:',
+    fields: {
+      name: 'Product name',
+      images: 'Product image',
+      brand: 'Brand',
+      description: 'Description',
+      offers: 'Price',
+    },
+    nameUnavailable: 'Product Name Not Available',
+    notInCatalog: 'Item {itemCode} (not in local catalog)',
+    noImage: 'No Image Available',
+    noImageLabel: 'No product image available',
+    dataSource: 'Data source',
+    byAuthors: 'by {authors}',
+    expired: 'Expired',
+    sources: 'Sources: {sources}',
+    labels: {
+      gtin: 'GTIN/UPC',
+      itemCode: 'Item Code',
+      weight: 'Weight',
+      isbn13: 'ISBN-13',
+      isbn10: 'ISBN-10',
+      issn: 'ISSN',
+      publisher: 'Publisher',
+      published: 'Published',
+      pages: 'Pages',
+      brand: 'Brand',
+      price: 'Price',
+      category: 'Category',
+      subjects: 'Subjects',
+      description: 'Description',
+    },
+  },
+
+  scanResult: {
+    label: 'Scan result',
+    kinds: {
+      url: 'Link',
+      sku: 'Item Code',
+      text: 'Scanned Text',
+    },
+    scannedCode: 'Scanned Code',
+    copy: 'Copy',
+    copied: 'Copied',
+    openLink: 'Open Link',
+    searchSku: 'Search SKU',
+  },
+
+  history: {
+    label: 'Scan history',
+    toggle: 'Scan History ({count})',
+    searchPlaceholder: 'Search by name, barcode or source',
+    searchLabel: 'Search scan history',
+    favoritesOnly: 'Favorites only',
+    empty: 'No scans yet.',
+    noMatch: 'No scans match your search.',
+    viewLabel: 'View {name}',
+    addFavorite: 'Add to favorites',
+    removeFavorite: 'Remove from favorites',
+    relookup: 'Look up again',
+    deleteLabel: 'Delete entry',
+  },
+
+  batch: {
+    label: 'Batch scan session',
+    counting: 'Counting…',
+    review: 'Review Session',
+    items: {
+      one: '{count} item',
+      other: '{count} items',
+    },
+    units: {
+      one: '{count} unit',
+      other: '{count} units',
+    },
+    empty: 'Scan barcodes one after another. Each new barcode is added to the list and repeated scans increase its quantity.',
+    lookingUp: 'Looking up…',
+    notFound: 'Not found',
+    decrease: 'Decrease quantity of {barcode}',
+    quantity: 'Quantity of {barcode}',
+    increase: 'Increase quantity of {barcode}',
+    remove: 'Remove {barcode}',
+    clear: 'Clear Session',
+    clearConfirm: 'Clear this session? All counted items will be removed.',
+  },
+
+  import: {
+    label: 'Import barcode list',
+    title: 'Import Barcode List',
+    hint: 'Choose a CSV or TXT file. A column named GTIN, Barcode, EAN or UPC is used when present; otherwise every 8–14 digit number in the file is read.',
+    chooseFile: 'Choose File',
+    chooseAnotherFile: 'Choose Another File',
+    toLookUp: {
+      one: '{count} barcode to look up',
+      other: '{count} barcodes to look up',
+    },
+    duplicates: {
+      one: '{count} duplicate skipped',
+      other: '{count} duplicates skipped',
+    },
+    invalid: '{count} invalid',
+    showInvalid: 'Show invalid values',
+    start: 'Start Lookup',
+    pause: 'Pause',
+    resume: 'Resume',
+    exportResults: 'Export Results',
+    progress: '{processed} / {total} processed · {found} found',
+    rateLimited: 'Lookup limit reached. Continuing in {seconds} s…',
+    status: {
+      queued: 'Queued',
+      running: 'Looking up…',
+      found: 'Found',
+      failed: 'Failed',
+    },
+  },
+
+  export: {
+    label: 'Export',
+    format: 'Format',
+    columns: 'Columns',
+    download: 'Download ({count})',
+    columnLabels: {
+      gtin: 'GTIN',
+      name: 'Name',
+      brand: 'Brand',
+      price: 'Price',
+      currency: 'Currency',
+      category: 'Category',
+      description: 'Description',
+      imageUrl: 'Image URL',
+      provider: 'Provider',
+      scanTime: 'Scan Time',
+      quantity: 'Quantity',
+    },
+  },
+
+  health: {
+    label: 'Provider health',
+    title: 'Provider Health',
+    status: {
+      ok: 'All providers working',
+      degraded: 'Some providers failing',
+      down: 'No provider working',
+    },
+    breaker: {
+      closed: 'Closed',
+      open: 'Open',
+      'half-open': 'Half-open',
+    },
+    skipped: 'Skipped ({reason})',
+    skipReasons: {
+      quota: 'quota',
+      'circuit-open': 'circuit open',
+      budget: 'out of time',
+      'not-configured': 'no API key',
+    },
+    ok: 'OK',
+    failed: 'Failed',
+    latency: '{ms} ms',
+    checked: 'Checked {time}',
+    cached: '(cached)',
+    checking: 'Checking…',
+    run: 'Run Checks',
+    serverlessApi: 'Serverless API',
+    reachable: 'Reachable',
+    unreachable: 'Unreachable',
+    providers: 'Providers',
+    circuit: 'Circuit',
+    failures: {
+      one: '{count} failure',
+      other: '{count} failures',
+    },
+    calls: 'Calls',
+    today: '{calls} today',
+    thisMonth: '{calls} this month',
+    upstreamQuota: 'Upstream quota',
+    retryPolicy: 'Retry policy',
+    retryValue: '{attempts} attempts, {seconds}s timeout',
+    lastError: 'Last error',
+    liveChecksHint: 'Live provider checks, call counts and errors need the catalog token (Catalog tab).',
+  },
+
+  catalog: {
+    label: 'Local catalog',
+    title: 'Local Catalog',
+    hint: 'Items here are shared with the whole team. Their fields override provider data, and products no provider knows are answered from the catalog. In-store weighed or priced items use their item code (PLU) instead of a GTIN.',
+    searchPlaceholder: 'Search name, brand, GTIN or item code',
+    searchLabel: 'Search catalog',
+    add: 'Add Item',
+    import: 'Import CSV / JSON',
+    token: 'Catalog token',
+    tokenHint: 'Needed to edit the catalog: one of the tokens in the server’s CATALOG_TOKENS. Stored on this device only.',
+    imported: {
+      one: '{count} item imported',
+      other: '{count} items imported',
+    },
+    rejected: {
+      one: '{count} row rejected',
+      other: '{count} rows rejected',
+    },
+    showRejected: 'Show rejected rows',
+    rejectedRow: 'Row {row}: {errors}',
+    newItem: 'New Item',
+    editItem: 'Edit Item',
+    loading: 'Loading catalog…',
+    empty: 'The catalog is empty.',
+    noMatch: 'No items match your search.',
+    deleteConfirm: 'Delete "{name}" from the catalog?',
+    plu: 'PLU {itemCode}',
+    fields: {
+      gtin: 'GTIN / Barcode',
+      itemCode: 'In-store Item Code (PLU)',
+      name: 'Name',
+      brand: 'Brand',
+      manufacturer: 'Manufacturer',
+      description: 'Description',
+      category: 'Category',
+      image: 'Image URL',
+      price: 'Price',
+      currency: 'Currency',
+      unitPrice: 'Price per Unit',
+      unit: 'Unit (e.g. kg)',
+    },
+    errors: {
+      gtin: 'gtin: {reason}',
+      itemCode: 'itemCode must be 1 to {digits} digits.',
+      gtinOrItemCode: 'Set either a gtin or an itemCode (for in-store variable-measure items).',
+      nameRequired: 'name is required.',
+      price: 'price must be a positive number.',
+      unitPrice: 'unitPrice must be a positive number.',
+      currency: 'currency must be a 3-letter code.',
+      jsonList: 'JSON must be a list of items.',
+      csvHeader: 'CSV needs a header row with at least a name column.',
+    },
+  },
+};
+
+export default en;
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getDirection, getLocale, subscribe, t } from './index';
+
+/**
+ * Current locale for React components
+ * Returns { t, locale, dir } and re-renders the component when the locale changes.
+ */
+export const useTranslation = () => {
+  const locale = useSyncExternalStore(subscribe, getLocale);
+  return { t, locale, dir: getDirection(locale) };
+};
@@ -1,9 +1,13 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import ErrorBoundary from './components/ErrorBoundary';
+import { initLocale } from './i18n';
 import './index.css';
 import App from './App';
 
+// Pick the language (and text direction) before the first render
+initLocale();
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
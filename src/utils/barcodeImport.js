@@ -0,0 +1,113 @@
+/**
+ * Extract barcodes from an imported CSV or TXT file
+ *
+ * - CSV with a header row: if a column is named like gtin/barcode/ean/upc, only that column is read
+ * - Anything else: every run of 8-14 digits in the file is treated as a candidate
+ * Candidates are validated with validateBarcode and deduplicated by canonical GTIN.
+ */
+
+import { validateBarcode } from './validation';
+
+const BARCODE_HEADER = /^(gtin|gtin[-_ ]?\d+|barcode|bar[-_ ]?code|ean|ean13|upc|code|باركود)$/i;
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Pick the delimiter that appears most often in the first line
+ */
+export const detectDelimiter = (line) =>
+  DELIMITERS.reduce((best, delimiter) =>
+    line.split(delimiter).length > line.split(best).length ? delimiter : best
+  );
+
+/**
+ * Split a CSV line, honouring double-quoted cells
+ * Cells written as ="..." (how exports keep identifiers as text in Excel) give their text.
+ */
+export const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells.map((cell) => cell.trim().replace(/^="(.*)"$/, '$1'));
+};
+
+/**
+ * Find raw barcode candidates in the file text
+ */
+const findCandidates = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(lines[0]);
+  const header = splitCsvLine(lines[0], delimiter);
+  const columnIndex = header.findIndex((cell) => BARCODE_HEADER.test(cell));
+
+  if (columnIndex !== -1) {
+    return lines
+      .slice(1)
+      .map((line) => splitCsvLine(line, delimiter)[columnIndex] || '')
+      .map((cell) => cell.replace(/[\s-]/g, ''))
+      .filter(Boolean);
+  }
+
+  return text.match(/\b\d{8,14}\b/g) || [];
+};
+
+/**
+ * Parse file text into barcodes
+ * Returns { barcodes, invalid, duplicates }
+ * - barcodes: unique canonical GTINs, in file order
+ * - invalid: [{ value, error }] for candidates that failed validation
+ * - duplicates: number of repeated barcodes that were dropped
+ */
+export const parseBarcodeList = (text) => {
+  const barcodes = [];
+  const invalid = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  findCandidates(text).forEach((value) => {
+    const validation = validateBarcode(value);
+    if (!validation.valid) {
+      invalid.push({ value, error: validation.error });
+      return;
+    }
+    // Same product written as UPC-A and EAN-13 has the same GTIN-14
+    if (seen.has(validation.gtin14)) {
+      duplicates++;
+      return;
+    }
+    seen.add(validation.gtin14);
+    barcodes.push(validation.value);
+  });
+
+  return { barcodes, invalid, duplicates };
+};
+
+/**
+ * Read a File object as text
+ */
+export const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
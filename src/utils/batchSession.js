@@ -0,0 +1,103 @@
+/**
+ * Batch (continuous) scan session helpers
+ *
+ * A session is a list of items, one per barcode:
+ * {
+ *   barcode: '4006381333931',
+ *   quantity: 3,
+ *   status: 'pending' | 'found' | 'error',
+ *   product: {...} | null,   // Canonical product once the background lookup finishes
+ *   error: 'message' | null,
+ *   firstScannedAt: 1700000000000,
+ *   lastScannedAt: 1700000005000,
+ * }
+ *
+ * All helpers return a new list. The current session is kept in localStorage so a
+ * reload doesn't lose an inventory count.
+ */
+
+const STORAGE_KEY = 'scan-barcode:batch-session';
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  FOUND: 'found',
+  ERROR: 'error',
+};
+
+/**
+ * Record a scan: add a new item or increment the quantity of an existing one
+ */
+export const addScan = (items, barcode, now = Date.now()) => {
+  const existing = items.find((item) => item.barcode === barcode);
+  if (existing) {
+    return items.map((item) =>
+      item.barcode === barcode
+        ? { ...item, quantity: item.quantity + 1, lastScannedAt: now }
+        : item
+    );
+  }
+
+  return [
+    {
+      barcode,
+      quantity: 1,
+      status: ITEM_STATUS.PENDING,
+      product: null,
+      error: null,
+      firstScannedAt: now,
+      lastScannedAt: now,
+    },
+    ...items,
+  ];
+};
+
+/**
+ * Update an item by barcode
+ */
+export const updateItem = (items, barcode, changes) =>
+  items.map((item) => (item.barcode === barcode ? { ...item, ...changes } : item));
+
+/**
+ * Set the quantity of an item (items with quantity 0 or less are removed)
+ */
+export const setQuantity = (items, barcode, quantity) =>
+  quantity > 0
+    ? updateItem(items, barcode, { quantity })
+    : removeItem(items, barcode);
+
+/**
+ * Remove an item
+ */
+export const removeItem = (items, barcode) => items.filter((item) => item.barcode !== barcode);
+
+/**
+ * Total number of units counted in a session
+ */
+export const getTotalQuantity = (items) => items.reduce((total, item) => total + item.quantity, 0);
+
+/**
+ * Load the saved session (empty list when nothing is saved)
+ */
+export const loadSession = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Save the session
+ */
+export const saveSession = (items) => {
+  try {
+    if (items.length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    }
+  } catch (error) {
+    console.warn('[Batch] ⚠️ Could not save session:', error.message);
+  }
+};
@@ -0,0 +1,105 @@
+/**
+ * Camera choice and live controls (torch, zoom, tap-to-focus) for the scanner
+ *
+ * Controls are read from the capabilities of the running video track, so they only
+ * exist where the device and browser support them (mostly Chrome on Android);
+ * readTrackControls reports the missing ones as null / false for the UI to hide.
+ * The chosen camera is remembered on the device.
+ */
+
+import { Html5Qrcode } from 'html5-qrcode';
+import { CAMERA_CONFIG } from './constants';
+
+const STORAGE_KEY = 'scan-barcode:camera';
+
+/**
+ * Device id of the camera picked last time, or null
+ */
+export const getPreferredCameraId = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const setPreferredCameraId = (deviceId) => {
+  try {
+    if (deviceId) localStorage.setItem(STORAGE_KEY, deviceId);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('[Camera] ⚠️ Could not save camera choice:', error.message);
+  }
+};
+
+/**
+ * Camera argument for Html5Qrcode.start(): the remembered device, else any rear camera
+ */
+export const getCameraSource = (deviceId = getPreferredCameraId()) =>
+  deviceId || { facingMode: 'environment' };
+
+/**
+ * Cameras on this device: [{ id, label }]
+ * Labels are only filled in once camera permission was granted.
+ */
+export const listCameras = async () => {
+  try {
+    return await Html5Qrcode.getCameras();
+  } catch (error) {
+    console.warn('[Camera] ⚠️ Could not list cameras:', error);
+    return [];
+  }
+};
+
+const NO_CONTROLS = { deviceId: null, torch: null, zoom: null, focus: false, continuousFocus: false };
+
+/**
+ * What the running camera supports
+ * Returns { deviceId, torch, zoom, focus, continuousFocus }:
+ * - torch: whether the torch is on, or null without a torch
+ * - zoom: { min, max, step, value }, or null without optical/digital zoom
+ * - focus: a tap can trigger a single-shot focus
+ */
+export const readTrackControls = (scanner) => {
+  let capabilities;
+  let settings;
+  try {
+    capabilities = scanner.getRunningTrackCapabilities() || {};
+    settings = scanner.getRunningTrackSettings() || {};
+  } catch (error) {
+    return NO_CONTROLS;
+  }
+
+  const { zoom } = capabilities;
+  const focusModes = Array.isArray(capabilities.focusMode) ? capabilities.focusMode : [];
+
+  return {
+    deviceId: settings.deviceId || null,
+    torch: capabilities.torch ? Boolean(settings.torch) : null,
+    zoom: zoom && zoom.max > zoom.min
+      ? { min: zoom.min, max: zoom.max, step: zoom.step || 0.1, value: settings.zoom ?? zoom.min }
+      : null,
+    focus: focusModes.includes('single-shot'),
+    continuousFocus: focusModes.includes('continuous'),
+  };
+};
+
+// async so that html5-qrcode's synchronous throws (scanner not running) become rejections
+const applyConstraint = async (scanner, constraint) => scanner.applyVideoConstraints({ advanced: [constraint] });
+
+export const setTorch = (scanner, on) => applyConstraint(scanner, { torch: on });
+
+export const setZoom = (scanner, zoom) => applyConstraint(scanner, { zoom });
+
+/**
+ * Focus once on a point of the picture (x and y from 0 to 1), then return to
+ * continuous focus after CAMERA_CONFIG.tapFocusMs when the camera has it
+ */
+export const focusAt = async (scanner, { x, y }, { continuousFocus = false } = {}) => {
+  await applyConstraint(scanner, { focusMode: 'single-shot', pointsOfInterest: [{ x, y }] });
+  if (continuousFocus) {
+    setTimeout(() => {
+      applyConstraint(scanner, { focusMode: 'continuous' }).catch(() => {});
+    }, CAMERA_CONFIG.tapFocusMs);
+  }
+};
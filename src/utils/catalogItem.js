@@ -0,0 +1,238 @@
+/**
+ * Local catalog items (shared by the app and the /api/catalog functions)
+ *
+ * The catalog holds products the external providers don't know (private label) and
+ * corrections to the ones they do. Its fields override provider data; provider data
+ * fills whatever the catalog leaves empty.
+ *
+ * Item format:
+ * {
+ *   key: '00850028009338',    // GTIN-14 for barcoded products, "item:{itemCode}" for in-store items
+ *   gtin: '850028009338',     // string | null
+ *   itemCode: '00123',        // In-store item code (PLU) for variable-measure barcodes, zero-padded
+ *                             // to the layout width (see normalizeItemCode) | null
+ *   name, brand, manufacturer, description, category, image, // string | null
+ *   price: 3.99,              // number | null
+ *   currency: 'USD',          // ISO 4217 code | null
+ *   unitPrice: 1.99,          // Price per unit for weight barcodes | null
+ *   unit: 'kg',               // string | null
+ *   updatedAt: 1700000000000,
+ * }
+ */
+
+import { t } from '../i18n';
+import { detectDelimiter, splitCsvLine } from './barcodeImport';
+import { parseGtin } from './gtin';
+import { createProduct, toText } from './productSchema';
+import { getItemCodeLength } from './variableMeasure';
+
+export const CATALOG_SOURCE = { id: 'catalog', name: 'Local catalog' };
+
+// Editable fields, in display and CSV column order
+export const CATALOG_FIELDS = [
+  'gtin',
+  'itemCode',
+  'name',
+  'brand',
+  'manufacturer',
+  'description',
+  'category',
+  'image',
+  'price',
+  'currency',
+  'unitPrice',
+  'unit',
+];
+
+const TEXT_FIELDS = ['name', 'brand', 'manufacturer', 'description', 'category', 'image', 'unit'];
+
+const ITEM_CODE_LENGTH = getItemCodeLength();
+
+/**
+ * Pad an item code to the width of the VARIABLE_MEASURE_CONFIG layouts, so a PLU typed
+ * as "123" and the "00123" decoded from a label are the same item
+ */
+export const normalizeItemCode = (itemCode) => String(itemCode).padStart(ITEM_CODE_LENGTH, '0');
+
+/**
+ * Catalog key of a barcoded product or an in-store item code
+ */
+export const getCatalogKey = ({ gtin14, itemCode }) => (gtin14 ? gtin14 : `item:${normalizeItemCode(itemCode)}`);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Validate and clean catalog item fields
+ * Returns { valid, errors, item } - item is null when invalid
+ */
+export const createCatalogItem = (fields = {}) => {
+  const errors = [];
+  const gtinText = toText(fields.gtin);
+  const itemCode = toText(fields.itemCode);
+  let gtin = null;
+  let gtin14 = null;
+
+  if (gtinText) {
+    const parsed = parseGtin(gtinText);
+    if (parsed.valid) {
+      gtin = parsed.gtin;
+      gtin14 = parsed.gtin14;
+    } else {
+      errors.push(t('catalog.errors.gtin', { reason: parsed.reason }));
+    }
+  }
+  if (itemCode && !new RegExp(`^\\d{1,${ITEM_CODE_LENGTH}}$`).test(itemCode)) {
+    errors.push(t('catalog.errors.itemCode', { digits: ITEM_CODE_LENGTH }));
+  }
+  if (!gtinText === !itemCode) {
+    errors.push(t('catalog.errors.gtinOrItemCode'));
+  }
+  if (!toText(fields.name)) {
+    errors.push(t('catalog.errors.nameRequired'));
+  }
+
+  const price = toNumber(fields.price);
+  const unitPrice = toNumber(fields.unitPrice);
+  if (Number.isNaN(price) || price < 0) errors.push(t('catalog.errors.price'));
+  if (Number.isNaN(unitPrice) || unitPrice < 0) errors.push(t('catalog.errors.unitPrice'));
+
+  const currency = toText(fields.currency);
+  if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+    errors.push(t('catalog.errors.currency'));
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, item: null };
+  }
+
+  const item = {
+    key: getCatalogKey({ gtin14, itemCode }),
+    gtin,
+    itemCode: itemCode ? normalizeItemCode(itemCode) : null,
+    price,
+    unitPrice,
+    currency: currency ? currency.toUpperCase() : null,
+    updatedAt: Date.now(),
+  };
+  TEXT_FIELDS.forEach((field) => {
+    item[field] = toText(fields[field]);
+  });
+  return { valid: true, errors: [], item };
+};
+
+/**
+ * Canonical product with just the catalog's data
+ */
+export const catalogItemToProduct = (item) =>
+  createProduct({
+    identifiers: { gtin: item.gtin || undefined },
+    name: item.name,
+    brand: item.brand,
+    manufacturer: item.manufacturer,
+    description: item.description,
+    images: item.image,
+    offers: item.price !== null ? [{ seller: 'In store', price: item.price, currency: item.currency }] : [],
+    categories: item.category ? item.category.split('>').map((part) => part.trim()) : [],
+    source: CATALOG_SOURCE.id,
+  });
+
+/**
+ * Apply a catalog item on top of provider data (product may be null)
+ * Catalog values win; lists (images, offers) keep the provider entries after the catalog's.
+ * Lookup metadata (sources, fieldSources) is updated; missing-field metadata is not.
+ */
+export const applyCatalogItem = (product, item) => {
+  const catalog = catalogItemToProduct(item);
+  if (!product) {
+    const fieldSources = {};
+    ['name', 'brand', 'manufacturer', 'description', 'images', 'offers', 'categories'].forEach((field) => {
+      const value = catalog[field];
+      if (value !== null && !(Array.isArray(value) && value.length === 0)) fieldSources[field] = CATALOG_SOURCE.id;
+    });
+    return { ...catalog, sources: [CATALOG_SOURCE], fieldSources };
+  }
+
+  const merged = { ...product, fieldSources: { ...product.fieldSources } };
+  ['name', 'brand', 'manufacturer', 'description'].forEach((field) => {
+    if (catalog[field] !== null) {
+      merged[field] = catalog[field];
+      merged.fieldSources[field] = CATALOG_SOURCE.id;
+    }
+  });
+  ['images', 'offers'].forEach((field) => {
+    if (catalog[field].length > 0) {
+      merged[field] = [...catalog[field], ...product[field]];
+      merged.fieldSources[field] = CATALOG_SOURCE.id;
+    }
+  });
+  if (catalog.categories.length > 0) {
+    merged.categories = catalog.categories;
+    merged.fieldSources.categories = CATALOG_SOURCE.id;
+  }
+
+  merged.source = CATALOG_SOURCE.id;
+  merged.sources = [CATALOG_SOURCE, ...(product.sources || []).filter(({ id }) => id !== CATALOG_SOURCE.id)];
+  return merged;
+};
+
+// CSV header names accepted for each field (besides the field name itself)
+const HEADER_ALIASES = {
+  gtin: ['barcode', 'ean', 'upc', 'باركود'],
+  itemCode: ['item_code', 'item code', 'plu'],
+  name: ['title', 'product', 'product_name'],
+  image: ['image_url', 'image url', 'images'],
+  unitPrice: ['unit_price', 'unit price', 'price_per_unit'],
+};
+
+const headerToField = (header) => {
+  const name = header.trim().toLowerCase();
+  return CATALOG_FIELDS.find((field) => field.toLowerCase() === name || (HEADER_ALIASES[field] || []).includes(name)) || null;
+};
+
+/**
+ * Read rows from CSV (header row required) or JSON (a list of items, or { items })
+ */
+const readRows = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const data = JSON.parse(content);
+    const rows = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(rows)) throw new Error(t('catalog.errors.jsonList'));
+    return rows;
+  }
+
+  const lines = content.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) return [];
+  const delimiter = detectDelimiter(lines[0]);
+  const fields = splitCsvLine(lines[0], delimiter).map(headerToField);
+  if (!fields.includes('name')) throw new Error(t('catalog.errors.csvHeader'));
+
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line, delimiter);
+    const row = {};
+    fields.forEach((field, index) => {
+      if (field) row[field] = cells[index];
+    });
+    return row;
+  });
+};
+
+/**
+ * Parse an imported catalog file (CSV or JSON)
+ * Returns { items, invalid: [{ row, errors }] } - row is 1-based (data rows only)
+ * Throws when the file cannot be read as a catalog at all.
+ */
+export const parseCatalogFile = (text) => {
+  const items = [];
+  const invalid = [];
+  readRows(text).forEach((row, index) => {
+    const { valid, errors, item } = createCatalogItem(row || {});
+    if (valid) items.push(item);
+    else invalid.push({ row: index + 1, errors });
+  });
+  return { items, invalid };
+};
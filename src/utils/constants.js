@@ -2,11 +2,15 @@
  * Application constants
  */
 
+import { t } from '../i18n';
+
 export const BARCODE_FORMATS = {
   UPC: /^\d{12}$/,
   EAN: /^\d{13}$/,
   GTIN: /^\d{8,14}$/,
-  ISBN: /^\d{10,13}$/,
+  ISBN: /^97[89]\d{10}$/, // Bookland EAN (ISBN-13)
+  ISBN_10: /^\d{9}[\dX]$/,
+  ISSN: /^977\d{10}$/, // Serial (ISSN) EAN
 };
 
 export const BARCODE_MIN_LENGTH = 8;
@@ -20,15 +24,207 @@ export const CAMERA_CONFIG = {
     mobile: { widthRatio: 0.9, heightRatio: 0.7, maxSize: 400 },
   },
   aspectRatio: 1.0,
+  tapFocusMs: 3000, // After tap-to-focus, return to continuous focus after this long
+};
+
+/**
+ * Live decoding engine (see src/utils/scanEngine.js)
+ * - backend: 'auto' tries the native BarcodeDetector, then ZXing in a worker, then
+ *   html5-qrcode; 'native', 'worker' or 'html5-qrcode' prefers one (e.g. to compare
+ *   decode latency) and falls back when it is unsupported. Set with REACT_APP_SCAN_BACKEND.
+ * - minFps: the frame rate drops to this when decoding is slow; CAMERA_CONFIG.fps is the maximum
+ * - region: centered part of each frame that is decoded, as a share of its width and height
+ */
+export const SCAN_ENGINE_CONFIG = {
+  backend: process.env.REACT_APP_SCAN_BACKEND || 'auto',
+  minFps: 2,
+  region: { width: 0.8, height: 0.6 },
+};
+
+// Message keys (see src/i18n/messages); ERROR_MESSAGES.X reads the message in the current locale
+const ERROR_MESSAGE_KEYS = {
+  API_KEY_MISSING: 'errors.apiKeyMissing',
+  INVALID_BARCODE: 'errors.invalidBarcode',
+  PRODUCT_NOT_FOUND: 'errors.productNotFound',
+  NETWORK_ERROR: 'errors.network',
+  TIMEOUT: 'errors.timeout',
+  CAMERA_PERMISSION: 'errors.cameraPermission',
+  CAMERA_ERROR: 'errors.cameraError',
+  CAMERA_NOT_FOUND: 'errors.cameraNotFound',
+  CAMERA_IN_USE: 'errors.cameraInUse',
+  RATE_LIMITED: 'errors.rateLimited',
+  NOT_A_PRODUCT: 'errors.notAProduct',
+  IMAGE_NO_BARCODE: 'errors.imageNoBarcode',
+  IMAGE_ERROR: 'errors.imageError',
+  CATALOG_UNAUTHORIZED: 'errors.catalogUnauthorized',
+};
+
+export const ERROR_MESSAGES = Object.defineProperties(
+  {},
+  Object.fromEntries(
+    Object.entries(ERROR_MESSAGE_KEYS).map(([name, key]) => [name, { get: () => t(key), enumerable: true }])
+  )
+);
+
+
+/**
+ * Lookup provider configuration, keyed by provider id (see api/_lib/providers.js)
+ * - enabled: set to false to skip a provider
+ * - priority: lower runs first
+ * - dailyQuota / monthlyQuota: upstream calls allowed per UTC day / month (null = unlimited);
+ *   a provider whose quota is used up is skipped until the counter resets
+ * - timeoutMs, retry, circuitBreaker: optional overrides of the defaults below
+ */
+export const PROVIDER_CONFIG = {
+  openLibrary: { enabled: true, priority: 5, dailyQuota: null, monthlyQuota: null },
+  crossrefJournals: { enabled: true, priority: 6, dailyQuota: null, monthlyQuota: null },
+  barcodeLookup: { enabled: true, priority: 10, dailyQuota: null, monthlyQuota: null },
+  bigProductData: { enabled: true, priority: 20, dailyQuota: null, monthlyQuota: null },
+  barcodesLookup: { enabled: true, priority: 30, dailyQuota: null, monthlyQuota: null },
+};
+
+/**
+ * Default retry policy for provider calls
+ * Only network errors, timeouts, 429 and 5xx responses are retried. The delay doubles
+ * on every attempt (with random jitter) up to maxDelayMs; a Retry-After header wins.
+ * Attempts are also cut short by the lookup budget (LOOKUP_CONFIG.budgetMs): an attempt
+ * never runs past it, and no retry starts with less than minAttemptMs of it left.
+ */
+export const RETRY_CONFIG = {
+  timeoutMs: 8000, // Per attempt
+  maxAttempts: 3, // Including the first call
+  baseDelayMs: 300,
+  maxDelayMs: 3000,
+  minAttemptMs: 1000,
+};
+
+/**
+ * Default circuit breaker policy for providers
+ * After failureThreshold consecutive failed lookups the provider is skipped for
+ * resetTimeoutMs; then one trial lookup decides whether it is closed again.
+ */
+export const CIRCUIT_BREAKER_CONFIG = {
+  failureThreshold: 5,
+  resetTimeoutMs: 60 * 1000,
+};
+
+/**
+ * Provider health checks (GET /api/health)
+ * - testGtin: barcode each provider is asked for (a provider can override it with healthCheckGtin)
+ * - cacheMs: results are reused for this long so the dashboard doesn't burn provider quota
+ * - minRefreshMs: ?refresh=1 only runs new checks when the last ones are older than this,
+ *   whoever asks, so refreshing cannot be used to burn quota
+ */
+export const HEALTH_CONFIG = {
+  testGtin: '850028009338',
+  cacheMs: 60 * 1000,
+  minRefreshMs: 15 * 1000,
+};
+
+export const LOOKUP_MODES = {
+  FIRST: 'first', // Return the first provider result with useful data
+  COMPLETE: 'complete', // Query all providers and merge their results
+};
+
+/**
+ * - mode: default lookup mode
+ * - budgetMs: time the server may spend on one lookup, retries included; providers not
+ *   asked by then are reported as skipped. The app waits a few seconds longer (src/utils/api.js).
+ *   Keep it below the functions' maxDuration in vercel.json (30 s) so the answer is sent
+ *   before the platform stops the function.
+ */
+export const LOOKUP_CONFIG = {
+  mode: LOOKUP_MODES.COMPLETE,
+  budgetMs: 20000,
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Local product cache (IndexedDB)
+ * - ttl: how long a product is considered fresh
+ * - maxStale: after the TTL, how long a cached product is still shown while it is refreshed in the background
+ * - negativeTtl: how long a "not found" result is remembered
+ * Expired entries are still used when the device is offline.
+ */
+export const CACHE_CONFIG = {
+  enabled: true,
+  ttl: 24 * HOUR,
+  maxStale: 30 * 24 * HOUR,
+  negativeTtl: 1 * HOUR,
+};
+
+export const HISTORY_CONFIG = {
+  maxEntries: 500, // Oldest non-favorite entries are removed beyond this
+};
+
+/**
+ * Handling of scans that are not product barcodes (see utils/scanRouter.js)
+ * - skuSearchUrl: internal system search for SKU-like codes, with {code} as placeholder,
+ *   e.g. https://erp.example.com/items?search={code} (the Search action is hidden when unset)
+ */
+export const SCAN_ROUTING_CONFIG = {
+  skuSearchUrl: process.env.REACT_APP_SKU_SEARCH_URL || null,
 };
 
-export const ERROR_MESSAGES = {
-  API_KEY_MISSING: 'API key not configured. Please set REACT_APP_RAPIDAPI_KEY in environment variables.',
-  INVALID_BARCODE: 'Invalid barcode format. Please enter a valid GTIN/UPC/EAN (8-14 digits).',
-  PRODUCT_NOT_FOUND: 'Product not found. Please try another barcode.',
-  NETWORK_ERROR: 'Network error. Please check your internet connection.',
-  TIMEOUT: 'Request timed out. The server is taking too long to respond. Please check your internet connection and try again.',
-  CAMERA_PERMISSION: 'Camera permission denied. Please allow camera access in your browser settings.',
-  CAMERA_ERROR: 'Failed to start camera. Please check your camera permissions and try again.',
+/**
+ * In-store variable-measure barcodes (GS1 restricted circulation prefixes, see utils/variableMeasure.js)
+ * Each rule applies to codes of one length (13 = EAN-13, 12 = UPC-A) starting with one of its prefixes.
+ * layout has one letter per digit:
+ *   P prefix, I item code (PLU), V embedded value, C check digit on the value, K barcode check digit
+ * - measure: 'price' or 'weight'; decimals: implied decimal places of the value
+ * - unit: weight unit; currency: ISO 4217 code of embedded prices
+ * Layouts differ by country and retailer - adjust the rules to match your labels.
+ */
+export const VARIABLE_MEASURE_CONFIG = {
+  currency: process.env.REACT_APP_STORE_CURRENCY || 'USD',
+  rules: [
+    { length: 13, prefixes: ['20', '21', '22'], layout: 'PPIIIIICVVVVK', measure: 'price', decimals: 2 },
+    { length: 13, prefixes: ['23', '24', '25'], layout: 'PPIIIIIVVVVVK', measure: 'weight', decimals: 3, unit: 'kg' },
+    { length: 13, prefixes: ['26', '27', '28', '29'], layout: 'PPIIIIIVVVVVK', measure: 'price', decimals: 2 },
+    { length: 12, prefixes: ['2'], layout: 'PIIIIICVVVVK', measure: 'price', decimals: 2 },
+    // UPC-A read as a 13-digit EAN
+    { length: 13, prefixes: ['02'], layout: 'PPIIIIICVVVVK', measure: 'price', decimals: 2 },
+  ],
+};
+
+/**
+ * Live scan confirmation (see src/utils/scanConfirmation.js)
+ * A camera decode is only accepted once the same code was read in enough frames within
+ * windowMs, so one misread frame of a damaged label never triggers a lookup. Codes with a
+ * valid GS1 check digit (EAN/UPC, GTINs in ITF-14 or Code 128) need verifiedFrames; codes
+ * without one (item codes, links, text) need unverifiedFrames. Set both to 1 to accept
+ * the first decode.
+ * feedback: vibration length (0 = off), confirmation beep and how long the detected
+ * code stays highlighted
+ */
+export const SCAN_CONFIRM_CONFIG = {
+  verifiedFrames: 2,
+  unverifiedFrames: 3,
+  windowMs: 1500,
+  feedback: {
+    vibrateMs: 80,
+    beep: true,
+    highlightMs: 800,
+  },
 };
 
+export const BATCH_CONFIG = {
+  debounceMs: 2000, // Repeated decodes of the same barcode within this window are ignored
+};
+
+/**
+ * Per-client rate limit of the /api/product function: burst requests at once, refilled at
+ * perMinute (the server variables RATE_LIMIT_BURST and RATE_LIMIT_PER_MINUTE override it)
+ */
+export const RATE_LIMIT_CONFIG = {
+  burst: 20,
+  perMinute: 30,
+};
+
+export const IMPORT_CONFIG = {
+  concurrency: 2, // Lookups in flight at once
+  // Minimum delay between starting two lookups: one per rate limit refill, so a long
+  // import keeps pace with the server instead of running into 429s
+  minIntervalMs: Math.ceil((60 * 1000) / RATE_LIMIT_CONFIG.perMinute),
+};
@@ -0,0 +1,82 @@
+/**
+ * Small promise wrapper around IndexedDB
+ *
+ * All object stores use `key` as their key path. To add a store, add it to STORES
+ * and bump DB_VERSION - missing stores are created on upgrade.
+ */
+
+const DB_NAME = 'scan-barcode';
+const DB_VERSION = 3;
+
+export const STORES = {
+  PRODUCTS: 'products', // Product lookup cache, keyed by GTIN-14
+  HISTORY: 'history', // Scan history entries
+  CATALOG: 'catalog', // Offline copy of the shared local catalog, keyed like the catalog
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ */
+export const isIndexedDBAvailable = () =>
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+
+/**
+ * Open (and upgrade) the database once and reuse the connection
+ */
+export const openDatabase = () => {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: 'key' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ */
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const dbGet = (storeName, key) =>
+  runRequest(storeName, 'readonly', (store) => store.get(key)).then((value) => value || null);
+
+export const dbGetAll = (storeName) =>
+  runRequest(storeName, 'readonly', (store) => store.getAll());
+
+export const dbPut = (storeName, value) =>
+  runRequest(storeName, 'readwrite', (store) => store.put(value));
+
+export const dbDelete = (storeName, key) =>
+  runRequest(storeName, 'readwrite', (store) => store.delete(key));
+
+export const dbClear = (storeName) =>
+  runRequest(storeName, 'readwrite', (store) => store.clear());
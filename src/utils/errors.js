@@ -0,0 +1,187 @@
+/**
+ * Typed application errors
+ *
+ * Every error the UI shows is an AppError with a code from ERROR_CODES, so callers
+ * branch on error.code instead of matching message text. The message is already
+ * translated for display; details (attempts, retryAfter, status...) are set as
+ * properties. toAppError, errorFromResponse and toCameraError turn raw errors,
+ * HTTP responses and camera failures into AppErrors.
+ */
+
+import { t } from '../i18n';
+import { ERROR_MESSAGES } from './constants';
+
+export const ERROR_CODES = {
+  INVALID_BARCODE: 'INVALID_BARCODE',
+  NOT_FOUND: 'NOT_FOUND',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK: 'NETWORK',
+  QUOTA: 'QUOTA', // Client rate limit or provider quota used up
+  AUTH: 'AUTH',
+  CAMERA_DENIED: 'CAMERA_DENIED',
+  CAMERA_MISSING: 'CAMERA_MISSING',
+  CAMERA_IN_USE: 'CAMERA_IN_USE', // Camera busy in another app, or a hardware error
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Codes where trying the same thing again can succeed
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.NOT_FOUND,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.NETWORK,
+  ERROR_CODES.QUOTA,
+  ERROR_CODES.CAMERA_DENIED,
+  ERROR_CODES.CAMERA_IN_USE,
+  ERROR_CODES.UNKNOWN,
+]);
+
+export class AppError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+export class InvalidBarcodeError extends AppError {
+  constructor(message = ERROR_MESSAGES.INVALID_BARCODE, details) {
+    super(ERROR_CODES.INVALID_BARCODE, message, details);
+    this.name = 'InvalidBarcodeError';
+  }
+}
+
+/**
+ * No provider knows the product
+ * details: gtin, attempts (per-provider log from the server: { provider, name, found,
+ * error, skipped }) and cached (true when a remembered "not found" answered)
+ */
+export class NotFoundError extends AppError {
+  constructor(details = {}) {
+    super(ERROR_CODES.NOT_FOUND, ERROR_MESSAGES.PRODUCT_NOT_FOUND, { attempts: [], cached: false, ...details });
+    this.name = 'NotFoundError';
+  }
+}
+
+// Named 'TimeoutError' like before, which the server retry policy checks (api/_lib/retry.js)
+export class TimeoutError extends AppError {
+  constructor(message = ERROR_MESSAGES.TIMEOUT, details) {
+    super(ERROR_CODES.TIMEOUT, message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class NetworkError extends AppError {
+  constructor(message = ERROR_MESSAGES.NETWORK_ERROR, details) {
+    super(ERROR_CODES.NETWORK, message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Too many requests (retryAfter in seconds when the server sent one) or provider quota used up
+ */
+export class QuotaError extends AppError {
+  constructor(message = ERROR_MESSAGES.RATE_LIMITED, details) {
+    super(ERROR_CODES.QUOTA, message, details);
+    this.name = 'QuotaError';
+  }
+}
+
+export class AuthError extends AppError {
+  constructor(message = ERROR_MESSAGES.CATALOG_UNAUTHORIZED, details) {
+    super(ERROR_CODES.AUTH, message, details);
+    this.name = 'AuthError';
+  }
+}
+
+export const isRetryable = (error) => Boolean(error) && RETRYABLE_CODES.has(error.code);
+
+/**
+ * Wrap any thrown value in an AppError (AppErrors are returned as they are)
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error && error.name === 'TimeoutError') return new TimeoutError();
+  // fetch rejects with a TypeError when the request never got an answer
+  if (error && error.name === 'TypeError') return new NetworkError();
+  return new AppError(ERROR_CODES.UNKNOWN, (error && error.message) || t('errors.unexpected'), { cause: error });
+};
+
+/**
+ * Error for a failed API response (429, 401/403, 5xx...)
+ * data is the parsed JSON body, if any; callers handle the statuses that mean
+ * something specific to their endpoint (e.g. 404) first.
+ */
+export const errorFromResponse = (response, data) => {
+  const serverMessage = data && (data.message || data.error);
+  const details = { status: response.status, attempts: (data && data.attempts) || [] };
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    if (retryAfter > 0) {
+      return new QuotaError(t('errors.rateLimitedRetryAfter', { seconds: retryAfter }), { ...details, retryAfter });
+    }
+    return new QuotaError(undefined, details);
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new AuthError(serverMessage || undefined, details);
+  }
+  // 503: a provider was skipped (quota used up or circuit open) rather than failing
+  if (response.status === 503 && details.attempts.some(({ skipped }) => skipped === 'quota')) {
+    return new QuotaError(t('errors.providerQuota'), details);
+  }
+  if (response.status >= 500) {
+    return new NetworkError(t('errors.providersUnavailable'), details);
+  }
+  return new AppError(ERROR_CODES.UNKNOWN, serverMessage || ERROR_MESSAGES.NETWORK_ERROR, details);
+};
+
+const hasCameraApi = () =>
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+// getUserMedia DOMException names (and older Chrome names) -> error code and message
+const CAMERA_ERROR_TYPES = [
+  {
+    code: ERROR_CODES.CAMERA_DENIED,
+    message: 'CAMERA_PERMISSION',
+    names: ['NotAllowedError', 'PermissionDeniedError', 'SecurityError'],
+  },
+  {
+    code: ERROR_CODES.CAMERA_MISSING,
+    message: 'CAMERA_NOT_FOUND',
+    names: ['NotFoundError', 'DevicesNotFoundError', 'OverconstrainedError'],
+  },
+  { code: ERROR_CODES.CAMERA_IN_USE, message: 'CAMERA_IN_USE', names: ['NotReadableError', 'TrackStartError'] },
+];
+
+/**
+ * The DOMException name of a camera failure, or null
+ * A thrown error's own name is used when it has one; only errors without one (strings,
+ * plain Errors) are searched for a name in their text.
+ */
+const getCameraErrorName = (error) => {
+  if (error && typeof error === 'object' && error.name && error.name !== 'Error') return error.name;
+  const text = typeof error === 'string' ? error : (error && error.message) || '';
+  const names = CAMERA_ERROR_TYPES.flatMap((type) => type.names);
+  return names.find((name) => text.includes(name)) || null;
+};
+
+/**
+ * Classify a camera start failure
+ * getUserMedia rejects with a DOMException, but html5-qrcode passes it on as a string
+ * ("Error getting userMedia, error = NotAllowedError: ..."), so the name is read from the
+ * error first and from its text otherwise.
+ */
+export const toCameraError = (error) => {
+  const name = getCameraErrorName(error);
+  const type = CAMERA_ERROR_TYPES.find(({ names }) => names.includes(name));
+  if (type) {
+    return new AppError(type.code, ERROR_MESSAGES[type.message], { cause: error });
+  }
+  // No camera API at all also means no camera, e.g. on an http:// page
+  if (!hasCameraApi()) {
+    return new AppError(ERROR_CODES.CAMERA_MISSING, ERROR_MESSAGES.CAMERA_NOT_FOUND, { cause: error });
+  }
+  return new AppError(ERROR_CODES.UNKNOWN, ERROR_MESSAGES.CAMERA_ERROR, { cause: error });
+};
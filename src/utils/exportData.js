@@ -0,0 +1,147 @@
+/**
+ * Export scan history and batch sessions to CSV, JSON and Excel files
+ *
+ * Export records have the shape:
+ * { barcode, product, scannedAt, quantity? } - product is a canonical product or null
+ */
+
+import { XLSX_MIME_TYPE, createXlsx } from './xlsx';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  EXCEL: 'excel',
+};
+
+const firstPricedOffer = (product) => product?.offers?.find((offer) => offer.price !== null) || null;
+
+/**
+ * Available columns, built from the canonical product fields
+ */
+export const EXPORT_COLUMNS = [
+  // identifier: digits that must stay text (see toCsv)
+  { id: 'gtin', label: 'GTIN', get: (r) => r.product?.identifiers?.gtin || r.barcode, identifier: true },
+  { id: 'name', label: 'Name', get: (r) => r.product?.name },
+  { id: 'brand', label: 'Brand', get: (r) => r.product?.brand || r.product?.manufacturer },
+  { id: 'price', label: 'Price', get: (r) => firstPricedOffer(r.product)?.price },
+  { id: 'currency', label: 'Currency', get: (r) => firstPricedOffer(r.product)?.currency },
+  { id: 'category', label: 'Category', get: (r) => r.product?.categories?.join(' > ') },
+  { id: 'description', label: 'Description', get: (r) => r.product?.description },
+  { id: 'imageUrl', label: 'Image URL', get: (r) => r.product?.images?.[0] },
+  {
+    id: 'provider',
+    label: 'Provider',
+    get: (r) => (r.product?.sources || []).map((source) => source.name).join(', '),
+  },
+  {
+    id: 'scanTime',
+    label: 'Scan Time',
+    get: (r) => (r.scannedAt ? new Date(r.scannedAt).toISOString() : null),
+  },
+  { id: 'quantity', label: 'Quantity', get: (r) => r.quantity, batchOnly: true },
+];
+
+/**
+ * Columns that apply to a kind of export
+ */
+export const getExportColumns = ({ includeQuantity = false } = {}) =>
+  EXPORT_COLUMNS.filter((column) => includeQuantity || !column.batchOnly);
+
+const selectColumns = (columnIds) => EXPORT_COLUMNS.filter((column) => columnIds.includes(column.id));
+
+const cellValue = (column, record) => {
+  const value = column.get(record);
+  return value === null || value === undefined ? '' : value;
+};
+
+// Spreadsheets run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * CSV (RFC 4180) with a UTF-8 BOM so Excel opens Arabic text correctly
+ * - Text cells that would start a formula get a leading ' so they stay text
+ * - Identifiers are written as ="00123456789012": Excel would otherwise read them as
+ *   numbers, dropping the leading zeros of GTIN-12/14 and showing EAN-13s as 4.00638E+12.
+ *   The barcode and catalog imports read such cells back as their digits.
+ */
+export const toCsv = (records, columnIds) => {
+  const columns = selectColumns(columnIds);
+  const escape = (value) => {
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const csvCell = (column, record) => {
+    const value = cellValue(column, record);
+    // A formula we write around plain digits, so it bypasses the formula guard
+    return column.identifier && /^\d+$/.test(value) ? `"=""${value}"""` : escape(value);
+  };
+
+  const lines = [
+    columns.map((column) => escape(column.label)).join(','),
+    ...records.map((record) => columns.map((column) => csvCell(column, record)).join(',')),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * JSON array of objects keyed by column id
+ */
+export const toJson = (records, columnIds) => {
+  const columns = selectColumns(columnIds);
+  const rows = records.map((record) =>
+    Object.fromEntries(columns.map((column) => [column.id, column.get(record) ?? null]))
+  );
+  return JSON.stringify(rows, null, 2);
+};
+
+/**
+ * Excel workbook (.xlsx) with one sheet, numbers kept as numbers
+ */
+export const toXlsx = (records, columnIds, sheetName = 'Scans') => {
+  const columns = selectColumns(columnIds);
+  const rows = [
+    columns.map((column) => column.label),
+    ...records.map((record) => columns.map((column) => cellValue(column, record))),
+  ];
+  return createXlsx(rows, { sheetName });
+};
+
+const FORMAT_OPTIONS = {
+  [EXPORT_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: toCsv },
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json', build: toJson },
+  [EXPORT_FORMATS.EXCEL]: { extension: 'xlsx', mimeType: XLSX_MIME_TYPE, build: toXlsx },
+};
+
+/**
+ * Build an export file and trigger a download in the browser
+ */
+export const exportRecords = (records, { format, columnIds, fileName = 'scans' }) => {
+  const { extension, mimeType, build } = FORMAT_OPTIONS[format];
+  const blob = new Blob([build(records, columnIds)], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${fileName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Convert history entries to export records
+ */
+export const historyToRecords = (entries) =>
+  entries.map((entry) => ({ barcode: entry.barcode, product: entry.product, scannedAt: entry.scannedAt }));
+
+/**
+ * Convert batch session items to export records
+ */
+export const batchToRecords = (items) =>
+  items.map((item) => ({
+    barcode: item.barcode,
+    product: item.product,
+    scannedAt: item.lastScannedAt,
+    quantity: item.quantity,
+  }));
@@ -0,0 +1,52 @@
+/**
+ * Display formatting utilities
+ * Numbers, prices and dates are formatted for the current locale (see src/i18n).
+ */
+
+import { getLocale, t } from '../i18n';
+
+const RELATIVE_TIME_UNITS = [
+  { unit: 'year', ms: 365 * 24 * 60 * 60 * 1000 },
+  { unit: 'month', ms: 30 * 24 * 60 * 60 * 1000 },
+  { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+  { unit: 'hour', ms: 60 * 60 * 1000 },
+  { unit: 'minute', ms: 60 * 1000 },
+];
+
+/**
+ * Format a timestamp relative to now, e.g. "3 hours ago" or "just now"
+ */
+export const formatRelativeTime = (timestamp, now = Date.now()) => {
+  const elapsed = now - timestamp;
+  const match = RELATIVE_TIME_UNITS.find(({ ms }) => Math.abs(elapsed) >= ms);
+
+  if (!match) return t('time.justNow');
+
+  const formatter = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' });
+  return formatter.format(-Math.round(elapsed / match.ms), match.unit);
+};
+
+/**
+ * Format a number, e.g. a weight or a quantity
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(getLocale(), options).format(value);
+
+/**
+ * Format a price with its currency when known
+ */
+export const formatPrice = ({ price, currency }) => {
+  if (!currency) return formatNumber(price);
+  try {
+    return formatNumber(price, { style: 'currency', currency });
+  } catch (error) {
+    return `${formatNumber(price)} ${currency}`;
+  }
+};
+
+/**
+ * Format a YYYY-MM-DD date (e.g. a GS1 expiry date); other values are returned as they are
+ */
+export const formatDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
+};
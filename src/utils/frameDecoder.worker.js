@@ -0,0 +1,109 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Web Worker that decodes camera frames off the main thread (see ./scanEngine.js)
+ *
+ * Messages in:
+ * - { type: 'probe', formats }: report which decoders this worker can run
+ * - { type: 'decode', id, backend, formats, bitmap }: decode one ImageBitmap (transferred)
+ * Messages out:
+ * - { type: 'probe', native, zxing }
+ * - { type: 'decode', id, results: [{ text, format, box }], decodeMs, error }
+ * backend is 'native' (BarcodeDetector) or 'worker' (ZXing); formats are html5-qrcode
+ * format names (EAN_13, QR_CODE...). box is where the barcode is in the bitmap, as shares
+ * (0-1) of its size: { x, y, width, height }.
+ */
+
+import { createZxingReader, decodeFrame } from './zxingDecoder';
+
+let nativeDetector = null;
+let nativeFormatsKey = null;
+let zxingReader = null;
+let zxingFormatsKey = null;
+let canvas = null;
+
+// BarcodeDetector names formats in lower case (ean_13, qr_code...)
+const getNativeDetector = async (formats) => {
+  const key = formats.join();
+  if (nativeFormatsKey !== key) {
+    nativeFormatsKey = key;
+    nativeDetector = null;
+    if ('BarcodeDetector' in self) {
+      const supported = await self.BarcodeDetector.getSupportedFormats();
+      const wanted = formats.map((format) => format.toLowerCase()).filter((format) => supported.includes(format));
+      if (wanted.length > 0) nativeDetector = new self.BarcodeDetector({ formats: wanted });
+    }
+  }
+  return nativeDetector;
+};
+
+const getZxingReader = (formats) => {
+  const key = formats.join();
+  if (zxingFormatsKey !== key) {
+    zxingFormatsKey = key;
+    zxingReader = createZxingReader(formats);
+  }
+  return zxingReader;
+};
+
+const canUseZxing = () => {
+  try {
+    return typeof OffscreenCanvas !== 'undefined' && Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+  } catch (error) {
+    return false;
+  }
+};
+
+const decodeNative = async (bitmap, formats) => {
+  const detector = await getNativeDetector(formats);
+  if (!detector) throw new Error('BarcodeDetector unavailable');
+  const detected = await detector.detect(bitmap);
+  return detected.map(({ rawValue, format, boundingBox }) => ({
+    text: rawValue,
+    format: format.toUpperCase(),
+    box: {
+      x: boundingBox.x / bitmap.width,
+      y: boundingBox.y / bitmap.height,
+      width: boundingBox.width / bitmap.width,
+      height: boundingBox.height / bitmap.height,
+    },
+  }));
+};
+
+const decodeZxing = (bitmap, formats) => {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  }
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  return decodeFrame(getZxingReader(formats), context.getImageData(0, 0, bitmap.width, bitmap.height));
+};
+
+const probe = async (formats) => {
+  let native = false;
+  try {
+    // Only worth it when the detector reads retail barcodes, not just QR codes
+    native = Boolean(await getNativeDetector(formats)) && (await self.BarcodeDetector.getSupportedFormats()).includes('ean_13');
+  } catch (error) {
+    native = false;
+  }
+  return { type: 'probe', native, zxing: canUseZxing() };
+};
+
+self.onmessage = async ({ data: message }) => {
+  if (message.type === 'probe') {
+    self.postMessage(await probe(message.formats));
+    return;
+  }
+  if (message.type !== 'decode') return;
+
+  const { id, backend, formats, bitmap } = message;
+  const started = performance.now();
+  try {
+    const results = backend === 'native' ? await decodeNative(bitmap, formats) : decodeZxing(bitmap, formats);
+    self.postMessage({ type: 'decode', id, results, decodeMs: performance.now() - started, error: null });
+  } catch (error) {
+    self.postMessage({ type: 'decode', id, results: [], decodeMs: performance.now() - started, error: error.message });
+  } finally {
+    bitmap.close();
+  }
+};
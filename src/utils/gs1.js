@@ -0,0 +1,263 @@
+/**
+ * GS1 Application Identifier parsing (GS1 General Specifications, section 3)
+ *
+ * GS1-128 and GS1 DataMatrix codes carry an element string: a run of
+ * Application Identifiers (AIs), each followed by its data, e.g.
+ *   (01)09501101530003(17)250131(10)AB-123
+ *
+ * Accepted input forms:
+ * - raw decoder output, optionally prefixed with a symbology identifier (]C1, ]d2, ]Q3)
+ *   or a leading FNC1 (GS, \x1D), with GS separating variable-length fields
+ * - the human readable form with AIs in parentheses
+ *
+ * Fixed-length fields need no separator. A variable-length field ends at the next GS,
+ * or at the end of the data; decoders that drop FNC1 can only be parsed correctly
+ * when variable-length fields come last.
+ */
+
+import { t } from '../i18n';
+import { hasValidCheckDigit } from './gtin';
+
+const GS = '\u001d';
+
+// Symbology identifiers that mark GS1 data (GS1-128, GS1 DataMatrix, GS1 QR, GS1 DataBar)
+const GS1_SYMBOLOGY_IDS = [']C1', ']d2', ']Q3', ']e0'];
+
+/**
+ * Known AIs
+ * - length: fixed data length; maxLength: variable-length limit
+ * - numeric: data must be digits
+ * - kind: how the value is interpreted ('date' YYMMDD, 'decimal' with the implied
+ *   decimal point given by the AI's last digit)
+ * AIs with a decimal-position digit (310n, 392n...) are listed by their first three digits.
+ * Titles are the English names; translations are keyed gs1.ai.{AI} in the message catalogs.
+ */
+const AI_TABLE = {
+  '00': { title: 'SSCC', length: 18, numeric: true },
+  '01': { title: 'GTIN', length: 14, numeric: true },
+  '02': { title: 'Contained GTIN', length: 14, numeric: true },
+  10: { title: 'Batch/Lot', maxLength: 20 },
+  11: { title: 'Production Date', length: 6, numeric: true, kind: 'date' },
+  12: { title: 'Due Date', length: 6, numeric: true, kind: 'date' },
+  13: { title: 'Packaging Date', length: 6, numeric: true, kind: 'date' },
+  15: { title: 'Best Before', length: 6, numeric: true, kind: 'date' },
+  16: { title: 'Sell By', length: 6, numeric: true, kind: 'date' },
+  17: { title: 'Expiry Date', length: 6, numeric: true, kind: 'date' },
+  20: { title: 'Variant', length: 2, numeric: true },
+  21: { title: 'Serial Number', maxLength: 20 },
+  22: { title: 'Consumer Product Variant', maxLength: 20 },
+  30: { title: 'Count', maxLength: 8, numeric: true },
+  37: { title: 'Count of Trade Items', maxLength: 8, numeric: true },
+  240: { title: 'Additional Product ID', maxLength: 30 },
+  241: { title: 'Customer Part Number', maxLength: 30 },
+  250: { title: 'Secondary Serial Number', maxLength: 30 },
+  310: { title: 'Net Weight (kg)', aiLength: 4, length: 6, numeric: true, kind: 'decimal' },
+  320: { title: 'Net Weight (lb)', aiLength: 4, length: 6, numeric: true, kind: 'decimal' },
+  330: { title: 'Gross Weight (kg)', aiLength: 4, length: 6, numeric: true, kind: 'decimal' },
+  392: { title: 'Price', aiLength: 4, maxLength: 15, numeric: true, kind: 'decimal' },
+  400: { title: 'Order Number', maxLength: 30 },
+  410: { title: 'Ship To GLN', length: 13, numeric: true },
+  414: { title: 'Location GLN', length: 13, numeric: true },
+  422: { title: 'Country of Origin', length: 3, numeric: true },
+  7003: { title: 'Expiry Date and Time', length: 10, numeric: true },
+  90: { title: 'Internal', maxLength: 30 },
+  91: { title: 'Internal', maxLength: 90 },
+  92: { title: 'Internal', maxLength: 90 },
+  93: { title: 'Internal', maxLength: 90 },
+  94: { title: 'Internal', maxLength: 90 },
+  95: { title: 'Internal', maxLength: 90 },
+  96: { title: 'Internal', maxLength: 90 },
+  97: { title: 'Internal', maxLength: 90 },
+  98: { title: 'Internal', maxLength: 90 },
+  99: { title: 'Internal', maxLength: 90 },
+};
+
+// Fixed data lengths of AIs not in AI_TABLE, by their first two digits (GS1 predefined length table)
+const PREDEFINED_LENGTHS = {
+  '00': 18, '01': 14, '02': 14, '03': 14, '04': 16,
+  11: 6, 12: 6, 13: 6, 14: 6, 15: 6, 16: 6, 17: 6, 18: 6, 19: 6, 20: 2,
+  31: 6, 32: 6, 33: 6, 34: 6, 35: 6, 36: 6, 41: 13,
+};
+
+/**
+ * Find the AI at the start of data
+ * Returns { ai, spec } or null when no known AI matches
+ */
+const matchAi = (data) => {
+  for (const length of [2, 3, 4]) {
+    const prefix = data.slice(0, length);
+    const spec = AI_TABLE[prefix];
+    if (spec && (spec.aiLength || length) === length) {
+      return { ai: prefix, spec };
+    }
+    // AIs with a decimal-position digit: 310 + n
+    if (spec && spec.aiLength === 4 && /^\d$/.test(data[3] || '')) {
+      return { ai: data.slice(0, 4), spec };
+    }
+  }
+
+  const fixedLength = PREDEFINED_LENGTHS[data.slice(0, 2)];
+  if (fixedLength) {
+    const aiLength = data[0] === '3' ? 4 : data.startsWith('41') ? 3 : 2;
+    return { ai: data.slice(0, aiLength), spec: { title: `AI ${data.slice(0, aiLength)}`, length: fixedLength } };
+  }
+  return null;
+};
+
+/**
+ * Convert a YYMMDD date to YYYY-MM-DD
+ * The century follows the GS1 sliding window (up to 49 years back, 50 ahead); day 00
+ * means the last day of the month. Returns null for impossible dates.
+ */
+export const parseGs1Date = (yymmdd, now = new Date()) => {
+  const yy = Number(yymmdd.slice(0, 2));
+  const month = Number(yymmdd.slice(2, 4));
+  let day = Number(yymmdd.slice(4, 6));
+  if (month < 1 || month > 12) return null;
+
+  const currentYear = now.getFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+  if (year - currentYear > 50) year -= 100;
+  else if (year - currentYear < -49) year += 100;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day === 0) day = daysInMonth;
+  if (day > daysInMonth) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Title of an AI in the current locale
+ */
+const getAiTitle = (ai, spec) => t(`gs1.ai.${AI_TABLE[ai] ? ai : ai.slice(0, 3)}`, { fallback: spec.title });
+
+/**
+ * Interpret an element's data according to its AI
+ */
+const interpretValue = (ai, spec, data) => {
+  if (spec.kind === 'date') {
+    return parseGs1Date(data);
+  }
+  if (spec.kind === 'decimal') {
+    const decimals = Number(ai[3]);
+    const integer = data.slice(0, data.length - decimals).replace(/^0+(?=\d)/, '') || '0';
+    return decimals > 0 ? `${integer}.${data.slice(-decimals)}` : integer;
+  }
+  return data;
+};
+
+const invalid = (reason) => ({ valid: false, reason, elements: [] });
+
+/**
+ * Split raw element string data into [{ ai, data }]
+ */
+const splitRaw = (data) => {
+  const fields = [];
+  let rest = data;
+
+  while (rest.length > 0) {
+    if (rest[0] === GS) {
+      rest = rest.slice(1);
+      continue;
+    }
+    const match = matchAi(rest);
+    if (!match) {
+      return { error: t('gs1.unknownAiAt', { text: rest.slice(0, 4) }) };
+    }
+    rest = rest.slice(match.ai.length);
+
+    let value;
+    if (match.spec.length) {
+      value = rest.slice(0, match.spec.length);
+      rest = rest.slice(match.spec.length);
+    } else {
+      const end = rest.indexOf(GS);
+      value = end === -1 ? rest : rest.slice(0, end);
+      rest = end === -1 ? '' : rest.slice(end);
+    }
+    fields.push({ ai: match.ai, data: value });
+  }
+  return { fields };
+};
+
+/**
+ * Split the human readable "(01)...(10)..." form into [{ ai, data }]
+ */
+const splitBracketed = (text) => {
+  const fields = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    fields.push({ ai: match[1], data: match[2].trim() });
+  }
+  return { fields };
+};
+
+const stripSymbologyId = (text) => {
+  const id = GS1_SYMBOLOGY_IDS.find((prefix) => text.startsWith(prefix));
+  return id ? text.slice(id.length) : text;
+};
+
+/**
+ * Whether text looks like a GS1 element string rather than a plain payload
+ * Unmarked raw data is only accepted when it starts with (01) and a valid GTIN-14.
+ */
+export const isGs1ElementString = (text) => {
+  if (!text) return false;
+  if (GS1_SYMBOLOGY_IDS.some((prefix) => text.startsWith(prefix)) || text[0] === GS) return true;
+  if (/^\(\d{2,4}\)/.test(text)) return true;
+  return /^01\d{14}/.test(text) && hasValidCheckDigit(text.slice(2, 16));
+};
+
+/**
+ * Parse a GS1 element string
+ * Returns { valid, reason, elements: [{ ai, title, data, value }], gtin, batch, expiry, serial }
+ * - value is the interpreted data (YYYY-MM-DD for dates, decimal point inserted for measures)
+ * - gtin, batch, expiry and serial are shortcuts to AIs 01, 10, 17 and 21 (null when absent)
+ */
+export const parseGs1 = (text) => {
+  const input = (text || '').trim();
+  const { fields, error } = input.startsWith('(') ? splitBracketed(input) : splitRaw(stripSymbologyId(input));
+
+  if (error) return invalid(error);
+  if (fields.length === 0) return invalid(t('gs1.noAis'));
+
+  const elements = [];
+  for (const { ai, data } of fields) {
+    const match = matchAi(ai);
+    const spec = match && match.ai === ai ? match.spec : null;
+    if (!spec) return invalid(t('gs1.unknownAi', { ai }));
+
+    const title = getAiTitle(ai, spec);
+    if (spec.length && data.length !== spec.length) {
+      return invalid(t('gs1.fixedLength', { title, ai, length: spec.length, actual: data.length }));
+    }
+    if (spec.maxLength && (data.length === 0 || data.length > spec.maxLength)) {
+      return invalid(t('gs1.maxLength', { title, ai, maxLength: spec.maxLength, actual: data.length }));
+    }
+    if (spec.numeric && !/^\d+$/.test(data)) {
+      return invalid(t('gs1.numeric', { title, ai }));
+    }
+
+    const value = interpretValue(ai, spec, data);
+    if (value === null) return invalid(t('gs1.invalidDate', { title, ai, data }));
+    elements.push({ ai, title, data, value });
+  }
+
+  const find = (ai) => elements.find((element) => element.ai === ai)?.value || null;
+  const gtin = find('01');
+  if (gtin && !hasValidCheckDigit(gtin)) {
+    return invalid(t('gs1.gtinCheckDigit', { gtin }));
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    elements,
+    gtin,
+    batch: find('10'),
+    expiry: find('17'),
+    serial: find('21'),
+  };
+};
@@ -0,0 +1,108 @@
+import { t } from '../i18n';
+import { isGs1ElementString, parseGs1, parseGs1Date } from './gs1';
+
+const GS = '\u001d';
+
+const values = (result) => result.elements.map(({ ai, value }) => [ai, value]);
+
+describe('parseGs1', () => {
+  it('ends variable-length fields at GS separators', () => {
+    const result = parseGs1(`]C1010950110153000310AB-123${GS}21XYZ-9${GS}17250131`);
+    expect(result.valid).toBe(true);
+    expect(values(result)).toEqual([
+      ['01', '09501101530003'],
+      ['10', 'AB-123'],
+      ['21', 'XYZ-9'],
+      ['17', '2025-01-31'],
+    ]);
+    expect(result).toMatchObject({ gtin: '09501101530003', batch: 'AB-123', serial: 'XYZ-9', expiry: '2025-01-31' });
+  });
+
+  it('accepts a leading FNC1 and a variable-length field running to the end', () => {
+    const result = parseGs1(`${GS}010950110153000317251231${GS}10LOT42`);
+    expect(values(result)).toEqual([
+      ['01', '09501101530003'],
+      ['17', '2025-12-31'],
+      ['10', 'LOT42'],
+    ]);
+  });
+
+  it('needs no separator after fixed-length fields', () => {
+    const result = parseGs1(']d201095011015300031525020011250101');
+    expect(values(result)).toEqual([
+      ['01', '09501101530003'],
+      ['15', '2025-02-28'], // day 00: last day of the month
+      ['11', '2025-01-01'],
+    ]);
+  });
+
+  it('parses the human readable form', () => {
+    const result = parseGs1('(01)09501101530003(17)250131(10)AB-123');
+    expect(result).toMatchObject({ valid: true, gtin: '09501101530003', expiry: '2025-01-31', batch: 'AB-123' });
+  });
+
+  it('inserts the decimal point given by the AI', () => {
+    const result = parseGs1(`0109501101530003310300050039221299${GS}3201001234`);
+    expect(values(result)).toEqual([
+      ['01', '09501101530003'],
+      ['3103', '0.500'],
+      ['3922', '12.99'],
+      ['3201', '123.4'],
+    ]);
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseGs1('(01)09501101530003(17)251301')).toEqual({
+      valid: false,
+      reason: t('gs1.invalidDate', { title: t('gs1.ai.17', { fallback: 'Expiry Date' }), ai: '17', data: '251301' }),
+      elements: [],
+    });
+    expect(parseGs1('(17)250230').valid).toBe(false);
+  });
+
+  it('rejects a GTIN with a bad check digit', () => {
+    expect(parseGs1('(01)09501101530004').reason).toBe(t('gs1.gtinCheckDigit', { gtin: '09501101530004' }));
+  });
+
+  it('rejects wrong lengths, non-numeric data and unknown AIs', () => {
+    expect(parseGs1('(01)0950110153000').valid).toBe(false);
+    expect(parseGs1(`(10)${'A'.repeat(21)}`).valid).toBe(false);
+    expect(parseGs1('(30)12a').valid).toBe(false);
+    expect(parseGs1('(05)123').reason).toBe(t('gs1.unknownAi', { ai: '05' }));
+    expect(parseGs1('').reason).toBe(t('gs1.noAis'));
+  });
+});
+
+describe('parseGs1Date', () => {
+  const now = new Date(2025, 5, 15);
+
+  it('uses the GS1 sliding century window', () => {
+    expect(parseGs1Date('750101', now)).toBe('2075-01-01'); // 50 years ahead
+    expect(parseGs1Date('760101', now)).toBe('1976-01-01');
+    expect(parseGs1Date('760229', now)).toBe('1976-02-29');
+  });
+
+  it('reads day 00 as the last day of the month', () => {
+    expect(parseGs1Date('240200', now)).toBe('2024-02-29');
+    expect(parseGs1Date('250400', now)).toBe('2025-04-30');
+  });
+
+  it('returns null for impossible dates', () => {
+    expect(parseGs1Date('250001', now)).toBeNull();
+    expect(parseGs1Date('250431', now)).toBeNull();
+  });
+});
+
+describe('isGs1ElementString', () => {
+  it('recognizes marked and bracketed element strings', () => {
+    expect(isGs1ElementString(']C10109501101530003')).toBe(true);
+    expect(isGs1ElementString(`${GS}0109501101530003`)).toBe(true);
+    expect(isGs1ElementString('(10)ABC')).toBe(true);
+  });
+
+  it('only accepts unmarked data starting with a valid (01) GTIN', () => {
+    expect(isGs1ElementString('010950110153000317250131')).toBe(true);
+    expect(isGs1ElementString('010950110153000417250131')).toBe(false);
+    expect(isGs1ElementString('4006381333931')).toBe(false);
+  });
+});
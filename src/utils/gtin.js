@@ -0,0 +1,113 @@
+/**
+ * GTIN utilities (GS1 General Specifications)
+ *
+ * - Check digit verification for GTIN-8, GTIN-12 (UPC-A), GTIN-13 (EAN) and GTIN-14
+ * - UPC-E to UPC-A expansion
+ * - Zero-padding to GTIN-14, used as the canonical cache key
+ */
+
+import { t } from '../i18n';
+
+export const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Calculate the GS1 mod-10 check digit for the digits before the check digit
+ * Weights alternate 3,1,3,1... starting from the rightmost digit.
+ */
+export const calculateCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check the last digit of a GTIN against the GS1 check digit
+ */
+export const hasValidCheckDigit = (code) =>
+  /^\d+$/.test(code) &&
+  code.length > 1 &&
+  calculateCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+
+/**
+ * Expand an 8-digit UPC-E code (number system + 6 digits + check digit) to a 12-digit UPC-A
+ * Returns null when the input is not a UPC-E code.
+ */
+export const expandUpcE = (upce) => {
+  if (!/^[01]\d{7}$/.test(upce)) return null;
+
+  const numberSystem = upce[0];
+  const d = upce.slice(1, 7);
+  const check = upce[7];
+  const last = d[5];
+  let body;
+
+  if (last === '0' || last === '1' || last === '2') {
+    body = `${d[0]}${d[1]}${last}0000${d[2]}${d[3]}${d[4]}`;
+  } else if (last === '3') {
+    body = `${d[0]}${d[1]}${d[2]}00000${d[3]}${d[4]}`;
+  } else if (last === '4') {
+    body = `${d[0]}${d[1]}${d[2]}${d[3]}00000${d[4]}`;
+  } else {
+    body = `${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}0000${last}`;
+  }
+
+  return `${numberSystem}${body}${check}`;
+};
+
+/**
+ * Zero-pad a GTIN to 14 digits
+ */
+export const toGtin14 = (gtin) => gtin.padStart(14, '0');
+
+const invalid = (reason) => ({ valid: false, reason, gtin: null, gtin14: null, type: null });
+
+/**
+ * Parse and verify a GTIN
+ * Options:
+ * - format: decoder format hint ('UPC_E' forces UPC-E expansion of 8-digit codes)
+ *
+ * Returns { valid, gtin, gtin14, type, reason }
+ * - gtin: canonical GTIN to look up (UPC-E is expanded to UPC-A)
+ * - gtin14: zero-padded GTIN-14 for cache keys
+ * - reason: why the input is invalid (null when valid)
+ */
+export const parseGtin = (input, { format } = {}) => {
+  if (!input || typeof input !== 'string') {
+    return invalid(t('validation.barcodeRequired'));
+  }
+
+  const code = input.trim().replace(/[\s-]/g, '');
+
+  if (code.length === 0) {
+    return invalid(t('validation.barcodeEmpty'));
+  }
+  if (!/^\d+$/.test(code)) {
+    return invalid(t('validation.barcodeDigitsOnly'));
+  }
+  if (!GTIN_LENGTHS.includes(code.length)) {
+    return invalid(t('validation.barcodeLength', { length: code.length }));
+  }
+
+  // 8 digits can be GTIN-8 (EAN-8) or UPC-E; prefer EAN-8 unless told otherwise
+  if (code.length === 8 && (format === 'UPC_E' || !hasValidCheckDigit(code))) {
+    const upca = expandUpcE(code);
+    if (upca && hasValidCheckDigit(upca)) {
+      return { valid: true, reason: null, gtin: upca, gtin14: toGtin14(upca), type: 'UPC-E' };
+    }
+  }
+
+  if (!hasValidCheckDigit(code)) {
+    const expected = calculateCheckDigit(code.slice(0, -1));
+    return invalid(t('validation.checkDigit', { expected: String(expected), actual: code[code.length - 1] }));
+  }
+
+  return { valid: true, reason: null, gtin: code, gtin14: toGtin14(code), type: `GTIN-${code.length}` };
+};
+
+/**
+ * Check whether a string is a valid GTIN
+ */
+export const isValidGtin = (input, options) => parseGtin(input, options).valid;
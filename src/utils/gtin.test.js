@@ -0,0 +1,99 @@
+import { t } from '../i18n';
+import { calculateCheckDigit, expandUpcE, hasValidCheckDigit, parseGtin } from './gtin';
+
+describe('calculateCheckDigit', () => {
+  it.each([
+    ['9638507', 4], // EAN-8 96385074
+    ['03600029145', 2], // UPC-A 036000291452
+    ['400638133393', 1], // EAN-13 4006381333931
+    ['1003600029145', 9], // GTIN-14 10036000291459
+    ['0000000', 0],
+  ])('%s -> %i', (digits, expected) => {
+    expect(calculateCheckDigit(digits)).toBe(expected);
+  });
+});
+
+describe('hasValidCheckDigit', () => {
+  it('accepts a correct check digit and rejects others', () => {
+    expect(hasValidCheckDigit('4006381333931')).toBe(true);
+    expect(hasValidCheckDigit('4006381333932')).toBe(false);
+    expect(hasValidCheckDigit('40063813339a1')).toBe(false);
+    expect(hasValidCheckDigit('4')).toBe(false);
+  });
+});
+
+describe('expandUpcE', () => {
+  it.each([
+    ['01234505', '012000003455'], // last digit 0-2: manufacturer XX{d}00, product 00XXX
+    ['04252614', '042100005264'],
+    ['01234531', '012300000451'], // last digit 3
+    ['01234543', '012340000053'], // last digit 4
+    ['01234565', '012345000065'], // last digit 5-9
+  ])('%s -> %s', (upce, upca) => {
+    expect(expandUpcE(upce)).toBe(upca);
+    expect(hasValidCheckDigit(upca)).toBe(true);
+  });
+
+  it('returns null for codes that are not UPC-E', () => {
+    expect(expandUpcE('21234565')).toBeNull(); // number system 2
+    expect(expandUpcE('0123456')).toBeNull();
+    expect(expandUpcE('012345650')).toBeNull();
+    expect(expandUpcE('0123456a')).toBeNull();
+  });
+});
+
+describe('parseGtin', () => {
+  it.each([
+    ['96385074', 'GTIN-8', '00000096385074'],
+    ['036000291452', 'GTIN-12', '00036000291452'],
+    ['4006381333931', 'GTIN-13', '04006381333931'],
+    ['10036000291459', 'GTIN-14', '10036000291459'],
+  ])('pads %s (%s) to GTIN-14', (code, type, gtin14) => {
+    expect(parseGtin(code)).toEqual({ valid: true, reason: null, gtin: code, gtin14, type });
+  });
+
+  it('ignores spaces and dashes', () => {
+    expect(parseGtin(' 4006381-333931 ').gtin).toBe('4006381333931');
+  });
+
+  it('expands UPC-E when the 8 digits are not a valid EAN-8', () => {
+    expect(parseGtin('04252614')).toEqual({
+      valid: true,
+      reason: null,
+      gtin: '042100005264',
+      gtin14: '00042100005264',
+      type: 'UPC-E',
+    });
+  });
+
+  it('prefers EAN-8 for codes valid as both, unless the decoder saw UPC-E', () => {
+    expect(parseGtin('01234565')).toMatchObject({ gtin: '01234565', type: 'GTIN-8' });
+    expect(parseGtin('01234565', { format: 'UPC_E' })).toMatchObject({
+      gtin: '012345000065',
+      gtin14: '00012345000065',
+      type: 'UPC-E',
+    });
+  });
+
+  it.each([
+    ['4006381333932', '1', '2'],
+    ['036000291453', '2', '3'],
+    ['10036000291452', '9', '2'],
+    ['96385075', '4', '5'],
+  ])('rejects %s with a bad check digit', (code, expected, actual) => {
+    expect(parseGtin(code)).toEqual({
+      valid: false,
+      reason: t('validation.checkDigit', { expected, actual }),
+      gtin: null,
+      gtin14: null,
+      type: null,
+    });
+  });
+
+  it('rejects empty input, letters and unsupported lengths', () => {
+    expect(parseGtin(null).reason).toBe(t('validation.barcodeRequired'));
+    expect(parseGtin('  ').reason).toBe(t('validation.barcodeEmpty'));
+    expect(parseGtin('40063813339a1').reason).toBe(t('validation.barcodeDigitsOnly'));
+    expect(parseGtin('1234567890').reason).toBe(t('validation.barcodeLength', { length: 10 }));
+  });
+});
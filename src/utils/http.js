@@ -0,0 +1,48 @@
+/**
+ * HTTP helpers shared by the API service and the server-side lookup providers
+ */
+
+import { TimeoutError } from './errors';
+
+// Shorter timeout for mobile - don't wait too long
+export const REQUEST_TIMEOUT = 15000; // 15 seconds - shorter for better mobile experience
+
+/**
+ * Create a fetch request with timeout and abort controller
+ * A timeout rejects with a TimeoutError (see ./errors.js).
+ */
+export const fetchWithTimeout = (url, options, timeout = REQUEST_TIMEOUT) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  return fetch(url, {
+    ...options,
+    signal: controller.signal,
+  })
+    .then((response) => {
+      clearTimeout(timeoutId);
+      return response;
+    })
+    .catch((error) => {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') {
+        throw new TimeoutError();
+      }
+      throw error;
+    });
+};
+
+/**
+ * Build an Error for a non-OK response, keeping the status and Retry-After (seconds)
+ * so callers can decide whether to retry
+ */
+export const createResponseError = async (label, response) => {
+  const errorText = await response.text().catch(() => '');
+  const error = new Error(`${label} returned ${response.status}: ${errorText.substring(0, 200)}`);
+  error.status = response.status;
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+};
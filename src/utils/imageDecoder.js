@@ -0,0 +1,134 @@
+/**
+ * Decode barcodes from still images (photos, screenshots)
+ *
+ * Uses the native BarcodeDetector API when available. Otherwise falls back to ZXing,
+ * which reads one barcode per pass, so the image is searched region by region
+ * (see decodeAllInFrame) to find every barcode in it as well.
+ */
+
+import { Html5QrcodeSupportedFormats } from 'html5-qrcode';
+
+/**
+ * Formats the camera scanner and the image decoder are configured with
+ */
+export const SCAN_FORMATS = [
+  Html5QrcodeSupportedFormats.CODE_128,  // Most common barcode format
+  Html5QrcodeSupportedFormats.CODE_39,
+  Html5QrcodeSupportedFormats.EAN_13,    // European Article Number
+  Html5QrcodeSupportedFormats.EAN_8,
+  Html5QrcodeSupportedFormats.UPC_A,     // Universal Product Code
+  Html5QrcodeSupportedFormats.UPC_E,
+  Html5QrcodeSupportedFormats.CODE_93,
+  Html5QrcodeSupportedFormats.CODABAR,
+  Html5QrcodeSupportedFormats.ITF,
+  // Keep QR_CODE for compatibility
+  Html5QrcodeSupportedFormats.QR_CODE,
+  Html5QrcodeSupportedFormats.DATA_MATRIX, // GS1 DataMatrix on cases
+];
+
+// html5-qrcode format -> BarcodeDetector format name
+const NATIVE_FORMAT_NAMES = {
+  [Html5QrcodeSupportedFormats.CODE_128]: 'code_128',
+  [Html5QrcodeSupportedFormats.CODE_39]: 'code_39',
+  [Html5QrcodeSupportedFormats.EAN_13]: 'ean_13',
+  [Html5QrcodeSupportedFormats.EAN_8]: 'ean_8',
+  [Html5QrcodeSupportedFormats.UPC_A]: 'upc_a',
+  [Html5QrcodeSupportedFormats.UPC_E]: 'upc_e',
+  [Html5QrcodeSupportedFormats.CODE_93]: 'code_93',
+  [Html5QrcodeSupportedFormats.CODABAR]: 'codabar',
+  [Html5QrcodeSupportedFormats.ITF]: 'itf',
+  [Html5QrcodeSupportedFormats.QR_CODE]: 'qr_code',
+  [Html5QrcodeSupportedFormats.DATA_MATRIX]: 'data_matrix',
+};
+
+/**
+ * Build a BarcodeDetector for SCAN_FORMATS, or null if the API or none of the formats are supported
+ */
+const createNativeDetector = async () => {
+  if (typeof window === 'undefined' || !('BarcodeDetector' in window)) {
+    return null;
+  }
+
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    const formats = SCAN_FORMATS.map((format) => NATIVE_FORMAT_NAMES[format]).filter((name) =>
+      supported.includes(name)
+    );
+    return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const decodeWithNativeDetector = async (detector, file) => {
+  const image = await createImageBitmap(file);
+  try {
+    const detected = await detector.detect(image);
+    // Report formats the way html5-qrcode names them (e.g. UPC_E)
+    return detected.map(({ rawValue, format }) => ({ text: rawValue, format: format.toUpperCase() }));
+  } finally {
+    image.close();
+  }
+};
+
+// Larger photos are scaled down: decoding stays fast and barcodes stay readable
+const MAX_IMAGE_SIDE = 2048;
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Image could not be loaded'));
+    };
+    image.src = url;
+  });
+
+const decodeWithZxing = async (file) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  // Loaded on first use: the camera decodes ZXing in its worker, so the main bundle doesn't need it
+  const { createZxingReader, decodeAllInFrame } = await import('./zxingDecoder');
+  const formatNames = SCAN_FORMATS.map((format) => Html5QrcodeSupportedFormats[format]).filter(Boolean);
+  const frame = context.getImageData(0, 0, canvas.width, canvas.height);
+  return decodeAllInFrame(createZxingReader(formatNames), frame).map(({ text, format }) => ({ text, format }));
+};
+
+/**
+ * Decode every barcode found in an image file
+ * Returns [{ text, format }] without duplicates; empty when nothing was found
+ */
+export const decodeImageFile = async (file) => {
+  const detector = await createNativeDetector();
+  let results = [];
+
+  if (detector) {
+    try {
+      results = await decodeWithNativeDetector(detector, file);
+    } catch (err) {
+      console.warn('[ImageDecoder] Native detector failed, falling back:', err);
+    }
+  }
+
+  if (results.length === 0) {
+    results = await decodeWithZxing(file);
+  }
+
+  const seen = new Set();
+  return results.filter(({ text }) => {
+    if (!text || seen.has(text)) return false;
+    seen.add(text);
+    return true;
+  });
+};
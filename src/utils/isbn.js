@@ -0,0 +1,121 @@
+/**
+ * ISBN and ISSN utilities
+ *
+ * - ISBN-13 is a Bookland EAN-13 (978/979 prefix) with the GS1 check digit
+ * - ISBN-10 uses a mod-11 check digit, X standing for 10; only 978 ISBNs have an ISBN-10
+ * - ISSN is 8 characters (mod-11 check digit, X allowed); its EAN-13 form is
+ *   977 + the first 7 ISSN digits + a 2-digit variant (usually 00) + GS1 check digit
+ */
+
+import { t } from '../i18n';
+import { BARCODE_FORMATS } from './constants';
+import { calculateCheckDigit, hasValidCheckDigit } from './gtin';
+
+/**
+ * Mod-11 check character for the digits of an ISBN-10 or ISSN (weights count down to 2)
+ */
+const calculateMod11CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[i]) * (digits.length + 1 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const hasValidMod11CheckDigit = (code) =>
+  calculateMod11CheckDigit(code.slice(0, -1)) === code[code.length - 1];
+
+/**
+ * Remove hyphens, spaces and an "ISBN"/"ISSN" label; upper-case the X check character
+ */
+export const cleanBookCode = (input) =>
+  String(input || '').trim().toUpperCase().replace(/^IS[BS]N(-1[03])?:?/, '').replace(/[\s-]/g, '');
+
+export const isIsbn13 = (code) => BARCODE_FORMATS.ISBN.test(code) && hasValidCheckDigit(code);
+
+export const isIsbn10 = (code) => BARCODE_FORMATS.ISBN_10.test(code) && hasValidMod11CheckDigit(code);
+
+export const isIssn = (code) => /^\d{7}[\dX]$/.test(code) && hasValidMod11CheckDigit(code);
+
+export const isIssnEan = (code) => BARCODE_FORMATS.ISSN.test(code) && hasValidCheckDigit(code);
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13
+ */
+export const isbn10ToIsbn13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  return `${body}${calculateCheckDigit(body)}`;
+};
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10, or null for 979 ISBNs (which have no ISBN-10)
+ */
+export const isbn13ToIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+  const body = isbn13.slice(3, 12);
+  return `${body}${calculateMod11CheckDigit(body)}`;
+};
+
+/**
+ * Convert a valid ISSN to its EAN-13 form
+ */
+export const issnToEan = (issn, variant = '00') => {
+  const body = `977${issn.slice(0, 7)}${variant}`;
+  return `${body}${calculateCheckDigit(body)}`;
+};
+
+/**
+ * Extract the ISSN from a valid 977 EAN-13
+ */
+export const eanToIssn = (ean) => {
+  const body = ean.slice(3, 10);
+  return `${body}${calculateMod11CheckDigit(body)}`;
+};
+
+/**
+ * Format an ISSN for display (0317-8471)
+ */
+export const formatIssn = (issn) => `${issn.slice(0, 4)}-${issn.slice(4)}`;
+
+/**
+ * Book identifiers for a GTIN, or null when it is not a Bookland or ISSN EAN
+ * Returns { type: 'ISBN' | 'ISSN', isbn13, isbn10, issn }
+ */
+export const getBookIdentifiers = (gtin) => {
+  if (isIsbn13(gtin)) {
+    return { type: 'ISBN', isbn13: gtin, isbn10: isbn13ToIsbn10(gtin), issn: null };
+  }
+  if (isIssnEan(gtin)) {
+    return { type: 'ISSN', isbn13: null, isbn10: null, issn: eanToIssn(gtin) };
+  }
+  return null;
+};
+
+const invalid = (reason) => ({ valid: false, reason, gtin: null, type: null });
+
+/**
+ * Parse a typed or printed ISBN-10 or ISSN into the EAN-13 that is looked up
+ * Returns { valid, reason, gtin, type } - type is 'ISBN-10' or 'ISSN'; null when
+ * the input is neither form (ISBN-13 needs no conversion: it is already a GTIN).
+ * An ISSN is only recognized when written with its hyphen or label (0317-8471),
+ * since 8 bare digits are an EAN-8.
+ */
+export const parseBookCode = (input) => {
+  const text = String(input || '').trim().toUpperCase();
+  const code = cleanBookCode(text);
+
+  if (BARCODE_FORMATS.ISBN_10.test(code)) {
+    return isIsbn10(code)
+      ? { valid: true, reason: null, gtin: isbn10ToIsbn13(code), type: 'ISBN-10' }
+      : invalid(t('validation.isbn10CheckDigit', { expected: calculateMod11CheckDigit(code.slice(0, 9)), actual: code[9] }));
+  }
+
+  if (/^(ISSN:?\s*)?\d{4}-\d{3}[\dX]$/.test(text) || /^ISSN:?\s*\d{7}[\dX]$/.test(text)) {
+    return isIssn(code)
+      ? { valid: true, reason: null, gtin: issnToEan(code), type: 'ISSN' }
+      : invalid(t('validation.issnCheckDigit', { expected: calculateMod11CheckDigit(code.slice(0, 7)), actual: code[7] }));
+  }
+
+  return null;
+};
@@ -0,0 +1,105 @@
+import { t } from '../i18n';
+import {
+  cleanBookCode,
+  eanToIssn,
+  formatIssn,
+  getBookIdentifiers,
+  isbn10ToIsbn13,
+  isbn13ToIsbn10,
+  isIsbn10,
+  isIssn,
+  issnToEan,
+  parseBookCode,
+} from './isbn';
+
+describe('ISBN-10 and ISBN-13', () => {
+  it.each([
+    ['0306406152', '9780306406157'],
+    ['080442957X', '9780804429573'],
+    ['0140328726', '9780140328721'],
+  ])('%s <-> %s', (isbn10, isbn13) => {
+    expect(isIsbn10(isbn10)).toBe(true);
+    expect(isbn10ToIsbn13(isbn10)).toBe(isbn13);
+    expect(isbn13ToIsbn10(isbn13)).toBe(isbn10);
+  });
+
+  it('has no ISBN-10 for 979 ISBNs', () => {
+    expect(isbn13ToIsbn10('9790260000438')).toBeNull();
+  });
+
+  it('rejects a bad mod-11 check digit', () => {
+    expect(isIsbn10('0306406153')).toBe(false);
+    expect(isIsbn10('0804429570')).toBe(false);
+  });
+
+  it('cleans labels, hyphens and a lower-case x', () => {
+    expect(cleanBookCode('ISBN-10: 0-8044-2957-x')).toBe('080442957X');
+    expect(cleanBookCode('ISSN 0317-8471')).toBe('03178471');
+  });
+});
+
+describe('ISSN', () => {
+  it.each([
+    ['03178471', '9770317847001'],
+    ['1050124X', '9771050124008'],
+  ])('%s <-> %s', (issn, ean) => {
+    expect(isIssn(issn)).toBe(true);
+    expect(issnToEan(issn)).toBe(ean);
+    expect(eanToIssn(ean)).toBe(issn);
+  });
+
+  it('keeps the variant digits in the EAN', () => {
+    expect(issnToEan('03178471', '05')).toBe('9770317847056');
+    expect(eanToIssn('9770317847056')).toBe('03178471');
+  });
+
+  it('formats with a hyphen', () => {
+    expect(formatIssn('1050124X')).toBe('1050-124X');
+  });
+});
+
+describe('getBookIdentifiers', () => {
+  it('describes Bookland and ISSN EANs', () => {
+    expect(getBookIdentifiers('9780306406157')).toEqual({
+      type: 'ISBN', isbn13: '9780306406157', isbn10: '0306406152', issn: null,
+    });
+    expect(getBookIdentifiers('9790260000438')).toEqual({
+      type: 'ISBN', isbn13: '9790260000438', isbn10: null, issn: null,
+    });
+    expect(getBookIdentifiers('9770317847001')).toEqual({
+      type: 'ISSN', isbn13: null, isbn10: null, issn: '03178471',
+    });
+  });
+
+  it('returns null for other GTINs', () => {
+    expect(getBookIdentifiers('4006381333931')).toBeNull();
+    expect(getBookIdentifiers('9780306406158')).toBeNull();
+  });
+});
+
+describe('parseBookCode', () => {
+  it('converts ISBN-10 to the ISBN-13 to look up', () => {
+    expect(parseBookCode('0-306-40615-2')).toEqual({ valid: true, reason: null, gtin: '9780306406157', type: 'ISBN-10' });
+    expect(parseBookCode('isbn 080442957x')).toMatchObject({ valid: true, gtin: '9780804429573' });
+  });
+
+  it('converts a hyphenated or labelled ISSN to its EAN-13', () => {
+    expect(parseBookCode('0317-8471')).toEqual({ valid: true, reason: null, gtin: '9770317847001', type: 'ISSN' });
+    expect(parseBookCode('ISSN: 1050124X')).toMatchObject({ valid: true, gtin: '9771050124008' });
+  });
+
+  it('reports bad check digits', () => {
+    expect(parseBookCode('0306406153')).toEqual({
+      valid: false,
+      reason: t('validation.isbn10CheckDigit', { expected: '2', actual: '3' }),
+      gtin: null,
+      type: null,
+    });
+    expect(parseBookCode('0317-8472').reason).toBe(t('validation.issnCheckDigit', { expected: '1', actual: '2' }));
+  });
+
+  it('leaves EAN-8 and ISBN-13 input alone', () => {
+    expect(parseBookCode('03178471')).toBeNull();
+    expect(parseBookCode('9780306406157')).toBeNull();
+  });
+});
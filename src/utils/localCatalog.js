@@ -0,0 +1,187 @@
+/**
+ * Client for the shared local catalog (/api/catalog, see api/_lib/catalog.js)
+ *
+ * The whole team edits one catalog on the server. Product lookups apply it server side;
+ * in-store items (variable-measure barcodes) are read from it here, with an IndexedDB
+ * copy of the last loaded catalog for offline use.
+ * Item format and validation: ./catalogItem.js.
+ */
+
+import { t } from '../i18n';
+import { AppError, AuthError, ERROR_CODES, errorFromResponse, toAppError } from './errors';
+import { STORES, dbClear, dbGet, dbPut } from './db';
+import { CATALOG_SOURCE, catalogItemToProduct, getCatalogKey } from './catalogItem';
+import { fetchWithTimeout, REQUEST_TIMEOUT } from './http';
+import { removeCachedProduct } from './productCache';
+import { createOffer, createProduct } from './productSchema';
+
+const CATALOG_ENDPOINT = '/api/catalog';
+const TOKEN_STORAGE_KEY = 'scan-barcode:catalog-token';
+
+/**
+ * Catalog edit token (sent as X-Api-Token), kept in localStorage
+ */
+export const getCatalogToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+export const setCatalogToken = (token) => {
+  try {
+    if (token) localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    else localStorage.removeItem(TOKEN_STORAGE_KEY);
+  } catch (error) {
+    console.warn('[Catalog] ⚠️ Could not save token:', error.message);
+  }
+};
+
+/**
+ * Call the catalog API and return the parsed JSON body (null for 204 / 404 on GET)
+ * Failures are thrown as AppErrors (AUTH when the catalog token is missing or wrong).
+ */
+const requestCatalog = async (path, { method = 'GET', body } = {}) => {
+  const headers = { 'Accept': 'application/json' };
+  if (body) headers['Content-Type'] = 'application/json';
+  const token = getCatalogToken();
+  if (token && method !== 'GET') headers['X-Api-Token'] = token;
+
+  let response;
+  try {
+    response = await fetchWithTimeout(
+      `${CATALOG_ENDPOINT}${path}`,
+      { method, headers, body: body ? JSON.stringify(body) : undefined, cache: 'no-cache' },
+      REQUEST_TIMEOUT
+    );
+  } catch (error) {
+    throw toAppError(error);
+  }
+
+  if (response.status === 204 || (response.status === 404 && method === 'GET')) {
+    return null;
+  }
+  const data = await response.json().catch(() => null);
+  if (response.status === 401) {
+    throw new AuthError();
+  }
+  // The server has no durable storage for catalog edits
+  if (response.status === 503 && method !== 'GET') {
+    throw new AppError(ERROR_CODES.UNKNOWN, t('errors.catalogReadOnly'), { status: response.status });
+  }
+  // An edit changed the gtin / itemCode to one of another item
+  if (response.status === 409) {
+    throw new AppError(ERROR_CODES.UNKNOWN, t('errors.catalogKeyTaken'), { status: response.status });
+  }
+  if (!response.ok) {
+    throw errorFromResponse(response, data);
+  }
+  return data;
+};
+
+const keyPath = (key) => `/${encodeURIComponent(key)}`;
+
+/**
+ * Replace the offline copy with the catalog just loaded
+ */
+const saveOfflineCopy = async (items) => {
+  try {
+    await dbClear(STORES.CATALOG);
+    await Promise.all(items.map((item) => dbPut(STORES.CATALOG, item)));
+  } catch (error) {
+    console.warn('[Catalog] ⚠️ Offline copy failed:', error.message);
+  }
+};
+
+/**
+ * Cached lookups of a catalog product are stale once it changes
+ */
+const forgetCachedProduct = (item) => (item && item.gtin ? removeCachedProduct(item.key) : null);
+
+/**
+ * Load every catalog item (sorted by name)
+ */
+export const fetchCatalogItems = async () => {
+  const { items } = await requestCatalog('');
+  await saveOfflineCopy(items);
+  return items;
+};
+
+/**
+ * Add an item, or replace the item stored under previousKey
+ * Returns the saved item
+ */
+export const saveCatalogItem = async (fields, previousKey = null) => {
+  const saved = previousKey
+    ? await requestCatalog(keyPath(previousKey), { method: 'PUT', body: fields })
+    : (await requestCatalog('', { method: 'POST', body: fields })).saved[0];
+  await forgetCachedProduct(saved);
+  if (previousKey && previousKey !== saved.key) {
+    await removeCachedProduct(previousKey);
+  }
+  return saved;
+};
+
+/**
+ * Delete an item
+ */
+export const deleteCatalogItem = async (item) => {
+  await requestCatalog(keyPath(item.key), { method: 'DELETE' });
+  await forgetCachedProduct(item);
+};
+
+/**
+ * Import validated items (see parseCatalogFile)
+ * Returns { saved, invalid } as answered by the server
+ */
+export const importCatalogItems = async (items) => {
+  const result = await requestCatalog('', { method: 'POST', body: { items } });
+  await Promise.all(result.saved.map(forgetCachedProduct));
+  return result;
+};
+
+/**
+ * Get an in-store item by item code, or null
+ * Falls back to the offline copy when the catalog API cannot be reached.
+ */
+export const getCatalogItemByCode = async (itemCode) => {
+  const key = getCatalogKey({ itemCode });
+  try {
+    return await requestCatalog(keyPath(key));
+  } catch (error) {
+    console.warn('[Catalog] ⚠️ Catalog API unavailable, using offline copy:', error.message);
+    return dbGet(STORES.CATALOG, key).catch(() => null);
+  }
+};
+
+/**
+ * Build the product shown for a variable-measure barcode
+ * measure is the decodeVariableMeasure result; item may be null (not in the catalog).
+ * The product carries variableMeasure: { itemCode, measure, value, unit, currency, price, inCatalog }
+ */
+export const createVariableMeasureProduct = (gtin, measure, item) => {
+  const price = measure.measure === 'price'
+    ? measure.value
+    : item && item.unitPrice !== null
+      ? Math.round(measure.value * item.unitPrice * 100) / 100
+      : null;
+
+  return {
+    ...(item ? catalogItemToProduct(item) : createProduct()),
+    identifiers: { gtin },
+    // The label's own price wins over the catalog's shelf price
+    offers: price !== null ? [createOffer({ seller: 'In store', price, currency: measure.currency })] : [],
+    source: CATALOG_SOURCE.id,
+    variableMeasure: {
+      itemCode: measure.itemCode,
+      measure: measure.measure,
+      value: measure.value,
+      unit: measure.unit,
+      currency: measure.currency,
+      price,
+      inCatalog: Boolean(item),
+    },
+    sources: [CATALOG_SOURCE],
+  };
+};
@@ -0,0 +1,85 @@
+/**
+ * Persistent product cache (IndexedDB), keyed by canonical GTIN-14
+ *
+ * Entry format:
+ * { key: '00850028009338', product: {...} | null, notFound: false, fetchedAt: 1700000000000 }
+ *
+ * Cache errors are never fatal: if IndexedDB is unavailable the cache behaves as empty.
+ */
+
+import { CACHE_CONFIG } from './constants';
+import { STORES, dbClear, dbDelete, dbGet, dbPut } from './db';
+
+export const CACHE_STATUS = {
+  FRESH: 'fresh', // Younger than the TTL - use as is
+  STALE: 'stale', // Past the TTL but within maxStale - use and revalidate in the background
+  EXPIRED: 'expired', // Too old - only used when offline or when every provider fails
+};
+
+/**
+ * Read a cache entry (null when missing or the cache is unavailable)
+ */
+export const getCachedEntry = async (gtin14) => {
+  try {
+    return await dbGet(STORES.PRODUCTS, gtin14);
+  } catch (error) {
+    console.warn('[Cache] ⚠️ Read failed:', error.message);
+    return null;
+  }
+};
+
+const writeEntry = async (entry) => {
+  try {
+    await dbPut(STORES.PRODUCTS, entry);
+  } catch (error) {
+    console.warn('[Cache] ⚠️ Write failed:', error.message);
+  }
+};
+
+/**
+ * Store a product lookup result
+ */
+export const setCachedProduct = (gtin14, product) =>
+  writeEntry({ key: gtin14, product, notFound: false, fetchedAt: Date.now() });
+
+/**
+ * Store a negative ("not found") result with the provider attempts that led to it
+ */
+export const setCachedNotFound = (gtin14, attempts = []) =>
+  writeEntry({ key: gtin14, product: null, notFound: true, attempts, fetchedAt: Date.now() });
+
+/**
+ * Remove a single entry
+ */
+export const removeCachedProduct = async (gtin14) => {
+  try {
+    await dbDelete(STORES.PRODUCTS, gtin14);
+  } catch (error) {
+    console.warn('[Cache] ⚠️ Delete failed:', error.message);
+  }
+};
+
+/**
+ * Remove every cached product
+ */
+export const clearProductCache = async () => {
+  try {
+    await dbClear(STORES.PRODUCTS);
+  } catch (error) {
+    console.warn('[Cache] ⚠️ Clear failed:', error.message);
+  }
+};
+
+/**
+ * Classify a cache entry by age
+ */
+export const getCacheStatus = (entry, config = CACHE_CONFIG, now = Date.now()) => {
+  const age = now - entry.fetchedAt;
+
+  if (entry.notFound) {
+    return age < config.negativeTtl ? CACHE_STATUS.FRESH : CACHE_STATUS.EXPIRED;
+  }
+  if (age < config.ttl) return CACHE_STATUS.FRESH;
+  if (age < config.ttl + config.maxStale) return CACHE_STATUS.STALE;
+  return CACHE_STATUS.EXPIRED;
+};
@@ -0,0 +1,245 @@
+/**
+ * Canonical product schema
+ *
+ * Every provider normalizer emits this shape, and the UI reads only this shape:
+ * {
+ *   identifiers: {            // Any identifier the source knows about
+ *     gtin: '850028009338',   // Barcode as looked up
+ *     upc, ean, mpn, model, asin,
+ *     isbn13, isbn10, issn,   // Set for books and serials
+ *   },
+ *   name: 'Product name',     // string | null
+ *   brand: 'Brand',           // string | null
+ *   manufacturer: 'Maker',    // string | null
+ *   description: 'Text',      // string | null
+ *   images: ['https://...'],  // Image URLs, best first
+ *   offers: [{                // Store offers, best first
+ *     seller: 'Amazon',       // string | null
+ *     price: 12.99,           // number | null
+ *     currency: 'USD',        // ISO 4217 code | null
+ *     url: 'https://...',     // string | null
+ *   }],
+ *   categories: ['Food'],     // Most general first
+ *   attributes: { color: 'Red' }, // Extra key/value details (string, number, boolean or list);
+ *                             // books use authors, publisher, publishYear, pages and subtitle
+ *   source: 'barcodeLookup',  // Provider id that produced the data
+ * }
+ *
+ * fetchProductByBarcode adds lookup metadata on top: sources, fieldSources,
+ * missingFields, availableFields (field ids, e.g. ['images', 'offers']) and hasIncompleteData.
+ */
+
+const IDENTIFIER_KEYS = ['gtin', 'upc', 'ean', 'mpn', 'model', 'asin', 'isbn13', 'isbn10', 'issn'];
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  'ر.س': 'SAR',
+  'د.إ': 'AED',
+};
+
+/**
+ * Trim a value to a non-empty string, or null
+ */
+export const toText = (value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return toText(value[0]);
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+};
+
+/**
+ * Turn a value (single, array or empty) into a list of non-empty strings without duplicates
+ */
+export const toTextList = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(list.map(toText).filter(Boolean)));
+};
+
+// An ISO 4217 code or a known symbol; anything else (e.g. "US Dollar") is unknown
+const toCurrency = (value) => {
+  const text = toText(value);
+  if (!text) return null;
+  if (CURRENCY_SYMBOLS[text]) return CURRENCY_SYMBOLS[text];
+  return /^[A-Z]{3}$/i.test(text) ? text.toUpperCase() : null;
+};
+
+/**
+ * Read the first amount in a price text, with a decimal point or a decimal comma:
+ * "1,299.00", "1.299,00", "12,99", "1 299" and "1'299.50" all work.
+ * A lone comma before exactly three digits ("1,299") groups thousands; a lone point
+ * ("12.500") is a decimal point, as in most provider data.
+ */
+const parseAmount = (text) => {
+  const match = text.match(/\d[\d.,'\s]*/);
+  if (!match) return null;
+  let number = match[0].replace(/['\s]/g, '').replace(/[.,]+$/, '');
+
+  const lastPoint = number.lastIndexOf('.');
+  const lastComma = number.lastIndexOf(',');
+  if (lastPoint !== -1 && lastComma !== -1) {
+    // Both used: the last one is the decimal separator
+    const grouping = lastComma > lastPoint ? '.' : ',';
+    number = number.split(grouping).join('');
+  } else if (lastComma !== -1 || lastPoint !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const groups = number.split(separator);
+    const isGrouping = groups.length > 2 || (separator === ',' && groups[1].length === 3);
+    number = isGrouping ? groups.join('') : groups.join('.');
+  }
+
+  const amount = parseFloat(number.replace(',', '.'));
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Parse a price such as "$124.39", "33.95", "12,99 €" or 12.5 into { price, currency }
+ */
+export const parsePrice = (value, currency = null) => {
+  if (value === null || value === undefined || value === '') {
+    return { price: null, currency: toCurrency(currency) };
+  }
+  if (typeof value === 'number') {
+    return { price: Number.isFinite(value) ? value : null, currency: toCurrency(currency) };
+  }
+
+  const text = String(value).trim();
+  let detectedCurrency = toCurrency(currency);
+
+  if (!detectedCurrency) {
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find((s) => text.includes(s));
+    const code = text.match(/\b[A-Z]{3}\b/);
+    detectedCurrency = symbol ? CURRENCY_SYMBOLS[symbol] : code ? code[0] : null;
+  }
+
+  return {
+    price: parseAmount(text),
+    currency: detectedCurrency,
+  };
+};
+
+/**
+ * Build a canonical offer
+ */
+export const createOffer = ({ seller, price, currency, url } = {}) => ({
+  seller: toText(seller),
+  ...parsePrice(price, currency),
+  url: toText(url),
+});
+
+/**
+ * Build a canonical product, filling defaults and cleaning values
+ */
+export const createProduct = (fields = {}) => {
+  const identifiers = {};
+  IDENTIFIER_KEYS.forEach((key) => {
+    const value = toText(fields.identifiers?.[key]);
+    if (value) identifiers[key] = value;
+  });
+
+  const attributes = {};
+  Object.entries(fields.attributes || {}).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      const list = toTextList(value);
+      if (list.length > 0) attributes[key] = list;
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      attributes[key] = value;
+    } else if (toText(value) && typeof value !== 'object') {
+      attributes[key] = toText(value);
+    }
+  });
+
+  return {
+    identifiers,
+    name: toText(fields.name),
+    brand: toText(fields.brand),
+    manufacturer: toText(fields.manufacturer),
+    description: toText(fields.description),
+    images: toTextList(fields.images),
+    offers: (fields.offers || [])
+      .map(createOffer)
+      .filter((offer) => offer.price !== null || offer.url || offer.seller),
+    categories: toTextList(fields.categories),
+    attributes,
+    source: toText(fields.source),
+  };
+};
+
+/**
+ * Whether a product is a book or serial (looked up by ISBN or ISSN)
+ */
+export const isBookProduct = (product) =>
+  Boolean(product?.identifiers?.isbn13 || product?.identifiers?.isbn10 || product?.identifiers?.issn);
+
+const isStringOrNull = (value) => value === null || typeof value === 'string';
+
+const isAttributeValue = (value) =>
+  typeof value === 'string' ||
+  typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+
+/**
+ * Validate a product against the canonical schema
+ * Returns { valid, errors } where errors is a list of readable messages
+ */
+export const validateProduct = (product) => {
+  const errors = [];
+
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return { valid: false, errors: ['Product must be an object.'] };
+  }
+
+  if (!product.identifiers || typeof product.identifiers !== 'object') {
+    errors.push('identifiers must be an object.');
+  } else {
+    Object.entries(product.identifiers).forEach(([key, value]) => {
+      if (typeof value !== 'string') errors.push(`identifiers.${key} must be a string.`);
+    });
+  }
+
+  ['name', 'brand', 'manufacturer', 'description', 'source'].forEach((field) => {
+    if (!isStringOrNull(product[field])) errors.push(`${field} must be a string or null.`);
+  });
+
+  if (!Array.isArray(product.images) || !product.images.every((url) => typeof url === 'string')) {
+    errors.push('images must be a list of URLs.');
+  }
+
+  if (!Array.isArray(product.offers)) {
+    errors.push('offers must be a list.');
+  } else {
+    product.offers.forEach((offer, index) => {
+      if (!offer || typeof offer !== 'object') {
+        errors.push(`offers[${index}] must be an object.`);
+        return;
+      }
+      if (offer.price !== null && !Number.isFinite(offer.price)) {
+        errors.push(`offers[${index}].price must be a number or null.`);
+      }
+      if (offer.currency !== null && !/^[A-Z]{3}$/.test(offer.currency)) {
+        errors.push(`offers[${index}].currency must be a 3-letter currency code or null.`);
+      }
+      if (!isStringOrNull(offer.seller) || !isStringOrNull(offer.url)) {
+        errors.push(`offers[${index}] seller and url must be strings or null.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(product.categories) || !product.categories.every((c) => typeof c === 'string')) {
+    errors.push('categories must be a list of strings.');
+  }
+
+  if (!product.attributes || typeof product.attributes !== 'object' || Array.isArray(product.attributes)) {
+    errors.push('attributes must be an object.');
+  } else {
+    Object.entries(product.attributes).forEach(([key, value]) => {
+      if (!isAttributeValue(value)) errors.push(`attributes.${key} has an unsupported value.`);
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
@@ -0,0 +1,47 @@
+import { parsePrice } from './productSchema';
+
+describe('parsePrice', () => {
+  it.each([
+    ['1.234,56', 1234.56], // decimal comma, point groups thousands
+    ['1,234.56', 1234.56], // decimal point, comma groups thousands
+    ['12,5', 12.5], // lone decimal comma
+    ['12,99', 12.99],
+    ['1,299', 1299], // lone comma before three digits groups thousands
+    ['12.500', 12.5], // lone point is a decimal point
+    ['1.234.567', 1234567],
+    ['1 299,00', 1299],
+    ["1'299.50", 1299.5],
+    ['33.95', 33.95],
+  ])('reads %s as %d', (text, price) => {
+    expect(parsePrice(text).price).toBe(price);
+  });
+
+  it('takes the currency from a symbol or an ISO code in the text', () => {
+    expect(parsePrice('$124.39')).toEqual({ price: 124.39, currency: 'USD' });
+    expect(parsePrice('1.234,56 €')).toEqual({ price: 1234.56, currency: 'EUR' });
+    expect(parsePrice('12,5 SEK')).toEqual({ price: 12.5, currency: 'SEK' });
+  });
+
+  it('prefers the currency passed in', () => {
+    expect(parsePrice('1,234.56', 'gbp')).toEqual({ price: 1234.56, currency: 'GBP' });
+    expect(parsePrice('12,5', '€')).toEqual({ price: 12.5, currency: 'EUR' });
+  });
+
+  it('drops unknown currencies', () => {
+    expect(parsePrice('12.50', 'US Dollar')).toEqual({ price: 12.5, currency: null });
+    expect(parsePrice('12.50', 'Dollars')).toEqual({ price: 12.5, currency: null });
+    expect(parsePrice('12,50 dollars')).toEqual({ price: 12.5, currency: null });
+    expect(parsePrice(7, 'EURO')).toEqual({ price: 7, currency: null });
+  });
+
+  it('accepts numbers and empty values', () => {
+    expect(parsePrice(12.5, 'USD')).toEqual({ price: 12.5, currency: 'USD' });
+    expect(parsePrice(NaN)).toEqual({ price: null, currency: null });
+    expect(parsePrice('', 'EUR')).toEqual({ price: null, currency: 'EUR' });
+    expect(parsePrice(null)).toEqual({ price: null, currency: null });
+  });
+
+  it('returns no price for text without digits', () => {
+    expect(parsePrice('free')).toEqual({ price: null, currency: null });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Multi-frame confirmation of live camera decodes
+ *
+ * A damaged or blurry label can decode wrongly in a single frame, and the wrong code
+ * passes every format check. Requiring the same code in several frames within a short
+ * window filters those out: misreads rarely repeat exactly. Codes whose GS1 check digit
+ * was verified are already half-checked, so they need fewer frames than codes without
+ * a check digit.
+ *
+ * Only camera decodes go through here; typed codes and uploaded images are taken as they are.
+ */
+
+import { SCAN_CONFIRM_CONFIG } from './constants';
+
+/**
+ * Create a confirmer for one scanning session
+ * confirm(key, { verified }) records a decode of key (a GTIN or the raw text) and returns
+ * true once it was seen often enough; the count then starts again, so a code that stays
+ * in view is confirmed again after the same number of frames.
+ */
+export const createScanConfirmer = ({
+  verifiedFrames = SCAN_CONFIRM_CONFIG.verifiedFrames,
+  unverifiedFrames = SCAN_CONFIRM_CONFIG.unverifiedFrames,
+  windowMs = SCAN_CONFIRM_CONFIG.windowMs,
+} = {}) => {
+  // key -> times of its decodes within the window
+  const sightings = new Map();
+
+  const dropExpired = (now) => {
+    sightings.forEach((times, key) => {
+      const recent = times.filter((at) => now - at <= windowMs);
+      if (recent.length > 0) sightings.set(key, recent);
+      else sightings.delete(key);
+    });
+  };
+
+  const confirm = (key, { verified = false, now = Date.now() } = {}) => {
+    dropExpired(now);
+    const times = [...(sightings.get(key) || []), now];
+    if (times.length >= (verified ? verifiedFrames : unverifiedFrames)) {
+      sightings.delete(key);
+      return true;
+    }
+    sightings.set(key, times);
+    return false;
+  };
+
+  const reset = () => sightings.clear();
+
+  return { confirm, reset };
+};
@@ -0,0 +1,343 @@
+/**
+ * Live decoding engine for the camera scanner
+ *
+ * Three backends, picked by feature detection (or forced with SCAN_ENGINE_CONFIG.backend):
+ * - native: the browser's BarcodeDetector, run in a Web Worker
+ * - worker: ZXing (JavaScript) in a Web Worker, for browsers without BarcodeDetector
+ * - html5-qrcode: the library's own camera loop, when workers, OffscreenCanvas or
+ *   createImageBitmap are missing
+ *
+ * The native and worker backends use FrameScanner: it runs the camera itself, crops
+ * the scan region from each frame and sends it to ./frameDecoder.worker.js, one frame
+ * at a time. Its frame rate adapts to how long decoding takes, between
+ * SCAN_ENGINE_CONFIG.minFps and CAMERA_CONFIG.fps. Both scanner types share the
+ * html5-qrcode methods BarcodeScanner and ./cameraControls.js use (start, stop, clear,
+ * track capabilities and constraints); getScannerStats reports backend, frame rate and
+ * decode latency for comparing them.
+ *
+ * When a frame holds several barcodes, FrameScanner reports only the one nearest the
+ * middle of the scan region (the one being aimed at), with its location in
+ * decodedResult.result.box: { x, y, width, height } as shares (0-1) of the camera picture.
+ * html5-qrcode reports no location.
+ */
+
+import { Html5Qrcode, Html5QrcodeSupportedFormats } from 'html5-qrcode';
+import { CAMERA_CONFIG, SCAN_ENGINE_CONFIG } from './constants';
+import { SCAN_FORMATS } from './imageDecoder';
+
+export const SCAN_BACKENDS = {
+  NATIVE: 'native',
+  WORKER: 'worker',
+  HTML5_QRCODE: 'html5-qrcode',
+};
+
+// Weight of the newest sample in the latency average
+const LATENCY_SMOOTHING = 0.2;
+// A worker that has not answered the probe by then is treated as unusable
+const PROBE_TIMEOUT_MS = 3000;
+// Decoding may use this share of the frame interval before the frame rate drops
+const BUSY_SHARE = 0.6;
+const IDLE_SHARE = 0.3;
+
+const toFormatNames = (formats) => formats.map((format) => Html5QrcodeSupportedFormats[format]).filter(Boolean);
+
+let worker = null;
+let nextRequestId = 1;
+const pendingDecodes = new Map();
+let backendPromise = null;
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./frameDecoder.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+      if (data.type !== 'decode') return;
+      const pending = pendingDecodes.get(data.id);
+      if (pending) {
+        pendingDecodes.delete(data.id);
+        pending(data);
+      }
+    };
+    // A crashed worker answers nothing; fail the frames waiting for it
+    worker.onerror = (event) => {
+      console.warn('[ScanEngine] ⚠️ Decoder worker error:', event.message);
+      pendingDecodes.forEach((pending) => pending({ results: [], decodeMs: null, error: event.message }));
+      pendingDecodes.clear();
+    };
+  }
+  return worker;
+};
+
+const probeWorker = () =>
+  new Promise((resolve) => {
+    const probeTarget = getWorker();
+    const finish = (result) => {
+      clearTimeout(timer);
+      probeTarget.removeEventListener('message', onProbe);
+      probeTarget.removeEventListener('error', onError);
+      resolve(result);
+    };
+    const onProbe = ({ data }) => {
+      if (data.type === 'probe') finish(data);
+    };
+    const onError = () => finish({ native: false, zxing: false });
+    const timer = setTimeout(onError, PROBE_TIMEOUT_MS);
+    probeTarget.addEventListener('message', onProbe);
+    probeTarget.addEventListener('error', onError);
+    probeTarget.postMessage({ type: 'probe', formats: toFormatNames(SCAN_FORMATS) });
+  });
+
+const canRunFrameLoop = () =>
+  typeof Worker !== 'undefined' &&
+  typeof createImageBitmap === 'function' &&
+  typeof navigator !== 'undefined' &&
+  Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+const detectBackend = async () => {
+  const wanted = SCAN_ENGINE_CONFIG.backend;
+  if (wanted === SCAN_BACKENDS.HTML5_QRCODE || !canRunFrameLoop()) {
+    return SCAN_BACKENDS.HTML5_QRCODE;
+  }
+
+  try {
+    const { native, zxing } = await probeWorker();
+    if (native && wanted !== SCAN_BACKENDS.WORKER) return SCAN_BACKENDS.NATIVE;
+    if (zxing) return SCAN_BACKENDS.WORKER;
+  } catch (error) {
+    console.warn('[ScanEngine] ⚠️ Decoder worker unavailable:', error);
+  }
+  return SCAN_BACKENDS.HTML5_QRCODE;
+};
+
+/**
+ * Backend used for live scanning on this device (detected once)
+ */
+export const getScanBackend = () => {
+  if (!backendPromise) {
+    backendPromise = detectBackend().then((backend) => {
+      if (SCAN_ENGINE_CONFIG.backend !== 'auto' && backend !== SCAN_ENGINE_CONFIG.backend) {
+        console.warn(`[ScanEngine] ⚠️ ${SCAN_ENGINE_CONFIG.backend} is not supported here, using ${backend}`);
+      }
+      console.log(`[ScanEngine] Decoding with ${backend}`);
+      return backend;
+    });
+  }
+  return backendPromise;
+};
+
+const requestDecode = (bitmap, backend, formats) =>
+  new Promise((resolve) => {
+    const id = nextRequestId;
+    nextRequestId += 1;
+    pendingDecodes.set(id, resolve);
+    getWorker().postMessage({ type: 'decode', id, backend, formats, bitmap }, [bitmap]);
+  });
+
+/**
+ * Centered part of the frame that is decoded (SCAN_ENGINE_CONFIG.region)
+ */
+const getScanRegion = (width, height) => {
+  const regionWidth = Math.round(width * SCAN_ENGINE_CONFIG.region.width);
+  const regionHeight = Math.round(height * SCAN_ENGINE_CONFIG.region.height);
+  return {
+    x: Math.round((width - regionWidth) / 2),
+    y: Math.round((height - regionHeight) / 2),
+    width: regionWidth,
+    height: regionHeight,
+  };
+};
+
+const distanceFromCenter = ({ box }) =>
+  box ? Math.hypot(box.x + box.width / 2 - 0.5, box.y + box.height / 2 - 0.5) : Infinity;
+
+/**
+ * The result nearest the middle of the region, with its box moved from region to
+ * picture coordinates
+ */
+const pickCentered = (results, region, videoWidth, videoHeight) => {
+  if (results.length === 0) return null;
+  const [nearest] = [...results].sort((a, b) => distanceFromCenter(a) - distanceFromCenter(b));
+  const { box } = nearest;
+  return {
+    ...nearest,
+    box: box && {
+      x: (region.x + box.x * region.width) / videoWidth,
+      y: (region.y + box.y * region.height) / videoHeight,
+      width: (box.width * region.width) / videoWidth,
+      height: (box.height * region.height) / videoHeight,
+    },
+  };
+};
+
+const toCameraConstraints = (cameraSource) => ({
+  ...(typeof cameraSource === 'string' ? { deviceId: { exact: cameraSource } } : cameraSource),
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+});
+
+/**
+ * Camera scanner decoding frames in the worker (native or worker backend)
+ */
+class FrameScanner {
+  constructor(elementId, backend) {
+    this.elementId = elementId;
+    this.backend = backend;
+    this.stream = null;
+    this.container = null;
+    this.video = null;
+    this.running = false;
+    this.timer = null;
+    this.stats = { backend, fps: CAMERA_CONFIG.fps, latencyMs: null, frames: 0 };
+  }
+
+  /**
+   * Same arguments as Html5Qrcode.start: a device id or { facingMode }, a config with
+   * fps and formatsToSupport, and the decode callback (qrbox and the error callback are
+   * not used)
+   */
+  async start(cameraSource, config, onDecoded) {
+    const element = document.getElementById(this.elementId);
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: false, video: toCameraConstraints(cameraSource) });
+
+    this.container = document.createElement('div');
+    this.container.className = 'frame-scanner';
+    this.video = document.createElement('video');
+    this.video.muted = true;
+    this.video.playsInline = true;
+    this.video.setAttribute('playsinline', '');
+    this.video.srcObject = this.stream;
+    const region = document.createElement('div');
+    region.className = 'frame-scanner-region';
+    region.style.width = `${SCAN_ENGINE_CONFIG.region.width * 100}%`;
+    region.style.height = `${SCAN_ENGINE_CONFIG.region.height * 100}%`;
+    this.container.append(this.video, region);
+    element.appendChild(this.container);
+
+    try {
+      await this.video.play();
+    } catch (error) {
+      this.stopTracks();
+      throw error;
+    }
+
+    this.maxFps = (config && config.fps) || CAMERA_CONFIG.fps;
+    this.stats.fps = this.maxFps;
+    this.formats = toFormatNames((config && config.formatsToSupport) || SCAN_FORMATS);
+    this.onDecoded = onDecoded;
+    this.running = true;
+    this.scheduleFrame(0);
+  }
+
+  scheduleFrame(delay) {
+    this.timer = setTimeout(() => this.processFrame(), delay);
+  }
+
+  async processFrame() {
+    if (!this.running) return;
+    const { video } = this;
+    // Nothing to decode in a hidden tab or before the first frame
+    if (document.hidden || !video.videoWidth) {
+      this.scheduleFrame(500);
+      return;
+    }
+
+    const started = performance.now();
+    try {
+      const region = getScanRegion(video.videoWidth, video.videoHeight);
+      const bitmap = await createImageBitmap(video, region.x, region.y, region.width, region.height);
+      const { results, error } = await requestDecode(bitmap, this.backend, this.formats);
+      if (error) console.debug('[ScanEngine] Decode failed:', error);
+      this.recordFrame(performance.now() - started);
+      const decoded = pickCentered(results, region, video.videoWidth, video.videoHeight);
+      if (decoded && this.running) {
+        this.onDecoded(decoded.text, { result: { format: { formatName: decoded.format }, box: decoded.box } });
+      }
+    } catch (error) {
+      console.debug('[ScanEngine] Frame skipped:', error);
+    }
+
+    if (this.running) {
+      const interval = 1000 / this.stats.fps;
+      this.scheduleFrame(Math.max(0, interval - (performance.now() - started)));
+    }
+  }
+
+  /**
+   * Track decode latency (capture + worker round trip) and adapt the frame rate to it
+   */
+  recordFrame(latencyMs) {
+    const { stats } = this;
+    stats.frames += 1;
+    stats.latencyMs = stats.latencyMs === null
+      ? latencyMs
+      : stats.latencyMs + (latencyMs - stats.latencyMs) * LATENCY_SMOOTHING;
+
+    const interval = 1000 / stats.fps;
+    if (stats.latencyMs > interval * BUSY_SHARE && stats.fps > SCAN_ENGINE_CONFIG.minFps) {
+      stats.fps -= 1;
+    } else if (stats.latencyMs < interval * IDLE_SHARE && stats.fps < this.maxFps) {
+      stats.fps += 1;
+    }
+  }
+
+  stopTracks() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.stopTracks();
+    if (this.video) this.video.srcObject = null;
+  }
+
+  clear() {
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+      this.video = null;
+    }
+  }
+
+  getTrackOrFail() {
+    const track = this.stream && this.stream.getVideoTracks()[0];
+    if (!track) throw new Error('Scanner is not running');
+    return track;
+  }
+
+  getRunningTrackCapabilities() {
+    const track = this.getTrackOrFail();
+    return track.getCapabilities ? track.getCapabilities() : {};
+  }
+
+  getRunningTrackSettings() {
+    return this.getTrackOrFail().getSettings();
+  }
+
+  applyVideoConstraints(constraints) {
+    return this.getTrackOrFail().applyConstraints(constraints);
+  }
+
+  getStats() {
+    return { ...this.stats, latencyMs: this.stats.latencyMs === null ? null : Math.round(this.stats.latencyMs) };
+  }
+}
+
+/**
+ * Create a scanner for the element with this id, using the detected backend
+ */
+export const createScanner = async (elementId) => {
+  const backend = await getScanBackend();
+  return backend === SCAN_BACKENDS.HTML5_QRCODE ? new Html5Qrcode(elementId) : new FrameScanner(elementId, backend);
+};
+
+/**
+ * Backend, frame rate and average decode latency (ms) of a running scanner
+ * html5-qrcode does not report its decode time, so latencyMs is null for it.
+ */
+export const getScannerStats = (scanner) =>
+  scanner && scanner.getStats
+    ? scanner.getStats()
+    : { backend: SCAN_BACKENDS.HTML5_QRCODE, fps: CAMERA_CONFIG.fps, latencyMs: null, frames: null };
@@ -0,0 +1,65 @@
+/**
+ * Feedback when a camera scan is confirmed: vibration and a short beep
+ *
+ * Browsers only start audio after a user gesture, so unlockScanFeedback() is called
+ * from the Start Camera click; a scanner started without one (auto-start on mobile)
+ * stays silent until the page is tapped. Vibration only exists on Android browsers.
+ */
+
+import { SCAN_CONFIRM_CONFIG } from './constants';
+
+const BEEP_HZ = 1800;
+const BEEP_SECONDS = 0.08;
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  return audioContext;
+};
+
+/**
+ * Allow the beep to play (call from a user gesture)
+ */
+export const unlockScanFeedback = () => {
+  if (!SCAN_CONFIRM_CONFIG.feedback.beep) return;
+  try {
+    const context = getAudioContext();
+    if (context && context.state === 'suspended') context.resume().catch(() => {});
+  } catch (error) {
+    console.warn('[Feedback] ⚠️ Audio unavailable:', error.message);
+  }
+};
+
+const beep = () => {
+  const context = getAudioContext();
+  if (!context || context.state !== 'running') return;
+
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = BEEP_HZ;
+  // Quick fade-out instead of a hard stop, which clicks
+  gain.gain.setValueAtTime(0.2, context.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + BEEP_SECONDS);
+  oscillator.connect(gain);
+  gain.connect(context.destination);
+  oscillator.start();
+  oscillator.stop(context.currentTime + BEEP_SECONDS);
+};
+
+/**
+ * Vibrate and beep as configured in SCAN_CONFIRM_CONFIG.feedback
+ */
+export const signalScanConfirmed = () => {
+  const { vibrateMs, beep: beepEnabled } = SCAN_CONFIRM_CONFIG.feedback;
+  try {
+    if (vibrateMs > 0 && typeof navigator !== 'undefined' && navigator.vibrate) {
+      navigator.vibrate(vibrateMs);
+    }
+    if (beepEnabled) beep();
+  } catch (error) {
+    console.warn('[Feedback] ⚠️ Scan feedback failed:', error.message);
+  }
+};
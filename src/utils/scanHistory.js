@@ -0,0 +1,103 @@
+/**
+ * Persisted scan history (IndexedDB)
+ *
+ * Entry format:
+ * {
+ *   key: '1700000000000-4006381333931',
+ *   barcode: '4006381333931',
+ *   name: 'Product name' | null,
+ *   thumbnail: 'https://...' | null,
+ *   sources: ['Barcode Lookup'],   // Names of the providers that supplied the data
+ *   scannedAt: 1700000000000,
+ *   favorite: false,
+ *   product: {...},                // Stored result, shown without another network call
+ * }
+ */
+
+import { HISTORY_CONFIG } from './constants';
+import { STORES, dbDelete, dbGetAll, dbPut } from './db';
+
+/**
+ * Get all history entries, newest first
+ */
+export const getHistory = async () => {
+  try {
+    const entries = await dbGetAll(STORES.HISTORY);
+    return entries.sort((a, b) => b.scannedAt - a.scannedAt);
+  } catch (error) {
+    console.warn('[History] ⚠️ Read failed:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Remove the oldest non-favorite entries beyond HISTORY_CONFIG.maxEntries
+ */
+const pruneHistory = async () => {
+  const entries = await getHistory();
+  const excess = entries.slice(HISTORY_CONFIG.maxEntries).filter((entry) => !entry.favorite);
+  await Promise.all(excess.map((entry) => dbDelete(STORES.HISTORY, entry.key)));
+};
+
+/**
+ * Record a successful lookup
+ */
+export const addHistoryEntry = async (barcode, product) => {
+  const scannedAt = Date.now();
+  const entry = {
+    key: `${scannedAt}-${barcode}`,
+    barcode,
+    name: product.name || null,
+    thumbnail: product.images?.[0] || null,
+    sources: (product.sources || []).map((source) => source.name),
+    scannedAt,
+    favorite: false,
+    product,
+  };
+
+  try {
+    await dbPut(STORES.HISTORY, entry);
+    await pruneHistory();
+  } catch (error) {
+    console.warn('[History] ⚠️ Write failed:', error.message);
+  }
+  return entry;
+};
+
+/**
+ * Update fields of an entry (e.g. { favorite: true })
+ */
+export const updateHistoryEntry = async (entry, changes) => {
+  const updated = { ...entry, ...changes };
+  try {
+    await dbPut(STORES.HISTORY, updated);
+  } catch (error) {
+    console.warn('[History] ⚠️ Update failed:', error.message);
+  }
+  return updated;
+};
+
+/**
+ * Delete an entry
+ */
+export const removeHistoryEntry = async (key) => {
+  try {
+    await dbDelete(STORES.HISTORY, key);
+  } catch (error) {
+    console.warn('[History] ⚠️ Delete failed:', error.message);
+  }
+};
+
+/**
+ * Filter entries by a text query (barcode, name or provider) and favorites
+ */
+export const filterHistory = (entries, { query = '', favoritesOnly = false } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (favoritesOnly && !entry.favorite) return false;
+    if (!needle) return true;
+    return [entry.barcode, entry.name, ...entry.sources]
+      .filter(Boolean)
+      .some((value) => value.toLowerCase().includes(needle));
+  });
+};
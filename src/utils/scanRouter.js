@@ -0,0 +1,116 @@
+/**
+ * Decide what to do with a decoded barcode
+ *
+ * routeScan(text, format) classifies a scan:
+ * - product: a retail GTIN, sent to product lookup ({ gtin }); typed ISBN-10 and ISSN are
+ *            converted to their EAN-13 (978 / 977) form; GS1-128 / GS1 DataMatrix
+ *            element strings with a (01) GTIN also carry the parsed elements ({ gs1 })
+ * - url:     an http(s) link, e.g. from a QR code
+ * - sku:     an alphanumeric industrial code (Code 128/39/93, Codabar, ITF), e.g. an internal SKU
+ * - text:    any other payload (GS1 element strings without a GTIN include { gs1 })
+ * - invalid: a retail symbology (EAN/UPC) or typed number that is not a valid GTIN,
+ *            usually a misread ({ error })
+ *
+ * format is the html5-qrcode format name (EAN_13, QR_CODE, ...); it is undefined for typed input.
+ */
+
+import { t } from '../i18n';
+import { parseGs1, isGs1ElementString } from './gs1';
+import { parseGtin } from './gtin';
+import { parseBookCode } from './isbn';
+
+export const SCAN_KINDS = {
+  PRODUCT: 'product',
+  URL: 'url',
+  SKU: 'sku',
+  TEXT: 'text',
+  INVALID: 'invalid',
+};
+
+// Symbologies that only ever carry a GTIN
+const RETAIL_FORMATS = ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E'];
+// Linear symbologies used for internal codes
+const INDUSTRIAL_FORMATS = ['CODE_128', 'CODE_39', 'CODE_93', 'CODABAR', 'ITF'];
+
+const FORMAT_LABELS = {
+  EAN_13: 'EAN-13',
+  EAN_8: 'EAN-8',
+  UPC_A: 'UPC-A',
+  UPC_E: 'UPC-E',
+  CODE_128: 'Code 128',
+  CODE_39: 'Code 39',
+  CODE_93: 'Code 93',
+  CODABAR: 'Codabar',
+  ITF: 'ITF',
+  QR_CODE: 'QR Code',
+  DATA_MATRIX: 'Data Matrix',
+};
+
+/**
+ * Human readable name of a decoder format
+ */
+export const getFormatLabel = (format) => FORMAT_LABELS[format] || format || t('formats.typed');
+
+const isUrl = (text) => {
+  if (!/^https?:\/\//i.test(text)) return false;
+  try {
+    new URL(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const productRoute = (text, format, gtin, gs1 = null) => ({ kind: SCAN_KINDS.PRODUCT, text, format, gtin: gtin.gtin, gs1 });
+
+const invalidRoute = (text, format, reason) => ({ kind: SCAN_KINDS.INVALID, text, format, error: reason });
+
+/**
+ * Classify a decoded payload
+ * Returns { kind, text, format } plus gtin and gs1 (product) or error (invalid)
+ */
+export const routeScan = (rawText, format) => {
+  const text = (rawText || '').trim();
+
+  // Retail symbologies: the payload is a GTIN or a misread
+  if (RETAIL_FORMATS.includes(format)) {
+    const gtin = parseGtin(text.replace(/[^0-9]/g, ''), { format });
+    return gtin.valid ? productRoute(text, format, gtin) : invalidRoute(text, format, gtin.reason);
+  }
+
+  // GS1 element strings: (01) GTIN plus batch, expiry, serial...
+  if (isGs1ElementString(text)) {
+    const gs1 = parseGs1(text);
+    if (!gs1.valid) return invalidRoute(text, format, gs1.reason);
+    // (01) is always 14 digits; a leading 0 is just padding of an EAN-13/UPC-A
+    const gtin = gs1.gtin && parseGtin(gs1.gtin.startsWith('0') ? gs1.gtin.slice(1) : gs1.gtin);
+    return gtin
+      ? productRoute(text, format, gtin, gs1)
+      : { kind: SCAN_KINDS.TEXT, text, format, gs1 };
+  }
+
+  // Typed ISBN-10 (may end in X) or ISSN (0317-8471)
+  const bookCode = format ? null : parseBookCode(text);
+  if (bookCode) {
+    return bookCode.valid ? productRoute(text, format, bookCode) : invalidRoute(text, format, bookCode.reason);
+  }
+
+  // Any other numeric payload of GTIN length (typed, ITF-14, Code 128) is tried as a GTIN first
+  const digits = text.replace(/[\s-]/g, '');
+  if (/^\d+$/.test(digits)) {
+    const gtin = parseGtin(digits, { format });
+    if (gtin.valid) return productRoute(text, format, gtin);
+    // Typed numbers are meant as barcodes - report why they are not valid
+    if (!format) return invalidRoute(text, format, gtin.reason);
+  }
+
+  if (isUrl(text)) {
+    return { kind: SCAN_KINDS.URL, text, format };
+  }
+
+  if (INDUSTRIAL_FORMATS.includes(format)) {
+    return { kind: SCAN_KINDS.SKU, text, format };
+  }
+
+  return { kind: SCAN_KINDS.TEXT, text, format };
+};
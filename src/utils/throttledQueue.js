@@ -0,0 +1,121 @@
+/**
+ * Throttled task queue with pause/resume
+ *
+ * Runs `worker(item)` for each item with at most `concurrency` tasks in flight and
+ * at least `minIntervalMs` between task starts, so bulk lookups don't burn through
+ * API rate limits.
+ *
+ * Callbacks:
+ * - onStart(item, index)
+ * - onResult(item, index, result)
+ * - onError(item, index, error)
+ * - onIdle() - every item has been processed (not called after cancel)
+ *
+ * retryLater(index, delayMs), called from onError, puts the item back in the queue and
+ * holds every new start for delayMs (e.g. the Retry-After of a 429).
+ */
+
+export const QUEUE_STATE = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+};
+
+export const createThrottledQueue = (
+  items,
+  worker,
+  { concurrency = 1, minIntervalMs = 0, onStart, onResult, onError, onIdle } = {}
+) => {
+  let state = QUEUE_STATE.IDLE;
+  let nextIndex = 0;
+  let inFlight = 0;
+  let lastStartAt = 0;
+  let holdUntil = 0;
+  let timer = null;
+  // Items put back by retryLater, run before the rest
+  const retries = [];
+
+  const hasWaiting = () => retries.length > 0 || nextIndex < items.length;
+
+  const finishIfDone = () => {
+    if (!hasWaiting() && inFlight === 0 && state === QUEUE_STATE.RUNNING) {
+      state = QUEUE_STATE.DONE;
+      if (onIdle) onIdle();
+    }
+  };
+
+  const launch = (index) => {
+    const item = items[index];
+    inFlight++;
+    lastStartAt = Date.now();
+    if (onStart) onStart(item, index);
+
+    Promise.resolve()
+      .then(() => worker(item, index))
+      .then(
+        (result) => {
+          if (state !== QUEUE_STATE.CANCELLED && onResult) onResult(item, index, result);
+        },
+        (error) => {
+          if (state !== QUEUE_STATE.CANCELLED && onError) onError(item, index, error);
+        }
+      )
+      .finally(() => {
+        inFlight--;
+        finishIfDone();
+        if (!timer) runNext();
+      });
+  };
+
+  const runNext = () => {
+    timer = null;
+    if (state !== QUEUE_STATE.RUNNING) return;
+
+    while (inFlight < concurrency && hasWaiting()) {
+      const wait = Math.max(lastStartAt + minIntervalMs, holdUntil) - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(runNext, wait);
+        return;
+      }
+      launch(retries.length > 0 ? retries.shift() : nextIndex++);
+    }
+
+    finishIfDone();
+  };
+
+  return {
+    start() {
+      if (state !== QUEUE_STATE.IDLE) return;
+      state = QUEUE_STATE.RUNNING;
+      runNext();
+    },
+    pause() {
+      if (state !== QUEUE_STATE.RUNNING) return;
+      // Tasks already in flight finish; no new tasks start until resume()
+      state = QUEUE_STATE.PAUSED;
+      clearTimeout(timer);
+      timer = null;
+    },
+    resume() {
+      if (state !== QUEUE_STATE.PAUSED) return;
+      state = QUEUE_STATE.RUNNING;
+      runNext();
+    },
+    cancel() {
+      state = QUEUE_STATE.CANCELLED;
+      clearTimeout(timer);
+      timer = null;
+    },
+    retryLater(index, delayMs = 0) {
+      retries.push(index);
+      holdUntil = Math.max(holdUntil, Date.now() + delayMs);
+      // A start already scheduled would come before the hold ends
+      clearTimeout(timer);
+      timer = null;
+      runNext();
+    },
+    getState: () => state,
+  };
+};
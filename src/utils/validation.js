@@ -2,34 +2,21 @@
  * Validation utilities
  */
 
-import { BARCODE_MIN_LENGTH, BARCODE_MAX_LENGTH } from './constants';
+import { parseGtin } from './gtin';
 
 /**
- * Validate barcode format
+ * Validate barcode format and GS1 check digit
+ * Options are passed to parseGtin (e.g. { format: 'UPC_E' })
+ * Returns { valid, error, value, gtin14, type } - value is the canonical GTIN
  */
-export const validateBarcode = (barcode) => {
-  if (!barcode || typeof barcode !== 'string') {
-    return { valid: false, error: 'Barcode is required.' };
-  }
-
-  const trimmed = barcode.trim();
-
-  if (trimmed.length === 0) {
-    return { valid: false, error: 'Barcode cannot be empty.' };
-  }
-
-  if (trimmed.length < BARCODE_MIN_LENGTH || trimmed.length > BARCODE_MAX_LENGTH) {
-    return {
-      valid: false,
-      error: `Barcode must be between ${BARCODE_MIN_LENGTH} and ${BARCODE_MAX_LENGTH} digits.`,
-    };
-  }
+export const validateBarcode = (barcode, options) => {
+  const result = parseGtin(barcode, options);
 
-  if (!/^\d+$/.test(trimmed)) {
-    return { valid: false, error: 'Barcode must contain only numbers.' };
+  if (!result.valid) {
+    return { valid: false, error: result.reason };
   }
 
-  return { valid: true, error: null, value: trimmed };
+  return { valid: true, error: null, value: result.gtin, gtin14: result.gtin14, type: result.type };
 };
 
 /**
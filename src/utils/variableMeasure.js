@@ -0,0 +1,100 @@
+/**
+ * Variable-measure (in-store) barcode decoding
+ *
+ * Weighed and priced items carry EAN-13 / UPC-A codes with a GS1 restricted circulation
+ * prefix (2x, UPC 2) that embed an item code (PLU) and a price or weight. The layout is
+ * store specific and configured in VARIABLE_MEASURE_CONFIG.
+ *
+ * Embedded 4- and 5-digit values can have their own check digit, computed with the GS1
+ * price/weight check digit algorithm (weighting factors 2-, 3, 5+ and 5-).
+ */
+
+import { t } from '../i18n';
+import { VARIABLE_MEASURE_CONFIG } from './constants';
+
+// Units digit of a digit times each weighting factor (GS1 General Specifications 7.9.3)
+const WEIGHT_2_MINUS = [0, 2, 4, 6, 8, 9, 1, 3, 5, 7];
+const WEIGHT_3 = [0, 3, 6, 9, 2, 5, 8, 1, 4, 7];
+const WEIGHT_5_PLUS = [0, 5, 1, 6, 2, 7, 3, 8, 4, 9];
+const WEIGHT_5_MINUS = [0, 5, 9, 4, 8, 3, 7, 2, 6, 1];
+
+/**
+ * Check digit of an embedded 4- or 5-digit price or weight, or null for other lengths
+ */
+export const calculateValueCheckDigit = (value) => {
+  const d = value.split('').map(Number);
+
+  if (d.length === 4) {
+    const sum = WEIGHT_2_MINUS[d[0]] + WEIGHT_2_MINUS[d[1]] + WEIGHT_3[d[2]] + WEIGHT_5_MINUS[d[3]];
+    return (sum * 3) % 10;
+  }
+
+  if (d.length === 5) {
+    const sum = WEIGHT_5_PLUS[d[0]] + WEIGHT_2_MINUS[d[1]] + WEIGHT_5_MINUS[d[2]] + WEIGHT_5_PLUS[d[3]] + WEIGHT_2_MINUS[d[4]];
+    // The check digit is the one whose 5- product brings the sum to a multiple of 10
+    return WEIGHT_5_MINUS.indexOf((10 - (sum % 10)) % 10);
+  }
+
+  return null;
+};
+
+/**
+ * Collect the digits at the positions of one layout letter
+ */
+const pick = (code, layout, letter) =>
+  code.split('').filter((_, index) => layout[index] === letter).join('');
+
+/**
+ * Number of item code digits in the configured layouts (the widest one)
+ */
+export const getItemCodeLength = (config = VARIABLE_MEASURE_CONFIG) =>
+  Math.max(...config.rules.map((rule) => rule.layout.split('').filter((letter) => letter === 'I').length));
+
+/**
+ * Find the rule for a barcode, or null when it is not a variable-measure code
+ */
+const findRule = (code, rules) =>
+  rules.find(
+    (rule) =>
+      rule.length === code.length &&
+      rule.layout.length === code.length &&
+      rule.prefixes.some((prefix) => code.startsWith(prefix))
+  ) || null;
+
+/**
+ * Decode a variable-measure barcode (a valid GTIN)
+ * Returns null when no rule matches, otherwise
+ * { valid, reason, itemCode, measure, value, unit, currency }
+ * - itemCode: embedded item code (PLU), used as the catalog key
+ * - value: embedded price or weight as a number (decimal places applied)
+ * - currency: store currency, for embedded prices and prices computed from a weight
+ */
+export const decodeVariableMeasure = (gtin, config = VARIABLE_MEASURE_CONFIG) => {
+  const code = String(gtin || '');
+  const rule = findRule(code, config.rules);
+  if (!rule) return null;
+
+  const itemCode = pick(code, rule.layout, 'I');
+  const digits = pick(code, rule.layout, 'V');
+  const check = pick(code, rule.layout, 'C');
+
+  if (check) {
+    const expected = calculateValueCheckDigit(digits);
+    if (expected !== Number(check)) {
+      return {
+        valid: false,
+        reason: t(`validation.${rule.measure}CheckDigit`, { expected: String(expected), actual: check }),
+      };
+    }
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    itemCode,
+    measure: rule.measure,
+    value: Number(digits) / 10 ** (rule.decimals || 0),
+    unit: rule.measure === 'weight' ? rule.unit || 'kg' : null,
+    currency: config.currency,
+  };
+};
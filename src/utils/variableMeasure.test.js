@@ -0,0 +1,70 @@
+import { t } from '../i18n';
+import { VARIABLE_MEASURE_CONFIG } from './constants';
+import { hasValidCheckDigit } from './gtin';
+import { calculateValueCheckDigit, decodeVariableMeasure, getItemCodeLength } from './variableMeasure';
+
+const { currency } = VARIABLE_MEASURE_CONFIG;
+
+describe('calculateValueCheckDigit', () => {
+  it.each([
+    ['2875', 9], // GS1 General Specifications example, 4-digit price
+    ['0299', 6],
+    ['0450', 9],
+    ['14685', 6], // GS1 General Specifications example, 5-digit price
+  ])('%s -> %i', (value, expected) => {
+    expect(calculateValueCheckDigit(value)).toBe(expected);
+  });
+
+  it('has no check digit for other lengths', () => {
+    expect(calculateValueCheckDigit('123')).toBeNull();
+    expect(calculateValueCheckDigit('123456')).toBeNull();
+  });
+});
+
+describe('decodeVariableMeasure', () => {
+  // One label per rule of VARIABLE_MEASURE_CONFIG, in order
+  it.each([
+    ['2012345928756', 'PPIIIIICVVVVK', { itemCode: '12345', measure: 'price', value: 28.75, unit: null }],
+    ['2300123004991', 'PPIIIIIVVVVVK', { itemCode: '00123', measure: 'weight', value: 0.499, unit: 'kg' }],
+    ['2612345012990', 'PPIIIIIVVVVVK', { itemCode: '12345', measure: 'price', value: 12.99, unit: null }],
+    ['212345602997', 'PIIIIICVVVVK', { itemCode: '12345', measure: 'price', value: 2.99, unit: null }],
+    ['0201234904502', 'PPIIIIICVVVVK', { itemCode: '01234', measure: 'price', value: 4.5, unit: null }],
+  ])('decodes %s (%s)', (gtin, layout, expected) => {
+    expect(hasValidCheckDigit(gtin)).toBe(true);
+    expect(decodeVariableMeasure(gtin)).toEqual({ valid: true, reason: null, currency, ...expected });
+  });
+
+  it('covers every configured layout', () => {
+    expect(VARIABLE_MEASURE_CONFIG.rules).toHaveLength(5);
+  });
+
+  it('rejects a bad price check digit', () => {
+    // 2012345928756 with the price check digit 9 changed to 8 (and a new GTIN check digit)
+    expect(decodeVariableMeasure('2012345828759')).toEqual({
+      valid: false,
+      reason: t('validation.priceCheckDigit', { expected: '9', actual: '8' }),
+    });
+    expect(decodeVariableMeasure('212345802991').valid).toBe(false);
+  });
+
+  it('returns null for codes outside the restricted circulation prefixes', () => {
+    expect(decodeVariableMeasure('4006381333931')).toBeNull();
+    expect(decodeVariableMeasure('036000291452')).toBeNull();
+    expect(decodeVariableMeasure('')).toBeNull();
+  });
+
+  it('uses a custom configuration', () => {
+    const config = {
+      currency: 'EUR',
+      rules: [{ length: 13, prefixes: ['28'], layout: 'PPIIIIIIVVVVK', measure: 'price', decimals: 2 }],
+    };
+    expect(decodeVariableMeasure('2812345612347', config)).toMatchObject({ itemCode: '123456', value: 12.34, currency: 'EUR' });
+    expect(getItemCodeLength(config)).toBe(6);
+  });
+});
+
+describe('getItemCodeLength', () => {
+  it('is the widest item code of the configured layouts', () => {
+    expect(getItemCodeLength()).toBe(5);
+  });
+});
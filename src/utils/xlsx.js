@@ -0,0 +1,172 @@
+/**
+ * Minimal Excel workbook (.xlsx) writer
+ *
+ * An .xlsx file is a ZIP archive of Office Open XML parts. Exports only need one sheet
+ * of text and numbers, so this writes the five parts Excel requires, stored without
+ * compression, instead of pulling in a spreadsheet library. Text goes into inline string
+ * cells, which Excel never evaluates as formulas.
+ */
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, reference) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+  const rowsXml = rows.map((cells, rowIndex) => {
+    // Empty values stay blank cells rather than empty strings
+    const cellsXml = cells.map((value, columnIndex) =>
+      value === '' ? '' : cellXml(value, `${columnName(columnIndex)}${rowIndex + 1}`)
+    );
+    return `<row r="${rowIndex + 1}">${cellsXml.join('')}</row>`;
+  });
+  return `<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml.join('')}</sheetData></worksheet>`;
+};
+
+// Sheet names are limited to 31 characters, without []:*?/\
+const toSheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+
+const workbookParts = (rows, sheetName) => {
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  return [
+    {
+      name: '[Content_Types].xml',
+      text: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      text: `${xml}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: `${xml}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+        `<sheet name="${escapeXml(toSheetName(sheetName))}" sheetId="1" r:id="rId1"/>` +
+        '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: `${xml}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        '</Relationships>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', text: `${xml}${sheetXml(rows)}` },
+  ];
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, as ZIP headers store them
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * ZIP archive of files ({ name, text }) stored without compression
+ */
+const zipStored = (files, modifiedAt = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modifiedAt);
+  const entries = files.map(({ name, text }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    return { nameBytes, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.nameBytes.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  // Fields shared by the local header (from offset 4) and the central header (from offset 6)
+  const writeEntryFields = (at, entry) => {
+    view.setUint16(at, 20, true); // Version needed to extract
+    view.setUint16(at + 2, 0x0800, true); // UTF-8 file names
+    view.setUint16(at + 4, 0, true); // Stored
+    view.setUint16(at + 6, time, true);
+    view.setUint16(at + 8, date, true);
+    view.setUint32(at + 10, entry.crc, true);
+    view.setUint32(at + 14, entry.data.length, true);
+    view.setUint32(at + 18, entry.data.length, true);
+    view.setUint16(at + 22, entry.nameBytes.length, true);
+  };
+
+  entries.forEach((entry) => {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    writeEntryFields(offset + 4, entry);
+    bytes.set(entry.nameBytes, offset + 30);
+    bytes.set(entry.data, offset + 30 + entry.nameBytes.length);
+    offset += 30 + entry.nameBytes.length + entry.data.length;
+  });
+
+  const centralOffset = offset;
+  entries.forEach((entry) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // Version made by
+    writeEntryFields(offset + 6, entry);
+    view.setUint32(offset + 42, entry.offset, true);
+    bytes.set(entry.nameBytes, offset + 46);
+    offset += 46 + entry.nameBytes.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return bytes;
+};
+
+/**
+ * Build a one-sheet workbook from rows of cells (strings and numbers)
+ * Returns the .xlsx file as a Uint8Array
+ */
+export const createXlsx = (rows, { sheetName = 'Sheet1' } = {}) => zipStored(workbookParts(rows, sheetName));
@@ -0,0 +1,131 @@
+/**
+ * ZXing decoding of raw RGBA pixels: camera frames in the frame decoder worker and
+ * uploaded images in ./imageDecoder.js
+ *
+ * Uses @zxing/library, the ZXing port html5-qrcode is built on, as a direct dependency.
+ * Plain JavaScript without DOM access, so it runs inside a Web Worker.
+ */
+
+import * as ZXing from '@zxing/library';
+
+/**
+ * Build a reader for the given format names (html5-qrcode / ZXing names, e.g. 'EAN_13')
+ */
+export const createZxingReader = (formatNames) => {
+  const formats = formatNames
+    .map((name) => ZXing.BarcodeFormat[name])
+    .filter((format) => format !== undefined);
+
+  const hints = new Map();
+  hints.set(ZXing.DecodeHintType.POSSIBLE_FORMATS, formats);
+  const reader = new ZXing.MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+};
+
+// Integer approximation of Rec. 601 luma
+const toLuminances = (data, width, height) => {
+  const luminances = new Uint8ClampedArray(width * height);
+  for (let i = 0, j = 0; i < luminances.length; i += 1, j += 4) {
+    luminances[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+  }
+  return luminances;
+};
+
+// Linear barcodes are located by points on one scan line; give their box some height
+const MIN_BOX_ASPECT = 0.25;
+
+/**
+ * Bounding box of ZXing's result points, as shares (0-1) of the frame size
+ */
+const toBox = (points, width, height) => {
+  if (!points || points.length === 0) return null;
+  const xs = points.map((point) => point.getX());
+  const ys = points.map((point) => point.getY());
+  const left = Math.min(...xs);
+  const boxWidth = Math.max(...xs) - left;
+  const boxHeight = Math.max(Math.max(...ys) - Math.min(...ys), boxWidth * MIN_BOX_ASPECT);
+  const top = Math.max(0, (Math.min(...ys) + Math.max(...ys)) / 2 - boxHeight / 2);
+  return {
+    x: left / width,
+    y: top / height,
+    width: boxWidth / width,
+    height: Math.min(boxHeight, height - top) / height,
+  };
+};
+
+// null when the bitmap holds nothing ZXing can read
+const decodeBitmap = (reader, bitmap) => {
+  try {
+    return reader.decodeWithState(bitmap);
+  } catch (error) {
+    // NotFound, Checksum and Format exceptions all mean "nothing readable in this frame"
+    if (error instanceof ZXing.Exception) return null;
+    throw error;
+  }
+};
+
+const toDecoded = (result, points, width, height) => ({
+  text: result.getText(),
+  format: ZXing.BarcodeFormat[result.getBarcodeFormat()],
+  box: toBox(points, width, height),
+});
+
+/**
+ * Decode one frame ({ data, width, height }, e.g. an ImageData)
+ * Returns [{ text, format, box }] (box: where the barcode is, see toBox); empty when no
+ * barcode was read
+ */
+export const decodeFrame = (reader, { data, width, height }) => {
+  const source = new ZXing.RGBLuminanceSource(toLuminances(data, width, height), width, height);
+  const result = decodeBitmap(reader, new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source)));
+  return result ? [toDecoded(result, result.getResultPoints(), width, height)] : [];
+};
+
+// Region search limits: how often a region is split again, and the smallest region decoded
+const MAX_REGION_DEPTH = 4;
+const MIN_REGION_SIZE = 32;
+// Bars of a retail barcode are about 0.7 times as tall as the symbol is wide; regions
+// split off a linear barcode leave that much out, so they rarely contain it again
+const LINEAR_BARS_ASPECT = 0.7;
+
+/**
+ * Decode every barcode in a still image ({ data, width, height })
+ * ZXing reads one barcode per pass, so, like ZXing's GenericMultipleBarcodeReader, the
+ * image is searched again left of, above, right of and below each barcode found.
+ * Returns [{ text, format, box }] without duplicates; empty when no barcode was read
+ */
+export const decodeAllInFrame = (reader, { data, width, height }) => {
+  const source = new ZXing.RGBLuminanceSource(toLuminances(data, width, height), width, height);
+  const found = new Map();
+
+  const searchRegion = (left, top, regionWidth, regionHeight, depth) => {
+    if (regionWidth < MIN_REGION_SIZE || regionHeight < MIN_REGION_SIZE) return;
+    const region = source.crop(left, top, regionWidth, regionHeight);
+    const result = decodeBitmap(reader, new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(region)));
+    if (!result) return;
+
+    // Result points are relative to the region
+    const points = (result.getResultPoints() || []).map((point) => ({ x: point.getX(), y: point.getY() }));
+    const imagePoints = points.map(({ x, y }) => new ZXing.ResultPoint(x + left, y + top));
+    if (!found.has(result.getText())) found.set(result.getText(), toDecoded(result, imagePoints, width, height));
+    if (depth >= MAX_REGION_DEPTH || points.length === 0) return;
+
+    const xs = points.map(({ x }) => x);
+    const ys = points.map(({ y }) => y);
+    const minX = Math.floor(Math.min(...xs));
+    const maxX = Math.ceil(Math.max(...xs));
+    const halfBars = Math.ceil(((maxX - minX) * LINEAR_BARS_ASPECT) / 2);
+    const middleY = (Math.min(...ys) + Math.max(...ys)) / 2;
+    const minY = Math.max(0, Math.min(Math.floor(Math.min(...ys)), Math.floor(middleY - halfBars)));
+    const maxY = Math.min(regionHeight, Math.max(Math.ceil(Math.max(...ys)), Math.ceil(middleY + halfBars)));
+
+    searchRegion(left, top, minX, regionHeight, depth + 1);
+    searchRegion(left, top, regionWidth, minY, depth + 1);
+    searchRegion(left + maxX, top, regionWidth - maxX, regionHeight, depth + 1);
+    searchRegion(left, top + maxY, regionWidth, regionHeight - maxY, depth + 1);
+  };
+
+  searchRegion(0, 0, width, height, 0);
+  return Array.from(found.values());
+};